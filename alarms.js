@@ -0,0 +1,221 @@
+// Alarm management
+//
+// Alarms are configured per data point with high/low limits (or the expected
+// `normal` value, or list of values, for states such as `status`), a deadband
+// the value must clear before the alarm returns to normal, and an on-delay the
+// condition must persist for before it is raised. The high/low alarms of a
+// unit on standby are inhibited: the water in it is standing, so its
+// readings mean nothing. Each alarm follows the usual BMS states:
+//
+//   normal -> unacked (active, unacknowledged) -> acked (active, acknowledged)
+//          -> rtn (returned to normal, still unacknowledged) -> normal
+//
+// and can be shelved for a while, which hides it until the shelf expires.
+
+export const PRIORITY_NAMES = { 1: 'Critical', 2: 'High', 3: 'Medium', 4: 'Low' };
+
+export const DEFAULT_SHELVE_DURATION = 5 * 60 * 1000;
+
+export function alarmKey(equipmentId, point, kind) {
+    return `${equipmentId}:${point}:${kind}`;
+}
+
+// Flatten layout alarm definitions into one entry per limit
+export function alarmDefinitions(layout) {
+    const definitions = [];
+    layout.equipment.forEach(entry => {
+        (entry.alarms || []).forEach(config => {
+            const base = {
+                equipmentId: entry.id,
+                equipmentLabel: entry.label,
+                point: config.point,
+                deadband: config.deadband || 0,
+                delay: config.delay || 0,
+                priority: config.priority || 3
+            };
+            if (config.high !== undefined) definitions.push({ ...base, kind: 'high', limit: config.high });
+            if (config.low !== undefined) definitions.push({ ...base, kind: 'low', limit: config.low });
+            if (config.normal !== undefined) definitions.push({ ...base, kind: 'state', limit: config.normal });
+        });
+    });
+    return definitions;
+}
+
+export class AlarmManager {
+    constructor(definitions, { now = () => Date.now(), logLimit = 500 } = {}) {
+        this.now = now;
+        this.logLimit = logLimit;
+        this.alarms = definitions.map(definition => ({
+            ...definition,
+            key: alarmKey(definition.equipmentId, definition.point, definition.kind),
+            state: 'normal',
+            value: null,
+            pendingFor: 0,          // seconds the condition has held so far
+            raisedAt: null,
+            shelvedUntil: null
+        }));
+        this.log = [];
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    record(alarm, event) {
+        const entry = {
+            time: this.now(),
+            key: alarm.key,
+            equipmentId: alarm.equipmentId,
+            priority: alarm.priority,
+            event,
+            value: alarm.value,
+            message: this.describe(alarm)
+        };
+        this.log.push(entry);
+        if (this.log.length > this.logLimit) {
+            this.log.shift();
+        }
+        this.listeners.forEach(listener => listener(event, alarm, entry));
+    }
+
+    describe(alarm) {
+        const label = `${alarm.equipmentLabel} ${alarm.point}`;
+        if (alarm.kind === 'state') {
+            return `${label} is ${alarm.value} (expected ${[].concat(alarm.limit).join(' or ')})`;
+        }
+        return `${label} ${alarm.kind} (${alarm.value}, limit ${alarm.limit})`;
+    }
+
+    find(key) {
+        return this.alarms.find(alarm => alarm.key === key) || null;
+    }
+
+    // Condition that raises the alarm, and the stricter one that clears it
+    inAlarm(alarm, value) {
+        if (alarm.kind === 'high') return value > alarm.limit;
+        if (alarm.kind === 'low') return value < alarm.limit;
+        return ![].concat(alarm.limit).includes(value);
+    }
+
+    clearOfAlarm(alarm, value) {
+        if (alarm.kind === 'high') return value < alarm.limit - alarm.deadband;
+        if (alarm.kind === 'low') return value > alarm.limit + alarm.deadband;
+        return [].concat(alarm.limit).includes(value);
+    }
+
+    // Evaluate every alarm against the latest equipmentData
+    evaluate(equipmentData, dt) {
+        const now = this.now();
+
+        this.alarms.forEach(alarm => {
+            const unit = equipmentData[alarm.equipmentId];
+            if (!unit || unit[alarm.point] === undefined) return;
+            alarm.value = unit[alarm.point];
+
+            if (alarm.state === 'shelved') {
+                if (now < alarm.shelvedUntil) return;
+                alarm.shelvedUntil = null;
+                alarm.state = 'normal';
+                alarm.pendingFor = 0;
+                this.record(alarm, 'unshelved');
+            }
+
+            const active = alarm.state === 'unacked' || alarm.state === 'acked';
+            const inhibited = alarm.kind !== 'state' && unit.status === 'Standby';
+
+            if (!active) {
+                if (!inhibited && this.inAlarm(alarm, alarm.value)) {
+                    alarm.pendingFor += dt;
+                    if (alarm.pendingFor >= alarm.delay) {
+                        alarm.state = 'unacked';
+                        alarm.raisedAt = now;
+                        this.record(alarm, 'raised');
+                    }
+                } else {
+                    alarm.pendingFor = 0;
+                }
+            } else if (inhibited || this.clearOfAlarm(alarm, alarm.value)) {
+                alarm.pendingFor = 0;
+                alarm.state = alarm.state === 'acked' ? 'normal' : 'rtn';
+                this.record(alarm, 'returned');
+            }
+        });
+    }
+
+    acknowledge(key) {
+        const alarm = this.find(key);
+        if (!alarm) return;
+        if (alarm.state === 'unacked') {
+            alarm.state = 'acked';
+        } else if (alarm.state === 'rtn') {
+            alarm.state = 'normal';
+        } else {
+            return;
+        }
+        this.record(alarm, 'acknowledged');
+    }
+
+    acknowledgeAll() {
+        this.alarms
+            .filter(alarm => alarm.state === 'unacked' || alarm.state === 'rtn')
+            .forEach(alarm => this.acknowledge(alarm.key));
+    }
+
+    shelve(key, duration = DEFAULT_SHELVE_DURATION) {
+        const alarm = this.find(key);
+        if (!alarm || alarm.state === 'shelved') return;
+        alarm.state = 'shelved';
+        alarm.shelvedUntil = this.now() + duration;
+        this.record(alarm, 'shelved');
+    }
+
+    unshelve(key) {
+        const alarm = this.find(key);
+        if (!alarm || alarm.state !== 'shelved') return;
+        alarm.state = 'normal';
+        alarm.shelvedUntil = null;
+        alarm.pendingFor = 0;
+        this.record(alarm, 'unshelved');
+    }
+
+    // Alarm states and the log, for saving; limits come from the definitions
+    snapshot() {
+        return {
+            alarms: this.alarms.map(({ key, state, value, pendingFor, raisedAt, shelvedUntil }) =>
+                ({ key, state, value, pendingFor, raisedAt, shelvedUntil })),
+            log: this.log.map(entry => ({ ...entry }))
+        };
+    }
+
+    // Alarms that are no longer defined are dropped
+    restore(snapshot) {
+        snapshot.alarms.forEach(saved => {
+            const alarm = this.find(saved.key);
+            if (alarm) Object.assign(alarm, saved);
+        });
+        this.log = snapshot.log.slice(-this.logLimit);
+    }
+
+    // Alarms the operator still needs to see, most urgent first
+    summary() {
+        return this.alarms
+            .filter(alarm => alarm.state !== 'normal')
+            .sort((a, b) => a.priority - b.priority || b.raisedAt - a.raisedAt);
+    }
+
+    unacknowledged() {
+        return this.alarms.filter(alarm => alarm.state === 'unacked' || alarm.state === 'rtn');
+    }
+
+    // Worst alarm state on a unit, for colouring its label
+    equipmentState(equipmentId) {
+        const states = this.alarms
+            .filter(alarm => alarm.equipmentId === equipmentId)
+            .map(alarm => alarm.state);
+        if (states.includes('unacked')) return 'unacked';
+        if (states.includes('acked')) return 'acked';
+        if (states.includes('rtn')) return 'rtn';
+        return 'normal';
+    }
+}
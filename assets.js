@@ -0,0 +1,64 @@
+// Shared 3D assets
+//
+// Each model file is downloaded and parsed once, however many times the scene
+// uses it. Equipment units and engineers get copies of the parsed model made
+// with SkeletonUtils.clone, which gives a skinned character a skeleton of its
+// own rather than one shared with every other copy. Animation clips are parsed
+// once too and shared: each engineer's mixer binds a clip to its own bones by
+// name, so one clip drives every engineer on the same rig.
+//
+// All loads go through one THREE.LoadingManager, whose progress drives the
+// loading screen. A file that fails to load rejects its promise (and every
+// later request for it) and is listed in `failures`, so the scene can draw a
+// placeholder in its place and say what went wrong.
+
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+export class AssetLibrary {
+    constructor({ manager = new THREE.LoadingManager(), loader = new FBXLoader(manager) } = {}) {
+        this.manager = manager;
+        this.loader = loader;
+        this.files = new Map();         // url -> Promise of the parsed file
+        this.clips = new Map();         // url (+ options) -> Promise of a clip
+        this.failures = [];             // [{ url, error }]
+    }
+
+    // The parsed file, loaded on first request
+    load(url) {
+        if (!this.files.has(url)) {
+            this.files.set(url, this.loader.loadAsync(url).catch(error => {
+                this.failures.push({ url, error });
+                throw error;
+            }));
+        }
+        return this.files.get(url);
+    }
+
+    // A copy of the file's model to add to the scene. Geometry and materials
+    // are shared with the other copies, so clone a material before changing it.
+    async instance(url) {
+        return cloneSkinned(await this.load(url));
+    }
+
+    // The file's first animation clip. With inPlace the clip has no position
+    // tracks, so a walk cycle doesn't pull the model back against its movement.
+    clip(url, { inPlace = false } = {}) {
+        const key = inPlace ? `${url}#in-place` : url;
+        if (!this.clips.has(key)) {
+            this.clips.set(key, this.load(url).then(file => {
+                const clip = file.animations[0];
+                if (!clip) {
+                    const error = new Error(`${url} has no animation`);
+                    this.failures.push({ url, error });
+                    throw error;
+                }
+                if (!inPlace) return clip;
+                const tracks = clip.tracks.filter(track => !track.name.endsWith('.position'));
+                return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+            }));
+        }
+        return this.clips.get(key);
+    }
+}
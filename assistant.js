@@ -0,0 +1,172 @@
+// Language-model backend for the AI Assistant
+//
+// A provider turns a conversation into the model's next message, which is
+// either text or a set of tool calls. The assistant runs the tool calls
+// against the simulation, hands the results back, and repeats until the model
+// answers in text. Without a configured provider, or when the endpoint fails,
+// the message goes to the rule-based `fallback` instead.
+//
+// Provider interface:
+//   complete({ messages, tools }) -> Promise<{ content, toolCalls: [{ id, name, arguments }] }>
+// with messages and tool definitions in the OpenAI chat-completions shape.
+
+// OpenAI-compatible /chat/completions endpoint: OpenAI itself, or a locally
+// hosted model served through llama.cpp, Ollama, vLLM, LM Studio and the like
+export class OpenAICompatibleProvider {
+    constructor({ baseUrl, model, apiKey = '', timeout = 30000 }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.timeout = timeout;
+    }
+
+    async complete({ messages, tools }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        try {
+            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    messages,
+                    tools: tools.length ? tools : undefined
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Assistant endpoint returned ${response.status}`);
+            }
+
+            const message = (await response.json()).choices[0].message;
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: parseArguments(call.function.arguments)
+                }))
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+function parseArguments(text) {
+    if (!text) return {};
+    if (typeof text === 'object') return text;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return {};
+    }
+}
+
+// Provider from config ({ baseUrl, model, apiKey }), or null when the chat
+// should stay on the rule-based fallback
+export function createProvider(config = {}) {
+    if (!config.baseUrl) return null;
+    return new OpenAICompatibleProvider({
+        baseUrl: config.baseUrl,
+        model: config.model || 'default',
+        apiKey: config.apiKey,
+        timeout: config.timeout
+    });
+}
+
+export class Assistant {
+    // tools: [{ name, description, parameters (JSON schema), run(args) -> result }]
+    // fallback(message) -> [reply], reply = { text, engineer?, engineerResponse? }
+    constructor(provider, tools, { systemPrompt = () => '', fallback, maxToolRounds = 5, historyLimit = 20 } = {}) {
+        this.provider = provider;
+        this.tools = tools;
+        this.systemPrompt = systemPrompt;
+        this.fallback = fallback;
+        this.maxToolRounds = maxToolRounds;
+        this.historyLimit = historyLimit;
+        this.history = [];
+        this.offline = !provider;
+    }
+
+    toolDefinitions() {
+        return this.tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+    }
+
+    runTool(call) {
+        const tool = this.tools.find(t => t.name === call.name);
+        if (!tool) return { error: `Unknown tool ${call.name}` };
+        try {
+            return tool.run(call.arguments);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // Answer a chat message; resolves to the replies to show, in order
+    async reply(message) {
+        if (!this.provider) {
+            return this.fallback(message);
+        }
+
+        const turn = [{ role: 'user', content: message }];
+        const replies = [];
+
+        try {
+            for (let round = 0; round <= this.maxToolRounds; round++) {
+                const result = await this.provider.complete({
+                    messages: [{ role: 'system', content: this.systemPrompt() }, ...this.history, ...turn],
+                    tools: round < this.maxToolRounds ? this.toolDefinitions() : []
+                });
+
+                if (result.toolCalls.length === 0) {
+                    turn.push({ role: 'assistant', content: result.content });
+                    replies.push({ text: result.content });
+                    break;
+                }
+
+                turn.push({
+                    role: 'assistant',
+                    content: result.content || null,
+                    tool_calls: result.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                });
+                result.toolCalls.forEach(call => {
+                    turn.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(this.runTool(call)) });
+                });
+            }
+        } catch (error) {
+            const notice = this.offline ? [] : [{ text: `Assistant backend unavailable (${error.message}); using built-in commands.` }];
+            this.offline = true;
+            // Actions the model already took stand; don't carry them out twice
+            if (turn.some(entry => entry.role === 'tool')) {
+                return [...notice, { text: 'The requested actions were carried out, but I lost the connection before I could summarise them.' }];
+            }
+            return [...notice, ...this.fallback(message)];
+        }
+
+        this.offline = false;
+        this.history.push(...turn);
+        this.history = trimHistory(this.history, this.historyLimit);
+        return replies;
+    }
+}
+
+// Keep the most recent messages, starting on a user message so that no tool
+// result is left without the call that produced it
+function trimHistory(history, limit) {
+    if (history.length <= limit) return history;
+    let start = history.length - limit;
+    while (start < history.length && history[start].role !== 'user') start++;
+    return history.slice(start);
+}
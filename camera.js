@@ -0,0 +1,111 @@
+// Camera modes
+//
+// The 3D view's camera is in one of three modes:
+//
+//   orbit   orbiting a target, as the mouse drags it. Named presets and
+//           "focus" views of a single unit (or the unit behind an alarm)
+//           move it there with a smooth transition.
+//   follow  orbiting an engineer, the target moving with them as they walk
+//           to a job
+//   walk    first person at eye height: WASD to walk and the mouse to look,
+//           as a trainee would walk the plant room floor. The walker can't
+//           pass through equipment footprints or the room walls.
+//
+// This module works out the views, transitions and steps; main.js drives the
+// controls. Views are { position, target } as [x, y, z], and positions on the
+// floor are plain { x, z } objects, as in navigation.js.
+
+export const CAMERA_MODES = ['orbit', 'follow', 'walk'];
+
+export const EYE_HEIGHT = 1.7;
+export const WALK_SPEED = 2;            // m/s, twice that with Shift held
+export const WALKER_RADIUS = 0.4;
+export const TRANSITION_TIME = 1;       // s
+
+// The named views of a plant room with the given layout
+export function cameraPresets(layout) {
+    const { minX, maxX, minZ, maxZ } = layout.bounds;
+    const centreX = (minX + maxX) / 2;
+    const centreZ = (minZ + maxZ) / 2;
+    return {
+        overview: { label: 'Overview', position: [centreX, 5, centreZ + 15], target: [centreX, 0, centreZ] },
+        aerial: { label: 'Aerial', position: [centreX, 25, maxZ + 15], target: [centreX, 0, centreZ] },
+        plan: { label: 'Plan', position: [centreX, 45, centreZ + 0.01], target: [centreX, 0, centreZ] },
+        floor: { label: 'Floor level', position: [centreX, EYE_HEIGHT, maxZ - 1], target: [centreX, EYE_HEIGHT, centreZ] }
+    };
+}
+
+// A view of one unit from its front (+z), far enough out to take it all in
+export function focusView(entry) {
+    const [x, , z] = entry.position;
+    const distance = Math.max(6, entry.footprint.radius * 2.5);
+    return {
+        position: [x + distance * 0.5, 1.5 + distance * 0.6, z + distance],
+        target: [x, 1.5, z]
+    };
+}
+
+// A view of an engineer from behind and above; heading 0 faces +z
+export function followView({ x, z, heading }) {
+    return {
+        position: [x - Math.sin(heading) * 6, 4, z - Math.cos(heading) * 6],
+        target: [x, 1, z]
+    };
+}
+
+const ease = t => t * t * (3 - 2 * t);
+const mix = (from, to, t) => from.map((value, axis) => value + (to[axis] - value) * t);
+
+// A smooth move from one view to another. The destination is given on every
+// step, so a transition can end on something that moves, such as a walking
+// engineer.
+export class CameraTransition {
+    constructor(from, duration = TRANSITION_TIME) {
+        this.from = from;
+        this.duration = duration;
+        this.elapsed = 0;
+    }
+
+    get done() {
+        return this.elapsed >= this.duration;
+    }
+
+    // The view after another dt s on the way to `to`
+    step(dt, to) {
+        this.elapsed = Math.min(this.duration, this.elapsed + dt);
+        const t = ease(this.duration > 0 ? this.elapsed / this.duration : 1);
+        return { position: mix(this.from.position, to.position, t), target: mix(this.from.target, to.target, t) };
+    }
+}
+
+// Where a walker at `from` ends up after trying to move by `move` ({ x, z }):
+// pushed back out of any footprint it would enter, so that it slides along
+// the equipment rather than stopping dead, and kept inside the walls
+export function walkStep(from, move, obstacles, bounds, radius = WALKER_RADIUS) {
+    let x = from.x + move.x;
+    let z = from.z + move.z;
+
+    // Twice over, for a walker wedged between two units
+    for (let pass = 0; pass < 2; pass++) {
+        obstacles.forEach(obstacle => {
+            const reach = obstacle.radius + radius;
+            const dx = x - obstacle.x;
+            const dz = z - obstacle.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance >= reach) return;
+            if (distance === 0) {
+                // Straight back out the way it came
+                x = from.x;
+                z = from.z;
+                return;
+            }
+            x = obstacle.x + dx / distance * reach;
+            z = obstacle.z + dz / distance * reach;
+        });
+    }
+
+    return {
+        x: Math.min(bounds.maxX - radius, Math.max(bounds.minX + radius, x)),
+        z: Math.min(bounds.maxZ - radius, Math.max(bounds.minZ + radius, z))
+    };
+}
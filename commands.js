@@ -0,0 +1,446 @@
+// Chat command grammar
+//
+// A message is split into clauses ("Sarah, check the CW pump and fix the
+// AHU"), and each clause is parsed into an intent plus entities: the unit, a
+// data point, a setpoint and value, and the engineer it is addressed to.
+// Clauses without a verb inherit the previous one ("fix the chiller and the
+// AHU"), and an engineer named once applies to the clauses that follow.
+// When a required entity is missing or ambiguous the interpreter asks a
+// clarifying question and completes the command from the next reply.
+//
+// The parser is driven by a vocabulary supplied by the host (equipment
+// layout, engineer names, live point names, setpoints) and dispatches to
+// host-supplied handlers, so it has no DOM or three.js dependency.
+
+// Each command: intent, trigger phrases, the entities it requires, and the
+// text used to generate `help`. `unitVerbs` only count in a clause that names
+// a unit or the plant, so "how are you" is not read as a status request.
+// `strongVerbs` win over any other command's verbs in the same clause, so
+// "check the status of the CW pump" asks for its status, not an inspection.
+// Otherwise the first command with a verb in the clause wins.
+export const COMMANDS = [
+    {
+        intent: 'help',
+        verbs: ['help', 'commands', 'what can you do'],
+        requires: [],
+        usage: 'help',
+        description: 'List the commands I understand.'
+    },
+    {
+        intent: 'repair',
+        verbs: ['fix', 'repair', 'mend', 'sort out'],
+        requires: ['equipment'],
+        usage: '[engineer,] fix <unit> [diagnosis]',
+        description: 'Raise a repair work order. Naming the fault skips the diagnosis.',
+        example: 'Sarah, fix the chiller refrigerant leak'
+    },
+    {
+        intent: 'inspect',
+        verbs: ['check', 'inspect', 'look at', 'examine', 'maintenance'],
+        requires: ['equipment'],
+        usage: '[engineer,] check <unit>',
+        description: 'Send an engineer to inspect and diagnose a unit.',
+        example: 'Mike, check the AHU'
+    },
+    {
+        intent: 'set',
+        verbs: ['set', 'change', 'adjust', 'lower', 'increase', 'decrease'],
+        requires: ['setpoint', 'value'],
+        usage: 'set <setpoint> to <value>, or increase/lower <setpoint> by <amount>',
+        description: 'Change a control setpoint.',
+        example: 'set the CHW supply setpoint to 6.5'
+    },
+    {
+        intent: 'alarms',
+        verbs: ['alarms', 'alarm list', 'alarm'],
+        requires: [],
+        usage: 'alarms',
+        description: 'List the active alarms.'
+    },
+    {
+        intent: 'status',
+        strongVerbs: ['status', 'overview'],
+        verbs: ['report'],
+        unitVerbs: ['how is', 'how are', 'how\'s'],
+        requires: [],
+        usage: 'status [unit]',
+        description: 'Plant or unit status summary.',
+        example: 'status of the cooling tower'
+    },
+    {
+        intent: 'query',
+        verbs: ['what is', 'what\'s', 'what are', 'show', 'read', 'tell me', 'value of', 'get'],
+        requires: ['equipment', 'point'],
+        usage: 'what is the <unit> <point>',
+        description: 'Read any data point.',
+        example: 'what is the CW pump 1 flow?'
+    },
+    {
+        intent: 'lead',
+        verbs: ['rotate', 'lead'],
+        requires: [],
+        usage: 'rotate the <chillers|towers>, make <unit> lead',
+        description: 'Change the lead/lag order of the chillers or cooling towers.',
+        example: 'make chiller 2 lead'
+    }
+];
+
+// Generic words for an equipment class; resolve to a unit only when the
+// plant has exactly one of that class. Units of a class are told apart by
+// number ("chiller 2"), see findEquipment.
+const CLASS_WORDS = {
+    chiller: ['chiller', 'chillers'],
+    pump: ['pump', 'pumps'],
+    ahu: ['ahu', 'air handler', 'air handling unit'],
+    coolingTower: ['tower', 'cooling tower', 'towers']
+};
+
+// The plant as a whole, for "how is the plant doing?"
+const PLANT_WORDS = ['plant', 'system', 'building'];
+
+// Spellings users reach for that differ from the point names
+const POINT_SYNONYMS = [
+    [/\btemperature\b/g, 'temp'],
+    [/\bdelta ?p\b|\bdp\b|\bdifferential pressure\b/g, 'δp'],
+    [/\bcondenser temp\b/g, 'cond temp'],
+    [/\bkw\b/g, 'power']
+];
+
+// A setpoint moved by `change`, without the float noise of 6.5 + 0.1
+function changedValue(setpoint, change) {
+    return Math.round((setpoint.value + change) * 1000) / 1000;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function containsPhrase(text, phrase) {
+    return new RegExp(`(^|[^\\w])${escapeRegExp(phrase)}($|[^\\w])`).test(text);
+}
+
+export function normalise(text) {
+    return text.toLowerCase().replace(/[’`]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+// Words of a point name without its unit: "Supply Temp (°C)" -> supply, temp
+function pointWords(point) {
+    return point.toLowerCase().replace(/\(.*?\)/g, '').trim().split(/\s+/).filter(Boolean);
+}
+
+// Split on clause boundaries, but not on the decimal point in "6.5"
+export function splitClauses(text) {
+    return text
+        .split(/\s*(?:;|,|\.(?!\d)|\?|!|\band then\b|\bthen\b|\band\b|\balso\b)\s*/)
+        .map(clause => clause.trim())
+        .filter(Boolean);
+}
+
+export class CommandInterpreter {
+    // vocabulary: {
+    //   layout,                    plant layout (equipment, aliases, labels)
+    //   engineers()                -> [name]
+    //   points(equipmentId)        -> [point name]
+    //   setpoints()                -> [{ id, label, equipmentId, aliases, value, unit, min, max }]
+    // }
+    // handlers: { [intent]: (command) => reply | [reply] }, reply = { text, engineer?, engineerResponse? }
+    constructor(vocabulary, handlers) {
+        this.vocabulary = vocabulary;
+        this.handlers = handlers;
+        this.pending = null;    // command waiting on a clarification
+    }
+
+    // Generated from the registry so it never drifts from what is parsed
+    helpText() {
+        const lines = COMMANDS.map(command => {
+            const example = command.example ? ` e.g. "${command.example}"` : '';
+            return `• ${command.usage} — ${command.description}${example}`;
+        });
+        return ['I understand:', ...lines, 'Combine several with "and"; address an engineer by name.'].join('\n');
+    }
+
+    findEngineer(text) {
+        return this.vocabulary.engineers().find(name => containsPhrase(text, name.toLowerCase())) || null;
+    }
+
+    findIntent(text, equipment = null) {
+        const mentions = verbs => (verbs || []).some(verb => containsPhrase(text, verb));
+        const strong = COMMANDS.find(command => mentions(command.strongVerbs));
+        if (strong) return strong.intent;
+
+        const aboutPlant = equipment !== null || PLANT_WORDS.some(word => containsPhrase(text, word));
+        const command = COMMANDS.find(c => mentions(c.verbs) || (aboutPlant && mentions(c.unitVerbs)));
+        return command ? command.intent : null;
+    }
+
+    // { entry } for a single unit, { options: [entry] } when ambiguous, or null.
+    // A numbered name ("chw pump 2") picks its unit; the same name without
+    // the number ("chw pump") offers every unit that shares it.
+    findEquipment(text) {
+        const equipment = this.vocabulary.layout.equipment;
+        text = text.replace(/#\s*(?=\d)/g, '');
+
+        let best = null;
+        let bestLength = 0;
+        const families = new Map();
+        equipment.forEach(entry => {
+            const names = [...(entry.aliases || []), entry.label.toLowerCase(), entry.id.toLowerCase()];
+            names.forEach(name => {
+                if (name.length > bestLength && containsPhrase(text, name)) {
+                    best = entry;
+                    bestLength = name.length;
+                }
+                const family = name.replace(/[ -](\d+|one|two|three|four)$/, '');
+                if (family !== name && containsPhrase(text, family)) {
+                    families.set(family, new Set([...(families.get(family) || []), entry]));
+                }
+            });
+        });
+        if (best) return { entry: best };
+
+        const family = [...families.keys()].sort((a, b) => b.length - a.length)[0];
+        if (family) {
+            const units = [...families.get(family)];
+            return units.length === 1 ? { entry: units[0] } : { options: units };
+        }
+
+        for (const [type, words] of Object.entries(CLASS_WORDS)) {
+            if (words.some(word => containsPhrase(text, word))) {
+                const units = equipment.filter(entry => entry.type === type);
+                if (units.length === 1) return { entry: units[0] };
+                if (units.length > 1) return { options: units };
+            }
+        }
+        return null;
+    }
+
+    // { point } / { options: [point] } / null, looking only at `equipmentId`
+    findPoint(text, equipmentId) {
+        let query = text;
+        POINT_SYNONYMS.forEach(([pattern, replacement]) => {
+            query = query.replace(pattern, replacement);
+        });
+
+        const candidates = this.vocabulary.points(equipmentId)
+            .filter(point => point !== 'status')
+            .map(point => {
+                const words = pointWords(point);
+                const matched = words.filter(word => containsPhrase(query, word)).length;
+                return { point, words: words.length, matched };
+            })
+            .filter(candidate => candidate.matched > 0);
+
+        const full = candidates
+            .filter(candidate => candidate.matched === candidate.words)
+            .sort((a, b) => b.words - a.words);
+        if (full.length === 1 || (full.length > 1 && full[0].words > full[1].words)) {
+            return { point: full[0].point };
+        }
+        const pool = full.length > 0 ? full : candidates;
+        if (pool.length === 1) return { point: pool[0].point };
+        if (pool.length > 1) return { options: pool.map(candidate => candidate.point) };
+        return null;
+    }
+
+    findSetpoint(text, equipment) {
+        const setpoints = this.vocabulary.setpoints();
+        const matched = alias => containsPhrase(text, alias) ? alias.length : 0;
+        const longest = setpoint => Math.max(...setpoint.aliases.map(matched));
+        let named = setpoints.filter(setpoint => longest(setpoint) > 0);
+        // "cw supply setpoint" also contains "supply setpoint"; the longer name wins
+        const best = Math.max(0, ...named.map(longest));
+        if (named.filter(setpoint => longest(setpoint) === best).length === 1) {
+            named = named.filter(setpoint => longest(setpoint) === best);
+        }
+        if (named.length === 1) return { setpoint: named[0] };
+        if (named.length > 1) return { options: named };
+
+        if (equipment && equipment.entry) {
+            const onUnit = setpoints.filter(setpoint => setpoint.equipmentId === equipment.entry.id);
+            if (onUnit.length === 1) return { setpoint: onUnit[0] };
+            if (onUnit.length > 1) return { options: onUnit };
+        }
+        return null;
+    }
+
+    // Prefer the number after "to" so "set chiller 2 setpoint to 6.5" reads 6.5
+    findValue(text) {
+        const target = text.match(/\bto (-?\d+(?:\.\d+)?)/);
+        if (target) return parseFloat(target[1]);
+        const numbers = text.match(/-?\d+(?:\.\d+)?/g);
+        return numbers ? parseFloat(numbers[numbers.length - 1]) : null;
+    }
+
+    // "increase ... by 0.5" / "lower ... by 1": a signed change to the current
+    // setpoint, or null when the value is given outright
+    findChange(text) {
+        const amount = text.match(/\bby (\d+(?:\.\d+)?)/);
+        if (!amount || /\bto -?\d/.test(text)) return null;
+        return (/\b(decrease|lower|reduce)\b/.test(text) ? -1 : 1) * parseFloat(amount[1]);
+    }
+
+    // Parse a whole message into commands
+    parse(message) {
+        const text = normalise(message);
+        const commands = [];
+        let intent = null;
+        let engineer = null;
+
+        splitClauses(text).forEach(clause => {
+            engineer = this.findEngineer(clause) || engineer;
+            const equipment = this.findEquipment(clause);
+            const clauseIntent = this.findIntent(clause, equipment);
+
+            if (clauseIntent) {
+                intent = clauseIntent;
+            } else if (!equipment) {
+                // Just an address ("Sarah") or filler
+                return;
+            }
+
+            // A bare unit and point reads as a question: "chiller cop"
+            const effectiveIntent = intent || 'query';
+            commands.push(this.resolve({ intent: effectiveIntent, text: clause, engineer, equipment }));
+        });
+
+        return commands;
+    }
+
+    // Fill in the entities an intent needs and note what is still missing
+    resolve(command) {
+        const definition = COMMANDS.find(c => c.intent === command.intent);
+        const resolved = { ...command, missing: null, options: null };
+
+        if (command.equipment && command.equipment.entry) {
+            resolved.entry = command.equipment.entry;
+        }
+
+        if (command.intent === 'set') {
+            const setpoint = this.findSetpoint(command.text, command.equipment);
+            const options = setpoint ? setpoint.options : this.vocabulary.setpoints();
+            // With only one setpoint in the plant there is nothing to ask
+            resolved.setpoint = setpoint && setpoint.setpoint ? setpoint.setpoint
+                : options.length === 1 ? options[0] : null;
+            resolved.change = this.findChange(command.text);
+            if (resolved.change === null) {
+                resolved.value = this.findValue(command.text);
+            } else {
+                resolved.value = resolved.setpoint ? changedValue(resolved.setpoint, resolved.change) : null;
+            }
+
+            if (!resolved.setpoint) {
+                resolved.missing = 'setpoint';
+                resolved.options = options;
+            } else if (resolved.value === null) {
+                resolved.missing = 'value';
+            }
+            return resolved;
+        }
+
+        if (definition.requires.includes('equipment') && !resolved.entry) {
+            let options = command.equipment ? command.equipment.options : this.vocabulary.layout.equipment;
+            if (command.intent === 'query' && !command.equipment) {
+                // "what is the flow?" - only units that have such a point
+                const withPoint = options.filter(entry => this.findPoint(command.text, entry.id));
+                if (withPoint.length === 1) {
+                    return this.resolve({ ...command, equipment: { entry: withPoint[0] } });
+                }
+                if (withPoint.length > 1) options = withPoint;
+            }
+            resolved.missing = 'equipment';
+            resolved.options = options;
+            return resolved;
+        }
+
+        if (command.intent === 'query') {
+            const point = this.findPoint(command.text, resolved.entry.id);
+            if (point && point.point) {
+                resolved.point = point.point;
+            } else if (point) {
+                resolved.missing = 'point';
+                resolved.options = point.options;
+            } else {
+                // No point named: report the whole unit
+                resolved.point = null;
+            }
+        }
+        return resolved;
+    }
+
+    question(command) {
+        const list = options => options.join(', ').replace(/, ([^,]*)$/, ' or $1');
+        if (command.missing === 'equipment') {
+            return `Which unit do you mean: ${list(command.options.map(entry => entry.label))}?`;
+        }
+        if (command.missing === 'point') {
+            return `Which reading on the ${command.entry.label}: ${list(command.options)}?`;
+        }
+        if (command.missing === 'setpoint') {
+            return `Which setpoint: ${list(command.options.map(setpoint => setpoint.label))}?`;
+        }
+        return `What value should I set the ${command.setpoint.label} to (${command.setpoint.min}–${command.setpoint.max} ${command.setpoint.unit})?`;
+    }
+
+    // Use a reply to fill the slot the pending command was missing
+    answer(message) {
+        const pending = this.pending;
+        this.pending = null;
+        const text = normalise(message);
+
+        // "2" picks the second option offered
+        const index = /^\d+$/.test(text) && pending.options ? parseInt(text, 10) - 1 : -1;
+        const picked = index >= 0 && index < pending.options.length ? pending.options[index] : null;
+
+        if (pending.missing === 'equipment') {
+            const entry = picked || (this.findEquipment(text) || {}).entry;
+            if (!entry) return null;
+            return this.resolve({ ...pending, equipment: { entry } });
+        }
+        if (pending.missing === 'point') {
+            const found = this.findPoint(text, pending.entry.id);
+            const point = picked || (found && found.point);
+            if (!point) return null;
+            return { ...pending, point, missing: null, options: null };
+        }
+        if (pending.missing === 'setpoint') {
+            const found = this.findSetpoint(text, null);
+            const setpoint = picked || (found && found.setpoint);
+            if (!setpoint) return null;
+            const value = pending.value ?? (pending.change != null
+                ? changedValue(setpoint, pending.change) : this.findValue(text));
+            return { ...pending, setpoint, value, missing: value === null ? 'value' : null, options: null };
+        }
+        const value = this.findValue(text);
+        if (value === null) return null;
+        return { ...pending, value, missing: null };
+    }
+
+    // Parse and run a message; returns the replies in order
+    handle(message) {
+        let commands = null;
+        if (this.pending) {
+            const completed = this.answer(message);
+            if (completed) commands = [completed];
+        }
+        if (!commands) {
+            commands = this.parse(message);
+        }
+
+        if (commands.length === 0) {
+            return [{ text: `Sorry, I didn't catch that. Type 'help' to see what I can do.` }];
+        }
+
+        const replies = [];
+        for (const command of commands) {
+            if (command.missing) {
+                // Ask about the first incomplete command; anything after it waits
+                this.pending = command;
+                replies.push({ text: this.question(command) });
+                break;
+            }
+            const result = this.handlers[command.intent](command);
+            replies.push(...(Array.isArray(result) ? result : [result]));
+        }
+        return replies;
+    }
+}
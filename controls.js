@@ -0,0 +1,49 @@
+// Control loops
+//
+// The plant's sequence of operations runs on PID loops (see CONTROL_LOOPS in
+// plant.js): each one measures a process variable, compares it with its
+// setpoint and moves an actuator - a pump or fan speed, a valve, or another
+// loop's setpoint in the case of CHW reset.
+//
+// The controller is the velocity (incremental) form of PID: every update
+// nudges the current output rather than computing it from scratch. The
+// output itself is the controller's memory, so clamping it is all the
+// anti-windup it needs, and a loop switched from manual back to auto carries
+// on from wherever the operator left it, without a bump.
+
+export const LOOP_MODES = ['auto', 'manual'];
+
+export class PidController {
+    // action 'direct': the output rises while the measurement is above the
+    // setpoint (a cooling valve); 'reverse': it falls (a pump on pressure)
+    constructor({ kp, ki, kd = 0, min, max, action = 'direct' }) {
+        this.kp = kp;
+        this.ki = ki;
+        this.kd = kd;
+        this.min = min;
+        this.max = max;
+        this.action = action;
+        this.reset();
+    }
+
+    // Forget the error history, e.g. when a loop goes back to auto
+    reset() {
+        this.error = null;
+        this.previousError = null;
+    }
+
+    // The next output from the current one
+    update(output, setpoint, measured, dt) {
+        const error = this.action === 'direct' ? measured - setpoint : setpoint - measured;
+        const last = this.error ?? error;
+        const beforeLast = this.previousError ?? last;
+
+        const change = this.kp * (error - last) +
+            this.ki * error * dt +
+            (dt > 0 ? this.kd * (error - 2 * last + beforeLast) / dt : 0);
+
+        this.previousError = last;
+        this.error = error;
+        return Math.min(this.max, Math.max(this.min, output + change));
+    }
+}
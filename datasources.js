@@ -0,0 +1,350 @@
+// Data sources
+//
+// Where the readings in equipmentData come from. The built-in plant model is
+// one source; the others feed the same table from outside, so the 3D room,
+// alarms, KPIs and chat work as a view of a real plant:
+//
+//   SimulatorSource  the plant model (default)
+//   FeedSource       a live WebSocket feed of JSON point updates, either
+//                    batches { points: { name: value } } or MQTT-style
+//                    { topic, value } messages
+//   ReplaySource     a CSV or JSON trend file played back on the sim clock
+//
+// External point names are translated by a PointMap (see pointmap.json):
+// each name maps onto an equipment id and point, with optional scale/offset
+// for unit conversion and a `values` table for enumerated states.
+//
+// Every source has start(), stop(), step(dt) - called on the plant's 2 s tick -
+// and a status: 'idle' | 'connecting' | 'live' | 'stale' | 'ended' | 'error'.
+// onChange(listener) reports status changes as listener('status', source).
+
+// A feed with no messages for this long is marked stale (ms)
+export const STALE_AFTER = 30000;
+
+export class PointMap {
+    // config: { points: { externalName: { equipmentId, point, scale?, offset?, values? } } }
+    constructor(config, { topicPrefix = '' } = {}) {
+        this.points = config.points;
+        this.topicPrefix = topicPrefix;
+        this.unmapped = new Set();      // names seen that the map doesn't know
+    }
+
+    // Convert an external value to the equipmentData one
+    decode(mapping, value) {
+        if (mapping.values) {
+            return mapping.values[String(value)] ?? String(value);
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) return null;
+        return Math.round((number * (mapping.scale ?? 1) + (mapping.offset ?? 0)) * 100) / 100;
+    }
+
+    // Write { externalName: value } readings into equipmentData; returns how
+    // many points were updated
+    apply(equipmentData, readings) {
+        let applied = 0;
+        Object.entries(readings).forEach(([rawName, value]) => {
+            const name = rawName.startsWith(this.topicPrefix) ? rawName.slice(this.topicPrefix.length) : rawName;
+            const mapping = this.points[name];
+            if (!mapping || !equipmentData[mapping.equipmentId]) {
+                this.unmapped.add(name);
+                return;
+            }
+            const decoded = this.decode(mapping, value);
+            if (decoded === null) return;
+            equipmentData[mapping.equipmentId][mapping.point] = decoded;
+            applied++;
+        });
+        return applied;
+    }
+
+    // The reverse: equipmentData as { externalName: value }, e.g. to publish
+    // the simulator's readings as a feed. States that start with a mapped
+    // state ("Tripped (high condenser pressure)") take its code.
+    read(equipmentData) {
+        const readings = {};
+        Object.entries(this.points).forEach(([name, mapping]) => {
+            const value = (equipmentData[mapping.equipmentId] || {})[mapping.point];
+            if (value === undefined) return;
+            if (mapping.values) {
+                const codes = Object.entries(mapping.values);
+                const match = codes.find(([, state]) => state === value) ||
+                    codes.find(([, state]) => String(value).startsWith(state));
+                if (match) readings[this.topicPrefix + name] = Number(match[0]);
+                return;
+            }
+            readings[this.topicPrefix + name] = (value - (mapping.offset ?? 0)) / (mapping.scale ?? 1);
+        });
+        return readings;
+    }
+}
+
+class DataSource {
+    constructor(kind, label) {
+        this.kind = kind;
+        this.label = label;
+        this.status = 'idle';
+        this.detail = '';
+        this.simulated = false;     // readings come from the plant model, so faults show in them
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setStatus(status, detail = '') {
+        if (status === this.status && detail === this.detail) return;
+        this.status = status;
+        this.detail = detail;
+        this.listeners.forEach(listener => listener('status', this));
+    }
+
+    start() {}
+
+    stop() {
+        this.setStatus('idle');
+    }
+
+    step() {}
+}
+
+export class SimulatorSource extends DataSource {
+    constructor(plantModel) {
+        super('simulator', 'Simulator');
+        this.plantModel = plantModel;
+        this.simulated = true;
+    }
+
+    start() {
+        this.setStatus('live');
+    }
+
+    step(dt) {
+        this.plantModel.step(dt);
+    }
+}
+
+// Live point feed over a WebSocket. Reconnects with back-off until stopped.
+export class FeedSource extends DataSource {
+    constructor(equipmentData, pointMap, { url, WebSocketImpl = globalThis.WebSocket, now = () => Date.now() }) {
+        super('feed', `Live feed ${url}`);
+        this.equipmentData = equipmentData;
+        this.pointMap = pointMap;
+        this.url = url;
+        this.WebSocketImpl = WebSocketImpl;
+        this.now = now;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.retryDelay = 1000;
+        this.lastMessageAt = null;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    connect() {
+        if (!this.WebSocketImpl) {
+            this.setStatus('error', 'WebSockets are not available here');
+            return;
+        }
+        this.setStatus('connecting');
+        let socket;
+        try {
+            socket = new this.WebSocketImpl(this.url);
+        } catch (error) {
+            this.setStatus('error', error.message);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.retryDelay = 1000;
+            this.lastMessageAt = this.now();
+            this.setStatus('live');
+        };
+        socket.onmessage = event => this.receive(event.data);
+        socket.onerror = () => this.setStatus('error', 'connection failed');
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (!this.stopped) {
+                this.setStatus('error', 'disconnected');
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.stopped) return;
+        this.reconnectTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    }
+
+    // One message: a batch, a single topic/value, or an array of either
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+
+        const readings = {};
+        (Array.isArray(message) ? message : [message]).forEach(item => {
+            if (item && item.points) Object.assign(readings, item.points);
+            if (item && item.topic !== undefined) readings[item.topic] = item.value ?? item.payload;
+        });
+
+        this.pointMap.apply(this.equipmentData, readings);
+        this.lastMessageAt = this.now();
+        if (this.status !== 'live') this.setStatus('live');
+    }
+
+    step() {
+        if (this.status === 'live' && this.now() - this.lastMessageAt > STALE_AFTER) {
+            this.setStatus('stale', 'no data for 30 s');
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        super.stop();
+    }
+}
+
+// Trend file samples as [{ time (s from the first sample), readings }]
+// Numbers, and numeric strings, are seconds; anything else is a date
+function parseTime(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    if (text !== '' && Number.isFinite(Number(text))) return Number(text);
+    return Date.parse(text) / 1000;
+}
+
+// Split a CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map(value => value.trim());
+}
+
+// CSV: a time column (`time` or `timestamp`, ISO dates or seconds) followed
+// by one column per external point name; empty cells are skipped.
+// JSON: [{ time, points: { name: value } }] or { samples: [...] }.
+// Throws an Error explaining why a file can't be used.
+export function parseTrend(text, format) {
+    let samples;
+    if (format === 'csv') {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) throw new Error('The trend file has no samples.');
+        const header = splitCsvLine(lines[0]);
+        if (!/^(time|timestamp)$/i.test(header[0])) {
+            throw new Error('The first column of a trend file must be time or timestamp.');
+        }
+        samples = lines.slice(1).map(line => {
+            const fields = splitCsvLine(line);
+            const points = {};
+            header.slice(1).forEach((name, i) => {
+                if (fields[i + 1] !== undefined && fields[i + 1] !== '') points[name] = fields[i + 1];
+            });
+            return { time: parseTime(fields[0]), points };
+        });
+    } else {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('The trend file is not valid JSON.');
+        }
+        const list = Array.isArray(data) ? data : data.samples;
+        if (!Array.isArray(list) || list.length === 0) throw new Error('The trend file has no samples.');
+        samples = list.map(sample => ({ time: parseTime(sample.time), points: sample.points || {} }));
+    }
+
+    if (samples.some(sample => !Number.isFinite(sample.time))) {
+        throw new Error('The trend file has a sample with an unreadable time.');
+    }
+    samples.sort((a, b) => a.time - b.time);
+    const start = samples[0].time;
+    return samples.map(sample => ({ time: sample.time - start, readings: sample.points }));
+}
+
+// Plays a trend back in simulation time, so pause and speed apply to it
+export class ReplaySource extends DataSource {
+    constructor(equipmentData, pointMap, samples, { name = 'trend', loop = false } = {}) {
+        super('replay', `Replay of ${name}`);
+        this.equipmentData = equipmentData;
+        this.pointMap = pointMap;
+        this.samples = samples;
+        this.loop = loop;
+        this.time = 0;
+        this.next = 0;              // index of the next sample to apply
+        this.duration = samples[samples.length - 1].time;
+    }
+
+    start() {
+        this.time = 0;
+        this.next = 0;
+        this.applyDue();
+        this.setStatus('live');
+    }
+
+    step(dt) {
+        if (this.status !== 'live') return;
+        this.time += dt;
+        this.applyDue();
+
+        if (this.next >= this.samples.length) {
+            if (this.loop) {
+                this.time = 0;
+                this.next = 0;
+            } else {
+                this.setStatus('ended', 'end of trend');
+            }
+        }
+    }
+
+    applyDue() {
+        while (this.next < this.samples.length && this.samples[this.next].time <= this.time) {
+            this.pointMap.apply(this.equipmentData, this.samples[this.next].readings);
+            this.next++;
+        }
+    }
+
+    progress() {
+        return this.duration > 0 ? Math.min(1, this.time / this.duration) : 1;
+    }
+}
@@ -0,0 +1,201 @@
+// Energy and efficiency KPIs
+//
+// Adds up the `Power (kW)` of every unit into plant kW, kWh and cost on a
+// time-of-use tariff, alongside the usual efficiency figures: cooling load in
+// tons, the chillers' combined COP and plant kW/ton.
+//
+// What a fault costs is measured against a healthy twin of the plant: a second
+// PlantModel with no faults, kept at the same setpoints and building load,
+// steps alongside the real one. While faults are active the difference in
+// plant kW is booked to them, split evenly when there is more than one.
+// Faults that shed load (a tripped chiller uses less power, not more) show no
+// energy cost; what they cost is comfort.
+
+import { PlantModel } from './plant.js';
+import { createEquipmentData, plantDesign, plantRoles } from './layout.js';
+
+export const KW_PER_TON = 3.517;
+
+// Used when the layout has no tariff of its own. Periods are local hours,
+// `from` inclusive and `to` exclusive.
+export const DEFAULT_TARIFF = {
+    currency: '$',
+    periods: [
+        { name: 'Off-peak', from: 0, to: 7, rate: 0.10 },
+        { name: 'Shoulder', from: 7, to: 14, rate: 0.18 },
+        { name: 'Peak', from: 14, to: 20, rate: 0.32 },
+        { name: 'Shoulder', from: 20, to: 22, rate: 0.18 },
+        { name: 'Off-peak', from: 22, to: 24, rate: 0.10 }
+    ]
+};
+
+const FAULT_HISTORY_LIMIT = 50;
+
+// Cooling delivered by all the chillers (kW) and their combined COP
+export function chillerTotals(equipmentData, chillerIds) {
+    let load = 0;
+    let power = 0;
+    chillerIds.forEach(id => {
+        const points = equipmentData[id] || {};
+        load += points['Load (kW)'] || 0;
+        power += points['Power (kW)'] || 0;
+    });
+    return { load, cop: power > 0 ? load / power : 0 };
+}
+
+// The tariff period in force at a timestamp (ms)
+export function tariffPeriod(tariff, timestamp) {
+    const date = new Date(timestamp);
+    const hour = date.getHours() + date.getMinutes() / 60;
+    return tariff.periods.find(period => hour >= period.from && hour < period.to) || tariff.periods[0];
+}
+
+export function totalPower(equipmentData) {
+    return Object.values(equipmentData).reduce((sum, points) => sum + (points['Power (kW)'] || 0), 0);
+}
+
+export class EnergyMeter {
+    constructor(layout, plantModel, faultManager, { tariff = layout.tariff || DEFAULT_TARIFF, now = () => Date.now() } = {}) {
+        this.plantModel = plantModel;
+        this.faultManager = faultManager;
+        this.tariff = tariff;
+        this.now = now;
+        this.roles = plantRoles(layout);
+        this.kWh = 0;
+        this.cost = 0;
+        this.faultCosts = [];       // { equipmentId, faultId, name, startedAt, endedAt, kWh, cost }
+
+        // Noise-free, fault-free copy of the plant
+        this.healthyData = createEquipmentData(layout);
+        this.healthy = new PlantModel(this.healthyData, plantDesign(layout), () => ({}), this.roles, () => 0.5);
+        this.syncHealthy(true);
+    }
+
+    // Keep the twin on the real plant's setpoints, load, valves and time of
+    // day; `full` also copies the dynamic state, e.g. after loading a save
+    syncHealthy(full = false) {
+        // Same setpoints and loop modes; what a loop in auto writes (CHW
+        // supply under reset) is left to the twin's own loop
+        const loops = this.plantModel.loops();
+        this.plantModel.setpoints().forEach(setpoint => {
+            if (setpoint.loop && loops.find(loop => loop.id === setpoint.loop).mode === 'auto') return;
+            this.healthy.setSetpoint(setpoint.id, setpoint.value);
+        });
+        loops.forEach(loop => {
+            if (loop.mode === 'manual') {
+                this.healthy.setLoopOutput(loop.id, loop.output);
+            } else {
+                this.healthy.setLoopMode(loop.id, 'auto');
+            }
+        });
+        if (full) {
+            this.healthy.restore(this.plantModel.snapshot());
+            this.healthy.resetTrips();
+        }
+        this.healthy.state.loadFactor = this.plantModel.state.loadFactor;
+        Object.entries(this.plantModel.state.units).forEach(([id, unit]) => {
+            if ('isolated' in unit) this.healthy.setPumpIsolated(id, unit.isolated);
+        });
+        this.healthy.state.time = this.plantModel.state.time;
+    }
+
+    // Meter dt seconds at the current readings; call after the plant has stepped
+    step(dt) {
+        this.syncHealthy();
+        this.healthy.state.time -= dt;
+        this.healthy.step(dt);
+
+        const kW = totalPower(this.plantModel.data);
+        const rate = tariffPeriod(this.tariff, this.now()).rate;
+        const kWh = kW * dt / 3600;
+        this.kWh += kWh;
+        this.cost += kWh * rate;
+
+        this.trackFaults();
+        const open = this.faultCosts.filter(record => record.endedAt === null);
+        if (open.length > 0) {
+            const extraKWh = (kW - totalPower(this.healthyData)) * dt / 3600 / open.length;
+            open.forEach(record => {
+                record.kWh += extraKWh;
+                record.cost += extraKWh * rate;
+            });
+        }
+    }
+
+    // Open a record for each new fault and close those that have cleared
+    trackFaults() {
+        const now = this.now();
+        const active = this.faultManager.faultyEquipment().flatMap(equipmentId =>
+            this.faultManager.activeFaults(equipmentId).map(fault => ({ equipmentId, fault }))
+        );
+
+        this.faultCosts.forEach(record => {
+            if (record.endedAt === null && !active.some(({ equipmentId, fault }) =>
+                equipmentId === record.equipmentId && fault.id === record.faultId)) {
+                record.endedAt = now;
+            }
+        });
+
+        active.forEach(({ equipmentId, fault }) => {
+            const open = this.faultCosts.some(record =>
+                record.endedAt === null && record.equipmentId === equipmentId && record.faultId === fault.id);
+            if (!open) {
+                this.faultCosts.push({
+                    equipmentId, faultId: fault.id, name: fault.name,
+                    startedAt: now, endedAt: null, kWh: 0, cost: 0
+                });
+            }
+        });
+
+        // Drop the oldest finished records
+        while (this.faultCosts.length > FAULT_HISTORY_LIMIT) {
+            const index = this.faultCosts.findIndex(record => record.endedAt !== null);
+            if (index < 0) break;
+            this.faultCosts.splice(index, 1);
+        }
+    }
+
+    // Live KPIs
+    kpis() {
+        const data = this.plantModel.data;
+        const chillers = chillerTotals(data, this.roles.chiller || []);
+        const kW = totalPower(data);
+        const tons = chillers.load / KW_PER_TON;
+        const period = tariffPeriod(this.tariff, this.now());
+        return {
+            kW,
+            tons,
+            cop: chillers.cop,
+            kWPerTon: tons > 0 ? kW / tons : null,
+            kWh: this.kWh,
+            cost: this.cost,
+            currency: this.tariff.currency,
+            period: period.name,
+            rate: period.rate
+        };
+    }
+
+    // What each fault has cost so far, newest first; load-shedding faults count as zero
+    faultCostSummary() {
+        return [...this.faultCosts].reverse().map(record => ({
+            ...record,
+            kWh: Math.max(0, record.kWh),
+            cost: Math.max(0, record.cost)
+        }));
+    }
+
+    snapshot() {
+        return {
+            kWh: this.kWh,
+            cost: this.cost,
+            faultCosts: this.faultCosts.map(record => ({ ...record }))
+        };
+    }
+
+    restore(snapshot) {
+        this.kWh = snapshot.kWh;
+        this.cost = snapshot.cost;
+        this.faultCosts = snapshot.faultCosts.map(record => ({ ...record }));
+        this.syncHealthy(true);
+    }
+}
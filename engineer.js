@@ -0,0 +1,326 @@
+// Engineer agents
+//
+// The simulation side of an engineer: where they are, the path they are
+// walking, what they are saying and the job they are working on. Positions
+// are plain { x, z } floor coordinates and all timing is simulation time, so
+// agents run headless; the 3D view reads them each frame to place and animate
+// the character models.
+//
+// Engineers tire: fatigue (0-1) builds while they work and, more slowly, while
+// they walk, and faster once they are past their shift hours. A tired
+// engineer is slower and more error-prone (see pace() and the repair rolls in
+// simulation.js) and, at BREAK_FATIGUE, goes for a break until rested.
+//
+// Shifts rotate: at the end of a shift the engineer's relief is called in and
+// arrives RELIEF_DELAY later. Until then the engineer is on overtime and only
+// takes critical jobs; a job in hand is finished before handing over. The
+// relief (the same crew position, fresh) starts a new shift with no fatigue.
+
+export const ENGINEER_RADIUS = 0.5;
+export const ARRIVAL_DISTANCE = 0.5;
+export const REPLAN_DELAY = 0.5;     // seconds blocked before planning around others
+export const GIVE_UP_DELAY = 5;      // seconds blocked before reporting unreachable
+export const TURN_RATE = 1;          // share of the way round to face the path, per second
+
+// Fatigue gained or lost per second
+export const WORK_FATIGUE = 0.008;
+export const WALK_FATIGUE = 0.001;
+export const REST_RECOVERY = 0.01;
+export const IDLE_RECOVERY = 0.002;
+export const OVERTIME_FACTOR = 2;    // fatigue builds this much faster past the shift
+export const BREAK_FATIGUE = 0.8;    // go for a break at this fatigue...
+export const RESTED_FATIGUE = 0.2;   // ...and come back at this
+export const SHIFT_HOURS = 8;
+export const RELIEF_DELAY = 900;     // seconds from the end of a shift to the relief arriving
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+export class Engineer {
+    // world: {
+    //   navGrid,                   floor plan to route over
+    //   clock,                     SimClock for speech timing
+    //   engineers()                -> every agent, for collisions
+    //   runTask(engineer, step, args)  carries out a scheduled job step
+    // }
+    constructor(name, position, role, world, { shiftHours = SHIFT_HOURS } = {}) {
+        this.name = name;
+        this.role = role;
+        this.world = world;
+        this.position = { x: position.x, z: position.z };
+        this.heading = 0;             // facing, radians about the vertical axis
+        this.targetPosition = null;   // final destination while walking
+        this.destination = null;      // where the walk was asked to go
+        this.path = [];               // remaining waypoints to the destination
+        this.blockedTime = 0;
+        this.nextReplanAt = REPLAN_DELAY;
+        this.navVersion = 0;
+        this.onArrivalCallback = null;
+        this.onUnreachableCallback = null;
+        this.speed = 3;               // metres per second of simulation time
+        this.dialogue = null;
+        this.speechId = 0;
+        this.workRemaining = 0;       // ms of hands-on work left
+        this.task = null;             // next step of the current job: { step, remaining, args }
+        this.currentOrder = null;     // work order being carried out
+        this.fatigue = 0;
+        this.onBreak = false;
+        this.shiftHours = shiftHours;
+        this.shiftStart = world.clock.time;
+        this.jobsDone = 0;            // this shift
+    }
+
+    get isSpeaking() {
+        return this.dialogue !== null;
+    }
+
+    get isWorking() {
+        return this.workRemaining > 0;
+    }
+
+    get onOvertime() {
+        return this.world.clock.time - this.shiftStart >= this.shiftHours * 3600;
+    }
+
+    // The relief has arrived; the handover waits for the job in hand
+    get dueForRelief() {
+        return !this.currentOrder &&
+            this.world.clock.time - this.shiftStart >= this.shiftHours * 3600 + RELIEF_DELAY;
+    }
+
+    get needsBreak() {
+        return this.fatigue >= BREAK_FATIGUE;
+    }
+
+    // How much longer than the book time a job takes, for a competency of
+    // 0-1 in its discipline: a specialist is close to the book, a novice
+    // nearly twice as slow, and fatigue slows either by up to half again
+    pace(skill) {
+        return (2 - skill) * (1 + 0.5 * this.fatigue);
+    }
+
+    // Walk to the break area and rest there until fatigue is back down
+    takeBreak(position) {
+        this.onBreak = true;
+        this.moveTo(position);
+    }
+
+    // Hand over to the next shift, which comes on rested
+    startShift() {
+        if (this.onBreak) this.stopMoving();
+        this.shiftStart = this.world.clock.time;
+        this.jobsDone = 0;
+        this.fatigue = 0;
+        this.onBreak = false;
+    }
+
+    // What the engineer is visibly doing, for animation
+    activity() {
+        if (this.isWorking) return 'working';
+        if (this.targetPosition) return 'walking';
+        if (this.isSpeaking) return 'talking';
+        return 'idle';
+    }
+
+    // Equipment is kept out of the planned path; only other engineers can
+    // step into the way while walking
+    checkCollision(newPosition) {
+        return this.world.engineers().some(other =>
+            other !== this && distance(newPosition, other.position) < ENGINEER_RADIUS * 2
+        );
+    }
+
+    otherEngineerFootprints() {
+        return this.world.engineers()
+            .filter(other => other !== this)
+            .map(other => ({ x: other.position.x, z: other.position.z, radius: ENGINEER_RADIUS }));
+    }
+
+    planPath(destination) {
+        return this.world.navGrid.findPath(this.position, destination, this.otherEngineerFootprints());
+    }
+
+    // Walk to targetPos along a planned path. Returns false (and calls
+    // onUnreachable) when there is no way through; onUnreachable also fires if
+    // the way stays blocked by other engineers for too long mid-route.
+    moveTo(targetPos, onArrival = null, onUnreachable = null) {
+        const path = this.planPath(targetPos);
+        if (!path) {
+            if (onUnreachable) onUnreachable();
+            return false;
+        }
+
+        this.path = path;
+        this.targetPosition = { ...path[path.length - 1] };
+        this.destination = { x: targetPos.x, z: targetPos.z };
+        this.onArrivalCallback = onArrival;
+        this.onUnreachableCallback = onUnreachable;
+        this.blockedTime = 0;
+        this.nextReplanAt = REPLAN_DELAY;
+        this.navVersion = this.world.navGrid.version;
+        return true;
+    }
+
+    stopMoving() {
+        this.targetPosition = null;
+        this.path = [];
+        this.onArrivalCallback = null;
+        this.onUnreachableCallback = null;
+    }
+
+    replan() {
+        const path = this.planPath(this.destination);
+        this.navVersion = this.world.navGrid.version;
+        if (path) {
+            this.path = path;
+            this.targetPosition = { ...path[path.length - 1] };
+        }
+        return Boolean(path);
+    }
+
+    giveUp() {
+        const onUnreachable = this.onUnreachableCallback;
+        this.stopMoving();
+        if (onUnreachable) onUnreachable();
+    }
+
+    updateFatigue(deltaTime) {
+        const overtime = this.onOvertime ? OVERTIME_FACTOR : 1;
+        if (this.isWorking) {
+            this.fatigue += WORK_FATIGUE * overtime * deltaTime;
+        } else if (this.targetPosition) {
+            this.fatigue += WALK_FATIGUE * overtime * deltaTime;
+        } else if (this.onBreak) {
+            this.fatigue -= REST_RECOVERY * deltaTime;
+            if (this.fatigue <= RESTED_FATIGUE) {
+                this.onBreak = false;
+                this.speak('Back from my break.', 3000);
+            }
+        } else if (!this.currentOrder) {
+            this.fatigue -= IDLE_RECOVERY * deltaTime;
+        }
+        this.fatigue = Math.min(1, Math.max(0, this.fatigue));
+    }
+
+    update(deltaTime) {
+        this.updateFatigue(deltaTime);
+
+        // Count down hands-on work and the next step of the job
+        const elapsed = deltaTime * 1000;
+        this.workRemaining = Math.max(0, this.workRemaining - elapsed);
+        if (this.task) {
+            this.task.remaining -= elapsed;
+            if (this.task.remaining <= 0) {
+                const { step, args } = this.task;
+                this.task = null;
+                this.world.runTask(this, step, args);
+            }
+        }
+
+        if (!this.targetPosition || this.isWorking) return;
+
+        // The floor plan changed since the path was planned
+        if (this.navVersion !== this.world.navGrid.version && !this.replan()) {
+            this.giveUp();
+            return;
+        }
+
+        const waypoint = this.path[0];
+        const dx = waypoint.x - this.position.x;
+        const dz = waypoint.z - this.position.z;
+        const remaining = Math.hypot(dx, dz);
+        const isFinal = this.path.length === 1;
+        const stepLength = this.speed * deltaTime;
+
+        if (remaining > (isFinal ? ARRIVAL_DISTANCE : stepLength)) {
+            const moveDistance = Math.min(stepLength, remaining);
+            const newPosition = {
+                x: this.position.x + dx / remaining * moveDistance,
+                z: this.position.z + dz / remaining * moveDistance
+            };
+
+            if (!this.checkCollision(newPosition)) {
+                this.position = newPosition;
+                this.blockedTime = 0;
+                this.nextReplanAt = REPLAN_DELAY;
+
+                // Smoothly rotate to face movement direction
+                const targetAngle = Math.atan2(dx, dz);
+                const angleDiff = targetAngle - this.heading;
+                this.heading += Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff)) * Math.min(1, TURN_RATE * deltaTime);
+            } else {
+                // Another engineer is in the way: wait briefly, then plan
+                // around them, and give up if the way stays shut
+                this.blockedTime += deltaTime;
+                if (this.blockedTime >= GIVE_UP_DELAY) {
+                    this.giveUp();
+                } else if (this.blockedTime >= this.nextReplanAt) {
+                    this.nextReplanAt += REPLAN_DELAY;
+                    this.replan();
+                }
+            }
+        } else if (!isFinal) {
+            this.path.shift();
+        } else {
+            // Reached destination
+            const onArrival = this.onArrivalCallback;
+            this.stopMoving();
+            if (onArrival) onArrival();
+        }
+    }
+
+    speak(text, duration = 3000) {
+        const id = ++this.speechId;
+        this.dialogue = text;
+
+        // A later line replaces this one; only the latest clears the bubble
+        this.world.clock.after(duration / 1000, () => {
+            if (this.speechId === id) this.dialogue = null;
+        });
+    }
+
+    work(duration = 5000) {
+        this.workRemaining = duration;
+    }
+
+    // Run world.runTask(engineer, step, args) after `delay` ms. Jobs are chained
+    // through these rather than timeouts so that a saved game can resume them.
+    schedule(step, delay, args = {}) {
+        this.task = { step, remaining: delay, args };
+    }
+
+    // Where the engineer is and what they are in the middle of, for saving
+    snapshot() {
+        const walking = this.targetPosition && this.destination;
+        return {
+            name: this.name,
+            position: [this.position.x, this.position.z],
+            heading: this.heading,
+            orderId: this.currentOrder ? this.currentOrder.id : null,
+            destination: walking ? [this.destination.x, this.destination.z] : null,
+            workRemaining: this.workRemaining,
+            task: this.task ? { ...this.task } : null,
+            fatigue: this.fatigue,
+            onBreak: this.onBreak,
+            shiftStart: this.shiftStart,
+            jobsDone: this.jobsDone
+        };
+    }
+
+    // Put the engineer back where the snapshot left them. Walks are resumed by
+    // the caller, which knows what to do on arrival.
+    restore(snapshot, order) {
+        this.stopMoving();
+        this.position = { x: snapshot.position[0], z: snapshot.position[1] };
+        this.heading = snapshot.heading;
+        this.currentOrder = order;
+        this.workRemaining = snapshot.workRemaining;
+        this.task = snapshot.task ? { ...snapshot.task } : null;
+        // Saves from before fatigue have a fresh crew
+        this.fatigue = snapshot.fatigue ?? 0;
+        this.onBreak = snapshot.onBreak ?? false;
+        this.shiftStart = snapshot.shiftStart ?? this.world.clock.time;
+        this.jobsDone = snapshot.jobsDone ?? 0;
+    }
+}
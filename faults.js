@@ -0,0 +1,336 @@
+// Fault catalogue and active-fault tracking
+//
+// Each fault type belongs to an equipment class and describes how it shows up
+// in the plant: `effects` are plant-model modifiers that ramp in over `onset`
+// seconds once the fault is injected. Keys ending in `Factor` scale a design
+// value (1 = healthy), the rest are added on top (0 = healthy), and
+// `stopped` takes the unit offline immediately. Faults in the controls - bad
+// sensors and actuators - have `discipline: 'controls'`, so their tickets go
+// to the controls engineer rather than the unit's usual trade.
+//
+// A fault can strike harder than its catalogue entry: its `magnitude` scales
+// the effects (1 = as catalogued), e.g. for a component worn out for want of
+// maintenance (see maintenance.js).
+
+export const SEVERITIES = ['minor', 'major', 'critical'];
+
+export const FAULT_CATALOGUE = {
+    chiller: [
+        {
+            id: 'lowRefrigerant',
+            name: 'Low refrigerant charge',
+            severity: 'major',
+            onset: 240,
+            effects: { capacityFactor: 0.55, evapApproach: 4 },
+            repair: {
+                action: 'Leak-test the circuit, repair the leak and recharge refrigerant',
+                keywords: ['refrigerant', 'recharge', 'charge', 'leak'],
+                duration: 15000
+            }
+        },
+        {
+            id: 'fouledCondenser',
+            name: 'Fouled condenser tubes',
+            severity: 'minor',
+            onset: 300,
+            effects: { condApproach: 6 },
+            repair: {
+                action: 'Isolate the condenser and brush-clean the tubes',
+                keywords: ['foul', 'tube', 'clean', 'condenser'],
+                duration: 12000
+            }
+        },
+        {
+            id: 'compressorTrip',
+            name: 'Compressor overload trip',
+            severity: 'critical',
+            onset: 0,
+            effects: { stopped: true },
+            repair: {
+                action: 'Check motor windings and starter, reset the overload',
+                keywords: ['compressor', 'overload', 'motor', 'reset'],
+                duration: 10000
+            }
+        }
+    ],
+
+    pump: [
+        {
+            id: 'cavitation',
+            name: 'Pump cavitation',
+            severity: 'major',
+            onset: 60,
+            effects: { headFactor: 0.65, flowNoise: 0.15 },
+            repair: {
+                action: 'Vent air from the suction side and restore inlet pressure',
+                keywords: ['cavitat', 'vent', 'suction', 'npsh'],
+                duration: 8000
+            }
+        },
+        {
+            id: 'bearingWear',
+            name: 'Worn motor bearings',
+            severity: 'minor',
+            onset: 300,
+            effects: { efficiencyFactor: 0.75 },
+            repair: {
+                action: 'Replace and grease the motor bearings',
+                keywords: ['bearing', 'grease', 'vibration'],
+                duration: 12000
+            }
+        },
+        {
+            id: 'vfdFault',
+            name: 'VFD fault',
+            severity: 'critical',
+            onset: 0,
+            effects: { stopped: true },
+            repair: {
+                action: 'Read the drive fault code, correct it and reset the VFD',
+                keywords: ['vfd', 'drive', 'inverter'],
+                duration: 6000
+            }
+        },
+        {
+            id: 'dpSensorDrift',
+            name: 'DP transmitter drifting high',
+            severity: 'minor',
+            onset: 300,
+            discipline: 'controls',
+            effects: { dpSensorOffset: 90 },
+            repair: {
+                action: 'Check the DP transmitter against a test gauge and recalibrate it',
+                keywords: ['transmitter', 'sensor', 'calibrat', 'dp', 'drift'],
+                duration: 7000
+            }
+        }
+    ],
+
+    ahu: [
+        {
+            id: 'cloggedFilter',
+            name: 'Clogged filter',
+            severity: 'minor',
+            onset: 240,
+            effects: { airflowFactor: 0.6, filterDp: 280 },
+            repair: {
+                action: 'Replace the filter bank',
+                keywords: ['filter'],
+                duration: 8000
+            }
+        },
+        {
+            id: 'beltSlip',
+            name: 'Fan belt slipping',
+            severity: 'major',
+            onset: 90,
+            effects: { airflowFactor: 0.45, fanPowerFactor: 0.7 },
+            repair: {
+                action: 'Re-tension or replace the fan belt',
+                keywords: ['belt', 'tension', 'pulley'],
+                duration: 9000
+            }
+        },
+        {
+            id: 'vfdFault',
+            name: 'Supply fan VFD fault',
+            severity: 'critical',
+            onset: 0,
+            effects: { stopped: true },
+            repair: {
+                action: 'Read the drive fault code, correct it and reset the VFD',
+                keywords: ['vfd', 'drive', 'inverter'],
+                duration: 6000
+            }
+        },
+        {
+            id: 'valveActuator',
+            name: 'CHW valve actuator slipping',
+            severity: 'major',
+            onset: 120,
+            discipline: 'controls',
+            effects: { valveTravelFactor: 0.35 },
+            repair: {
+                action: 'Re-couple the actuator to the valve stem and stroke-test it',
+                keywords: ['actuator', 'valve', 'stroke', 'linkage'],
+                duration: 8000
+            }
+        }
+    ],
+
+    coolingTower: [
+        {
+            id: 'fanTrip',
+            name: 'Tower fan trip',
+            severity: 'major',
+            onset: 0,
+            effects: { stopped: true },
+            repair: {
+                action: 'Check the fan motor and gearbox, reset the trip',
+                keywords: ['fan', 'trip', 'gearbox', 'reset'],
+                duration: 8000
+            }
+        },
+        {
+            id: 'scaledFill',
+            name: 'Scaled fill media',
+            severity: 'minor',
+            onset: 360,
+            effects: { towerApproach: 4 },
+            repair: {
+                action: 'Descale the fill and adjust water treatment',
+                keywords: ['scale', 'fill', 'descale', 'treatment'],
+                duration: 14000
+            }
+        },
+        {
+            id: 'cwSensorDrift',
+            name: 'CW supply sensor reading low',
+            severity: 'minor',
+            onset: 300,
+            discipline: 'controls',
+            effects: { cwSensorOffset: -4 },
+            repair: {
+                action: 'Check the CW supply sensor against a reference thermometer and replace it',
+                keywords: ['sensor', 'thermometer', 'calibrat', 'drift', 'probe'],
+                duration: 7000
+            }
+        }
+    ]
+};
+
+// Time an engineer spends working out what is wrong before repairing
+export const DIAGNOSIS_DURATION = 4000;
+
+// However hard a fault strikes, a factor never drops below this
+const MIN_FACTOR = 0.05;
+
+// A keyword matches at the start of a word, so stems ("cavitat") still match
+// their endings but "vent" is not found in "prevent", nor "charge" in "discharge"
+function mentions(text, keyword) {
+    return new RegExp(`(?<![a-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text);
+}
+
+// Add plant-model effects, scaled by `scale` (0 = none, 1 = in full), to a
+// set of modifiers: `Factor` keys multiply, `stopped` ORs, the rest add up
+export function addEffects(result, effects, scale) {
+    Object.entries(effects).forEach(([key, value]) => {
+        if (key === 'stopped') {
+            result.stopped = result.stopped || value;
+        } else if (key.endsWith('Factor')) {
+            result[key] = (result[key] ?? 1) * Math.max(MIN_FACTOR, 1 + (value - 1) * scale);
+        } else {
+            result[key] = (result[key] ?? 0) + value * scale;
+        }
+    });
+    return result;
+}
+
+export class FaultManager {
+    constructor(equipmentTypes, random = Math.random) {
+        this.equipmentTypes = equipmentTypes;   // { equipmentId: class }
+        this.random = random;
+        this.active = {};                       // { equipmentId: [fault, ...] }
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, equipmentId, fault) {
+        this.listeners.forEach(listener => listener(event, equipmentId, fault));
+    }
+
+    catalogueFor(equipmentId) {
+        return FAULT_CATALOGUE[this.equipmentTypes[equipmentId]] || [];
+    }
+
+    activeFaults(equipmentId) {
+        return this.active[equipmentId] || [];
+    }
+
+    hasFault(equipmentId) {
+        return this.activeFaults(equipmentId).length > 0;
+    }
+
+    faultyEquipment() {
+        return Object.keys(this.active).filter(id => this.hasFault(id));
+    }
+
+    // Start a fault on a unit; picks a random type from its class if none given
+    inject(equipmentId, faultId = null, { magnitude = 1 } = {}) {
+        const catalogue = this.catalogueFor(equipmentId);
+        const type = faultId
+            ? catalogue.find(f => f.id === faultId)
+            : catalogue[Math.floor(this.random() * catalogue.length)];
+
+        if (!type || this.activeFaults(equipmentId).some(f => f.id === type.id)) {
+            return null;
+        }
+
+        const fault = { ...type, equipmentId, magnitude, age: 0, progress: type.onset > 0 ? 0 : 1 };
+        this.active[equipmentId] = [...this.activeFaults(equipmentId), fault];
+        this.emit('injected', equipmentId, fault);
+        return fault;
+    }
+
+    clear(equipmentId, faultId) {
+        const fault = this.activeFaults(equipmentId).find(f => f.id === faultId);
+        if (!fault) return null;
+
+        this.active[equipmentId] = this.activeFaults(equipmentId).filter(f => f !== fault);
+        this.emit('cleared', equipmentId, fault);
+        return fault;
+    }
+
+    // Active faults by unit as { id, magnitude, age, progress }, for saving
+    snapshot() {
+        const snapshot = {};
+        Object.entries(this.active).forEach(([equipmentId, faults]) => {
+            snapshot[equipmentId] = faults.map(({ id, magnitude, age, progress }) => ({ id, magnitude, age, progress }));
+        });
+        return snapshot;
+    }
+
+    // Reinstate saved faults without announcing them as new
+    restore(snapshot) {
+        this.active = {};
+        Object.entries(snapshot).forEach(([equipmentId, faults]) => {
+            this.active[equipmentId] = faults
+                .map(saved => {
+                    const type = this.catalogueFor(equipmentId).find(f => f.id === saved.id);
+                    return type
+                        ? { ...type, equipmentId, magnitude: saved.magnitude ?? 1, age: saved.age, progress: saved.progress }
+                        : null;
+                })
+                .filter(Boolean);
+        });
+    }
+
+    // Grow every active fault towards full severity
+    step(dt) {
+        Object.values(this.active).forEach(faults => {
+            faults.forEach(fault => {
+                fault.age += dt;
+                fault.progress = fault.onset > 0 ? Math.min(1, fault.age / fault.onset) : 1;
+            });
+        });
+    }
+
+    // Combined plant-model modifiers for one unit
+    modifiers(equipmentId) {
+        const result = {};
+        this.activeFaults(equipmentId).forEach(fault => addEffects(result, fault.effects, fault.progress * fault.magnitude));
+        return result;
+    }
+
+    // Match a free-text diagnosis ("recharge refrigerant") against the catalogue.
+    // Returns the fault type the words point at, or null for a generic request.
+    matchDiagnosis(equipmentId, text) {
+        const lower = text.toLowerCase();
+        return this.catalogueFor(equipmentId).find(type =>
+            type.repair.keywords.some(keyword => mentions(lower, keyword))
+        ) || null;
+    }
+}
@@ -0,0 +1,162 @@
+// Scene labels
+//
+// HTML labels pinned to points in the 3D scene - the equipment readouts and
+// the engineers' speech bubbles - kept in one layer that stays cheap with
+// dozens of them:
+//
+//   - content is written to the page only when it changes, not every frame;
+//     position, opacity and classes likewise
+//   - a label behind the camera, off-screen or beyond `hideDistance` is hidden
+//   - detail follows the camera distance: a label shows its full content
+//     within `detailDistance` and its title alone beyond, fading towards
+//     `farOpacity` as it goes
+//   - a label whose anchor is hidden behind an occluder is dimmed. Occlusion
+//     is tested against the occluders' bounding boxes, and only for a few
+//     labels a frame in turn, as it changes far more slowly than the frames.
+//
+// Occluders are taken to stand still, so each one's box is worked out once.
+
+import * as THREE from 'three';
+
+const DEFAULT_OPTIONS = {
+    detailDistance: 30,
+    hideDistance: 90,
+    farOpacity: 0.5,
+    occludedOpacity: 0.25,
+    occlusionChecksPerFrame: 6
+};
+
+const projected = new THREE.Vector3();
+const ray = new THREE.Ray();
+const hit = new THREE.Vector3();
+
+// Where a label anchored at `position` (world) appears on a width x height
+// screen: { visible, x, y, distance, detail: 'full' | 'title', opacity }
+export function placeLabel(position, camera, width, height, options = DEFAULT_OPTIONS) {
+    const distance = camera.position.distanceTo(position);
+    projected.copy(position).project(camera);
+    const visible = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1
+        && distance <= options.hideDistance;
+
+    const { detailDistance, hideDistance, farOpacity } = options;
+    const fade = Math.min(1, Math.max(0, (distance - detailDistance) / (hideDistance - detailDistance)));
+    return {
+        visible,
+        x: (projected.x * 0.5 + 0.5) * width,
+        y: (-projected.y * 0.5 + 0.5) * height,
+        distance,
+        detail: distance <= detailDistance ? 'full' : 'title',
+        opacity: 1 - (1 - farOpacity) * fade
+    };
+}
+
+// True when one of the boxes lies between `from` and `to`. A box that holds
+// `to` is the label's own object and doesn't count.
+export function occluded(from, to, boxes) {
+    const length = from.distanceTo(to);
+    if (length === 0) return false;
+    ray.origin.copy(from);
+    ray.direction.subVectors(to, from).divideScalar(length);
+    return boxes.some(box => !box.containsPoint(to)
+        && ray.intersectBox(box, hit) !== null
+        && from.distanceTo(hit) < length);
+}
+
+export class LabelLayer {
+    // occluders() returns the objects that can hide a label
+    constructor(container, camera, { occluders = () => [], ...options } = {}) {
+        this.container = container;
+        this.camera = camera;
+        this.occluders = occluders;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.labels = [];
+        this.boxes = new Map();         // occluder -> Box3
+        this.nextCheck = 0;
+    }
+
+    // A label `height` above the origin of `object`, with a title line and
+    // a detail block under it
+    add(object, { className, height = 2 }) {
+        const element = document.createElement('div');
+        const title = document.createElement('div');
+        const detail = document.createElement('div');
+        title.className = 'label-title';
+        detail.className = 'label-detail';
+        element.append(title, detail);
+        element.style.display = 'none';
+        this.container.appendChild(element);
+
+        const label = {
+            object, height, className, element, title, detail,
+            content: { title: '', detail: '', state: '' },
+            shown: { display: 'none', transform: '', opacity: '', className: '' },
+            occluded: false
+        };
+        this.labels.push(label);
+        return label;
+    }
+
+    remove(label) {
+        label.element.remove();
+        this.labels = this.labels.filter(other => other !== label);
+    }
+
+    // Set what a label says: { title, detail, state }, where state is an
+    // extra class such as 'alarm-unacked'
+    set(label, { title = '', detail = '', state = '' }) {
+        if (label.content.title !== title) label.title.textContent = title;
+        if (label.content.detail !== detail) label.detail.textContent = detail;
+        label.content = { title, detail, state };
+    }
+
+    boxOf(object) {
+        if (!this.boxes.has(object)) this.boxes.set(object, new THREE.Box3().setFromObject(object));
+        return this.boxes.get(object);
+    }
+
+    // Place every label for the current camera; call once a frame
+    update(width, height) {
+        const { camera, options } = this;
+        const anchor = new THREE.Vector3();
+
+        if (this.labels.length > 0) {
+            const boxes = this.occluders().map(object => this.boxOf(object));
+            const checks = Math.min(options.occlusionChecksPerFrame, this.labels.length);
+            for (let i = 0; i < checks; i++) {
+                const label = this.labels[this.nextCheck++ % this.labels.length];
+                anchor.setFromMatrixPosition(label.object.matrixWorld);
+                anchor.y += label.height;
+                label.occluded = occluded(camera.position, anchor, boxes.filter(box => box !== this.boxes.get(label.object)));
+            }
+            this.nextCheck %= this.labels.length;
+        }
+
+        this.labels.forEach(label => {
+            anchor.setFromMatrixPosition(label.object.matrixWorld);
+            anchor.y += label.height;
+            const place = placeLabel(anchor, camera, width, height, options);
+            const opacity = label.occluded ? Math.min(place.opacity, options.occludedOpacity) : place.opacity;
+            this.show(label, {
+                display: place.visible ? '' : 'none',
+                transform: `translate(${Math.round(place.x)}px, ${Math.round(place.y)}px) translate(-50%, -100%)`,
+                opacity: opacity.toFixed(2),
+                className: [label.className, label.content.state, place.detail === 'title' && 'far']
+                    .filter(Boolean).join(' ')
+            });
+        });
+    }
+
+    // Write only the properties that changed
+    show(label, shown) {
+        const { element } = label;
+        if (shown.display !== label.shown.display) element.style.display = shown.display;
+        if (shown.display !== 'none') {
+            if (shown.transform !== label.shown.transform) element.style.transform = shown.transform;
+            if (shown.opacity !== label.shown.opacity) element.style.opacity = shown.opacity;
+            if (shown.className !== label.shown.className) element.className = shown.className;
+            label.shown = shown;
+        } else {
+            label.shown = { ...label.shown, display: 'none' };
+        }
+    }
+}
@@ -0,0 +1,87 @@
+// Plant layout helpers
+//
+// A layout (see layout.json) lists every unit in the plant room once: its id,
+// equipment class, model file and transform, footprint, service points and
+// initial data points, along with the electricity tariff (see energy.js),
+// the water loops that connect the units (see piping.js) and the crew's break
+// area.
+// Everything else - the live data table, the plant model
+// roles, nav-grid obstacles and chat names - is derived from it here.
+
+export function getEquipment(layout, equipmentId) {
+    return layout.equipment.find(entry => entry.id === equipmentId) || null;
+}
+
+// Initial equipmentData table: { id: { ...points } }
+export function createEquipmentData(layout) {
+    const data = {};
+    layout.equipment.forEach(entry => {
+        data[entry.id] = { status: 'Running', ...entry.points };
+    });
+    return data;
+}
+
+// Equipment class of each unit: { id: type }
+export function equipmentTypes(layout) {
+    const types = {};
+    layout.equipment.forEach(entry => {
+        types[entry.id] = entry.type;
+    });
+    return types;
+}
+
+// Plant model roles: { role: [id] }, in layout order, which is also the
+// initial lead/lag order and how pumps pair with chillers
+export function plantRoles(layout) {
+    const roles = {};
+    layout.equipment.forEach(entry => {
+        if (entry.role) roles[entry.role] = [...(roles[entry.role] || []), entry.id];
+    });
+    return roles;
+}
+
+// Per-role design overrides for the plant model: { role: { ...design } }
+export function plantDesign(layout) {
+    const design = {};
+    layout.equipment.forEach(entry => {
+        if (entry.role && entry.design) design[entry.role] = entry.design;
+    });
+    return design;
+}
+
+// Circular footprints for the navigation grid
+export function footprints(layout) {
+    return layout.equipment.map(entry => ({
+        x: entry.position[0],
+        z: entry.position[2],
+        radius: entry.footprint.radius
+    }));
+}
+
+// Service points of a unit as { name, x, z }, falling back to a spot just
+// outside its footprint
+export function servicePoints(layout, equipmentId) {
+    const entry = getEquipment(layout, equipmentId);
+    if (!entry) return [];
+    if (!entry.servicePoints || entry.servicePoints.length === 0) {
+        return [{
+            name: 'front',
+            x: entry.position[0],
+            z: entry.position[2] + entry.footprint.radius + 0.5
+        }];
+    }
+    return entry.servicePoints.map(point => ({
+        name: point.name,
+        x: point.position[0],
+        z: point.position[2]
+    }));
+}
+
+// Where engineers go for a break, as { x, z }: the layout's "breakArea", or
+// a corner of the room
+export function breakArea(layout) {
+    if (layout.breakArea) {
+        return { x: layout.breakArea.position[0], z: layout.breakArea.position[2] };
+    }
+    return { x: layout.bounds.minX + 2, z: layout.bounds.minZ + 2 };
+}
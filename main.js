@@ -1,6 +1,26 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
+import { getEquipment, breakArea, footprints } from './layout.js';
+import plantLayout from './layout.json';
+import { PRIORITY_NAMES } from './alarms.js';
+import { Assistant, createProvider } from './assistant.js';
+import { createSave, readSave, saveToStorage, loadFromStorage, clearStorage } from './persistence.js';
+import { SPEEDS } from './simclock.js';
+import { Simulation } from './simulation.js';
+import { ScenarioRunner } from './scenarios.js';
+import scenarioLibrary from './scenarios.json';
+import { PointMap, SimulatorSource, FeedSource, ReplaySource, parseTrend } from './datasources.js';
+import pointMapConfig from './pointmap.json';
+import { pointAlong } from './piping.js';
+import { ROLE_SKILLS } from './workorders.js';
+import { SessionRecorder, SessionPlayer, REPLAY_SPEEDS, poseOf, readRecording } from './recorder.js';
+import { AssetLibrary } from './assets.js';
+import { LabelLayer } from './labels.js';
+import { ShiftLog, buildShiftReport, reportToCSV, reportToHTML } from './report.js';
+import {
+    cameraPresets, focusView, followView, walkStep, CameraTransition, EYE_HEIGHT, WALK_SPEED
+} from './camera.js';
 
 // Scene Setup
 const scene = new THREE.Scene();
@@ -71,280 +91,253 @@ scene.add(floor);
 const gridHelper = new THREE.GridHelper(100, 50, 0x444444, 0x222222);
 scene.add(gridHelper);
 
-// HVAC Equipment Data
-const equipmentData = {
-    chiller1: {
-        'Supply Temp (°C)': 7.2,
-        'Return Temp (°C)': 12.5,
-        'Power (kW)': 450,
-        'Flow': 120,
-        status: 'Running',
-        hasIssue: false
-    },
-    ahu1: {
-        'Power (kW)': 25.5,
-        'Supply Temp (°C)': 18.5,
-        'Return Temp (°C)': 24.2,
-        status: 'Running',
-        hasIssue: false
-    },
-    chillerWaterPump: {
-        'Power (kW)': 15.5,
-        'Pressure (kPa)': 620,
-        status: 'Running',
-        hasIssue: false
-    },
-    condenserWaterPump: {
-        'Power (kW)': 14.2,
-        'Pressure (kPa)': 580,
-        status: 'Running',
-        hasIssue: false
-    },
-    coolingTower: {
-        'Temperature (°C)': 32.1,
-        'Flow': 150,
-        status: 'Running',
-        hasIssue: false
-    }
-};
-
-// Equipment positions for engineers to walk to
-const equipmentPositions = {
-    chiller1: new THREE.Vector3(-10, 0, -8),
-    ahu1: new THREE.Vector3(8, 0, -8),
-    chillerWaterPump: new THREE.Vector3(-5, 0, 5),
-    condenserWaterPump: new THREE.Vector3(-5, 0, 0),
-    coolingTower: new THREE.Vector3(10, 0, 5)
-};
+// The plant, its faults, alarms, work orders and engineers run headless in
+// simulation.js; this file draws them and wires up the controls.
+// `?seed=123` in the URL replays a session exactly.
+const seedParam = new URLSearchParams(location.search).get('seed');
+const sim = new Simulation(plantLayout, { seed: seedParam !== null ? Number(seedParam) : Date.now() });
+const { equipmentData, faultManager, alarmManager, workOrders, engineers } = sim;
+const simClock = sim.clock;
+
+// The whole session is recorded from the start (see recorder.js). While a
+// replay is open the live simulation is paused and the view draws the
+// replay's state instead.
+const recorder = new SessionRecorder(sim);
+const shiftLog = new ShiftLog(sim);
+let replay = null;              // { player, state, wasPaused, chatCount, frame }
 
 // Collision objects array
 const collisionObjects = [];
 
-// HVAC Equipment Creation
-function createHVACEquipment() {
-    const equipment = new THREE.Group();
-
-    // Load Chiller FBX Model
-    const loader = new FBXLoader();
-    loader.load('Chiller.fbx', (fbx) => {
-        fbx.scale.setScalar(0.04); // 4 times bigger than before
-        fbx.position.set(-10, 2, -8);
-
-        fbx.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
-
-        fbx.userData = { type: 'chiller', id: 'chiller1', isObstacle: true, radius: 5 }; // Bigger collision radius
-        equipment.add(fbx);
-        collisionObjects.push(fbx);
+// Models. Every file is loaded once through the asset library (see
+// assets.js); the loading screen shows its progress and hides the scene until
+// every unit and engineer is in place. A model that fails to load is drawn as
+// a grey placeholder and listed on the loading screen.
+const assets = new AssetLibrary();
+const loadingBar = document.getElementById('loading-bar');
+const loadingStatus = document.getElementById('loading-status');
+
+assets.manager.onProgress = (url, loaded, total) => {
+    loadingBar.style.width = `${Math.round(loaded / total * 100)}%`;
+    loadingStatus.textContent = `Loading ${url} (${loaded} of ${total})`;
+};
 
-        // Create equipment label for the chiller
-        createEquipmentLabel(fbx);
-    });
+const placeholderMaterial = new THREE.MeshStandardMaterial({ color: 0x6b7280, wireframe: true });
 
-    // Load AHU FBX Model
-    const ahuLoader = new FBXLoader();
-    ahuLoader.load('AHU.fbx', (fbx) => {
-        fbx.scale.setScalar(0.04); // Same scale as chiller
-        fbx.position.set(8, 2, -8);
+// HVAC Equipment Creation
+const hvacEquipment = new THREE.Group();
+scene.add(hvacEquipment);
 
-        fbx.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
+function placeEquipment(entry, fbx) {
+    fbx.position.fromArray(entry.position);
+    fbx.rotation.set(...entry.rotation.map(THREE.MathUtils.degToRad));
+
+    fbx.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+            if (entry.tint && child.material) {
+                child.material = child.material.clone();
+                child.material.color.set(entry.tint);
             }
-        });
-
-        fbx.userData = { type: 'ahu', id: 'ahu1', isObstacle: true, radius: 3 };
-        equipment.add(fbx);
-        collisionObjects.push(fbx);
-
-        // Create equipment label for the AHU
-        createEquipmentLabel(fbx);
+        }
     });
 
-    // Load Chiller Water Pump FBX Model (Blue)
-    const chillerWaterPumpLoader = new FBXLoader();
-    chillerWaterPumpLoader.load('Pump.fbx', (fbx) => {
-        fbx.scale.setScalar(0.02); // 50% of original size
-        fbx.position.set(-5, 1, 5);
-
-        fbx.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                // Make it blue
-                if (child.material) {
-                    child.material = child.material.clone();
-                    child.material.color.setHex(0x3498db); // Blue color
-                }
-            }
-        });
+    fbx.userData = { type: entry.type, id: entry.id, isObstacle: true, radius: entry.footprint.radius };
+    hvacEquipment.add(fbx);
+    collisionObjects.push(fbx);
 
-        fbx.userData = { type: 'pump', id: 'chillerWaterPump', isObstacle: true, radius: 1.5 };
-        equipment.add(fbx);
-        collisionObjects.push(fbx);
+    // Create equipment label
+    createEquipmentLabel(fbx);
+}
 
-        // Create equipment label for the chiller water pump
-        createEquipmentLabel(fbx);
-    });
+async function createHVACEquipment() {
+    await Promise.all(plantLayout.equipment.map(async entry => {
+        let fbx;
+        try {
+            fbx = await assets.instance(entry.model);
+            fbx.scale.setScalar(entry.scale);
+        } catch {
+            // A box the size of the unit's footprint
+            const size = entry.footprint.radius * 1.4;
+            const box = new THREE.Mesh(new THREE.BoxGeometry(size, 2, size), placeholderMaterial);
+            box.position.y = 1;
+            fbx = new THREE.Group();
+            fbx.add(box);
+        }
+        placeEquipment(entry, fbx);
+    }));
+}
 
-    // Load Condenser Water Pump FBX Model (Green)
-    const condenserWaterPumpLoader = new FBXLoader();
-    condenserWaterPumpLoader.load('Pump.fbx', (fbx) => {
-        fbx.scale.setScalar(0.02); // 50% of original size
-        fbx.position.set(-5, 1, 0);
+// Piping. The runs come from sim.piping (see piping.js); pipes are coloured by
+// water temperature and particles move along them at a speed set by the flow
+// of the leg's pump, so a leg with a stopped pump or a closed valve goes still.
+const PIPE_RADIUS = 0.15;
+const PARTICLE_SPACING = 1.2;
+const PARTICLE_SPEED = 3;       // units per second at design flow
+
+const pipingGroup = new THREE.Group();
+scene.add(pipingGroup);
+const pipeViews = [];           // one per leg: { loop, leg, material, particles, offset }
+const valveViews = [];          // { valve, object, body, wheel }
+
+// Blue for the coldest chilled water through to red for hot condenser water
+function temperatureColour(colour, temperature) {
+    const t = THREE.MathUtils.clamp((temperature - 5) / 35, 0, 1);
+    return colour.setHSL(0.62 * (1 - t), 0.8, 0.5);
+}
 
-        fbx.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                // Make it green
-                if (child.material) {
-                    child.material = child.material.clone();
-                    child.material.color.setHex(0x2ecc71); // Green color
-                }
-            }
-        });
+function createPipeRun(path, material) {
+    const up = new THREE.Vector3(0, 1, 0);
+    for (let i = 1; i < path.length; i++) {
+        const from = new THREE.Vector3(...path[i - 1]);
+        const to = new THREE.Vector3(...path[i]);
+        const direction = to.clone().sub(from);
+        const pipe = new THREE.Mesh(new THREE.CylinderGeometry(PIPE_RADIUS, PIPE_RADIUS, direction.length(), 12), material);
+        pipe.position.copy(from).add(to).multiplyScalar(0.5);
+        pipe.quaternion.setFromUnitVectors(up, direction.normalize());
+        pipe.castShadow = true;
+        pipingGroup.add(pipe);
+
+        // Elbow at each corner
+        if (i < path.length - 1) {
+            const elbow = new THREE.Mesh(new THREE.SphereGeometry(PIPE_RADIUS * 1.2, 12, 8), material);
+            elbow.position.copy(to);
+            pipingGroup.add(elbow);
+        }
+    }
+}
 
-        fbx.userData = { type: 'pump', id: 'condenserWaterPump', isObstacle: true, radius: 1.5 };
-        equipment.add(fbx);
-        collisionObjects.push(fbx);
+function createValve(valve) {
+    const object = new THREE.Group();
+    object.position.fromArray(valve.position);
+
+    const body = new THREE.Mesh(
+        new THREE.CylinderGeometry(PIPE_RADIUS * 2, PIPE_RADIUS * 2, 0.5, 16),
+        new THREE.MeshStandardMaterial({ color: 0x22c55e, metalness: 0.5, roughness: 0.4 })
+    );
+    // Lie the body along the pipe
+    if (valve.axis === 'x') body.rotation.z = Math.PI / 2;
+    else body.rotation.x = Math.PI / 2;
+    const wheel = new THREE.Mesh(
+        new THREE.TorusGeometry(0.35, 0.05, 8, 24),
+        new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.6, roughness: 0.3 })
+    );
+    wheel.position.y = 0.5;
+    wheel.rotation.x = Math.PI / 2;
+    object.add(body, wheel);
+    pipingGroup.add(object);
+
+    valveViews.push({ valve, object, body, wheel });
+}
 
-        // Create equipment label for the condenser water pump
-        createEquipmentLabel(fbx);
+sim.piping.loops.forEach(loop => {
+    loop.legs.forEach(leg => {
+        const material = new THREE.MeshStandardMaterial({ metalness: 0.4, roughness: 0.5 });
+        createPipeRun(leg.path, material);
+
+        const count = Math.max(1, Math.floor(leg.length / PARTICLE_SPACING));
+        const particles = new THREE.InstancedMesh(
+            new THREE.SphereGeometry(PIPE_RADIUS * 1.3, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xffffff }),
+            count
+        );
+        pipingGroup.add(particles);
+        pipeViews.push({ loop, leg, material, particles, offset: 0 });
     });
+    loop.valves.forEach(createValve);
+});
 
-    // Load Cooling Tower FBX Model
-    const ctLoader = new FBXLoader();
-
-    ctLoader.load('CT.fbx', (fbx) => {
-        fbx.scale.setScalar(0.04); // Same scale as other equipment
-        fbx.position.set(10, 2, 5);
-
-        // Set up shadows
-        fbx.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
-
-        fbx.userData = { type: 'coolingTower', id: 'coolingTower', isObstacle: true, radius: 3.5 };
-        equipment.add(fbx);
-        collisionObjects.push(fbx);
-
-        // Create equipment label for the cooling tower
-        createEquipmentLabel(fbx);
+// dt is real time, so the flow stays readable at any simulation speed; it
+// freezes while the simulation (or the replay) is paused
+function updatePiping(dt) {
+    const matrix = new THREE.Matrix4();
+    const data = replay ? replay.state.equipmentData : equipmentData;
+    pipeViews.forEach(view => {
+        const temperature = sim.piping.temperatureOf(view.leg, data);
+        if (temperature !== null) temperatureColour(view.material.color, temperature);
+
+        const fraction = sim.piping.legFlowOf(view.leg, data) / sim.plantModel.loopDesignFlow(view.loop.id);
+        view.offset = (view.offset + dt * PARTICLE_SPEED * fraction) % PARTICLE_SPACING;
+        view.particles.material.color.set(fraction > 0.05 ? 0xffffff : 0x555555);
+
+        for (let i = 0; i < view.particles.count; i++) {
+            const position = pointAlong(view.leg.path, (i * PARTICLE_SPACING + view.offset) / view.leg.length);
+            view.particles.setMatrixAt(i, matrix.makeTranslation(...position));
+        }
+        view.particles.instanceMatrix.needsUpdate = true;
     });
 
-    return equipment;
+    valveViews.forEach(({ valve, body, wheel }) => {
+        const open = replay ? !replay.state.closedValves.includes(valve.id) : valve.open;
+        body.material.color.set(open ? 0x22c55e : 0xef4444);
+        wheel.rotation.z = open ? 0 : Math.PI / 2;
+    });
 }
 
-const hvacEquipment = createHVACEquipment();
-scene.add(hvacEquipment);
+// Engineer models. Each follows one engineer agent from the simulation:
+// position, facing, animation and speech bubble are read from its pose (see
+// recorder.js) every frame - the live one, or the replay's.
+const ENGINEER_CLIPS = {
+    standing: 'Standing.fbx',
+    walking: 'Walking.fbx',
+    talking: 'Talking.fbx',
+    working: 'Working.fbx'
+};
 
-// Engineer System
-class Engineer {
-    constructor(name, position, role) {
-        this.name = name;
-        this.position = position;
-        this.role = role;
+class EngineerView {
+    constructor(engineer) {
+        this.engineer = engineer;
         this.model = null;
         this.mixer = null;
         this.animations = {};
         this.currentAnimation = null;
         this.currentState = 'idle';  // idle, walking, talking, working
-        this.targetPosition = null;
-        this.speed = 0.05;
-        this.dialogue = null;
-        this.dialogueElement = null;
-        this.isSpeaking = false;
-        this.isWorking = false;
-        this.animationsLoaded = 0;
-        this.totalAnimations = 4;
-    }
-
-    loadModel() {
-        const loader = new FBXLoader();
-
-        // Load base model (Standing)
-        loader.load('Standing.fbx', (fbx) => {
-            this.model = fbx;
-            this.model.scale.setScalar(0.01);
-            this.model.position.copy(this.position);
-            this.model.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            scene.add(this.model);
-
-            // Set up animation mixer
-            this.mixer = new THREE.AnimationMixer(this.model);
-
-            // Disable root motion for smoother movement
-            this.mixer.addEventListener('loop', (e) => {
-                if (this.currentAnimation === 'walking') {
-                    // Reset only rotation, not position to avoid pullback
-                    this.model.position.y = 0;
-                }
-            });
-
-            // Store standing animation and play immediately
-            if (fbx.animations.length > 0) {
-                const action = this.mixer.clipAction(fbx.animations[0]);
-                action.setLoop(THREE.LoopRepeat);
-                this.animations.standing = action;
-                this.animationsLoaded++;
-
-                // Play standing animation immediately to avoid T-pose
-                action.play();
-                this.currentState = 'idle';
-                this.currentAnimation = 'standing';
-            }
-
-            // Load other animations
-            this.loadAnimation('Walking.fbx', 'walking');
-            this.loadAnimation('Talking.fbx', 'talking');
-            this.loadAnimation('Working.fbx', 'working');
-        });
+        this.dialogueLabel = null;
+        this.shownDialogue = null;
     }
 
-    loadAnimation(file, name) {
-        const loader = new FBXLoader();
-        loader.load(file, (fbx) => {
-            if (fbx.animations.length > 0) {
-                const clip = fbx.animations[0];
-
-                // Remove position tracks for walking animation to prevent pullback
-                if (name === 'walking') {
-                    const tracks = clip.tracks.filter(track => {
-                        // Keep all tracks except position tracks
-                        return !track.name.includes('.position');
-                    });
-                    const newClip = new THREE.AnimationClip(clip.name, clip.duration, tracks);
-                    const action = this.mixer.clipAction(newClip);
-                    action.setLoop(THREE.LoopRepeat);
-                    this.animations[name] = action;
-                } else {
-                    const action = this.mixer.clipAction(clip);
-                    action.setLoop(THREE.LoopRepeat);
-                    this.animations[name] = action;
-                }
-
-                this.animationsLoaded++;
-
-                // Once all animations loaded, start with standing
-                if (this.animationsLoaded === this.totalAnimations) {
-                    this.setState('idle');
-                }
+    // Resolves once the model is in the scene with its idle animation playing,
+    // so an engineer is never seen in the bind pose
+    async loadModel() {
+        let model;
+        let placeholder = false;
+        try {
+            model = await assets.instance('Standing.fbx');
+            model.scale.setScalar(0.01);
+        } catch {
+            placeholder = true;
+            const capsule = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 1.2), placeholderMaterial);
+            capsule.position.y = 0.9;
+            model = new THREE.Group();
+            model.add(capsule);
+        }
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
             }
         });
+        this.mixer = new THREE.AnimationMixer(model);
+
+        if (!placeholder) {
+            // Clips shared by every engineer; walking stays in place, as the
+            // simulation moves the model. A clip that fails to load leaves the
+            // engineer standing in that state.
+            await Promise.allSettled(Object.entries(ENGINEER_CLIPS).map(async ([name, file]) => {
+                const clip = await assets.clip(file, { inPlace: name === 'walking' });
+                const action = this.mixer.clipAction(clip);
+                action.setLoop(THREE.LoopRepeat);
+                this.animations[name] = action;
+            }));
+        }
+        if (this.animations.standing) {
+            this.animations.standing.play();
+            this.currentAnimation = 'standing';
+        }
+
+        this.model = model;
+        scene.add(model);
     }
 
     setState(newState) {
@@ -376,570 +369,1251 @@ class Engineer {
         this.currentAnimation = animName;
     }
 
-    checkCollision(newPosition) {
-        const engineerRadius = 0.5;
+    // deltaTime is simulation time, so animations freeze while paused
+    update(deltaTime, pose = poseOf(this.engineer)) {
+        if (this.model) {
+            this.model.position.set(pose.x, 0, pose.z);
+            this.model.rotation.y = pose.heading;
+            this.mixer.update(deltaTime);
+            this.setState(pose.activity);
+        }
 
-        // Check collision with equipment
-        for (const obj of collisionObjects) {
-            const objPos = new THREE.Vector3();
-            obj.getWorldPosition(objPos);
+        if (pose.dialogue !== this.shownDialogue) {
+            this.showDialogue(pose.dialogue);
+        }
+    }
 
-            const distance = new THREE.Vector2(
-                newPosition.x - objPos.x,
-                newPosition.z - objPos.z
-            ).length();
+    showDialogue(text) {
+        this.shownDialogue = text;
+        if (!text) {
+            if (this.dialogueLabel) labelLayer.remove(this.dialogueLabel);
+            this.dialogueLabel = null;
+            return;
+        }
 
-            const minDistance = engineerRadius + (obj.userData.radius || 1);
+        // Speech bubble with a typing indicator, above the engineer's head
+        if (!this.dialogueLabel && this.model) {
+            this.dialogueLabel = labelLayer.add(this.model, { className: 'speech-bubble', height: 2.5 });
+            const typingDiv = document.createElement('div');
+            typingDiv.className = 'typing-indicator';
+            typingDiv.innerHTML = '<span></span><span></span><span></span>';
+            this.dialogueLabel.element.appendChild(typingDiv);
+        }
+        if (this.dialogueLabel) labelLayer.set(this.dialogueLabel, { title: text });
+    }
+}
 
-            if (distance < minDistance) {
-                return true;  // Collision detected
-            }
+// Break area: a floor marker where tired engineers go to rest
+{
+    const marker = new THREE.Mesh(
+        new THREE.CircleGeometry(2, 32),
+        new THREE.MeshStandardMaterial({ color: 0x3b82f6, transparent: true, opacity: 0.35 })
+    );
+    const { x, z } = breakArea(plantLayout);
+    marker.rotation.x = -Math.PI / 2;
+    marker.position.set(x, 0.02, z);
+    scene.add(marker);
+}
+
+// Create Engineers
+const engineerViews = engineers.map(engineer => new EngineerView(engineer));
+
+
+// Equipment Labels. The label layer (see labels.js) keeps them over their
+// units; the readings are rewritten only when the data or alarm states change
+// - every data step, or each new frame of a replay.
+const labelLayer = new LabelLayer(document.getElementById('label-layer'), camera, {
+    occluders: () => collisionObjects
+});
+const equipmentLabels = [];
+
+function createEquipmentLabel(equipment) {
+    const label = labelLayer.add(equipment, { className: 'equipment-label' });
+    equipmentLabels.push({ label, equipment });
+    refreshEquipmentLabel(label, equipment.userData.id);
+}
+
+function refreshEquipmentLabel(label, id) {
+    const data = replay ? replay.state.equipmentData[id] : equipmentData[id];
+    if (!data) return;
+
+    // Colour follows the unit's worst alarm state
+    const alarmState = replay ? replay.state.alarmStates[id] || 'normal' : alarmManager.equipmentState(id);
+    labelLayer.set(label, {
+        title: getEquipment(plantLayout, id).label,
+        detail: Object.entries(data)
+            .filter(([key]) => key !== 'status')
+            .map(([key, value]) => `${key}: ${value}`)
+            .join('\n'),
+        state: `alarm-${alarmState}`
+    });
+}
+
+function refreshEquipmentLabels() {
+    equipmentLabels.forEach(({ label, equipment }) => refreshEquipmentLabel(label, equipment.userData.id));
+}
+
+simClock.every(2, refreshEquipmentLabels);
+alarmManager.onChange(refreshEquipmentLabels);
+
+// Function to create an equipment issue. There is no alert of its own; the
+// operator finds out when its symptoms cross an alarm limit.
+window.createIssue = function(equipmentId, faultId = null) {
+    if (!sim.dataSource.simulated) {
+        sim.say('Faults can only be injected while the simulator is the data source.');
+        return;
+    }
+    const fault = sim.injectFault(equipmentId, faultId);
+    if (fault) recorder.action(`Injected ${fault.name.toLowerCase()} on ${getEquipment(plantLayout, equipmentId).label}`);
+};
+
+alarmManager.onChange(renderAlarms);
+
+window.acknowledgeAllAlarms = function() {
+    alarmManager.acknowledgeAll();
+};
+
+window.toggleAlarmPanel = function() {
+    document.getElementById('alarm-panel').classList.toggle('hidden');
+    renderAlarms();
+};
+
+function alarmButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderAlarms() {
+    const summary = alarmManager.summary();
+    const unacked = alarmManager.unacknowledged();
+    const active = summary.filter(alarm => alarm.state !== 'shelved');
+
+    // Banner stays up while anything is active or waiting for acknowledgement
+    const banner = document.getElementById('alarm-banner');
+    banner.classList.toggle('hidden', active.length === 0);
+    if (active.length > 0) {
+        const worst = active[0];
+        banner.className = `priority-${worst.priority}${unacked.length > 0 ? ' unacked' : ''}`;
+        document.getElementById('alarm-banner-text').textContent =
+            `${active.length} alarm(s), ${unacked.length} unacknowledged · ` +
+            `${PRIORITY_NAMES[worst.priority]}: ${alarmManager.describe(worst)}`;
+    }
+
+    const panel = document.getElementById('alarm-panel');
+    if (panel.classList.contains('hidden')) return;
+
+    const current = document.getElementById('alarm-current');
+    current.innerHTML = '';
+    if (summary.length === 0) {
+        current.textContent = 'No alarms.';
+    }
+    summary.forEach(alarm => {
+        const row = document.createElement('div');
+        row.className = `alarm-row priority-${alarm.priority} state-${alarm.state}`;
+
+        const text = document.createElement('span');
+        text.textContent = `P${alarm.priority} ${alarmManager.describe(alarm)} [${alarm.state}]`;
+        row.appendChild(text);
+
+        if (alarm.state === 'unacked' || alarm.state === 'rtn') {
+            row.appendChild(alarmButton('Ack', () => alarmManager.acknowledge(alarm.key)));
+        }
+        if (alarm.state === 'shelved') {
+            row.appendChild(alarmButton('Unshelve', () => alarmManager.unshelve(alarm.key)));
+        } else {
+            row.appendChild(alarmButton('Shelve', () => alarmManager.shelve(alarm.key)));
         }
+        row.appendChild(alarmButton('Focus', () => focusOn(alarm.equipmentId)));
+        current.appendChild(row);
+    });
+
+    const log = document.getElementById('alarm-log');
+    log.innerHTML = '';
+    alarmManager.log.slice(-50).reverse().forEach(entry => {
+        const row = document.createElement('div');
+        row.className = `alarm-log-entry priority-${entry.priority}`;
+        row.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.event.toUpperCase()} P${entry.priority} ${entry.message}`;
+        log.appendChild(row);
+    });
+}
+
+renderAlarms();
 
-        // Check collision with other engineers
-        for (const otherEngineer of engineers) {
-            if (otherEngineer === this || !otherEngineer.model) continue;
+// Chatbot Functions
+window.toggleChatbot = function() {
+    const chatbot = document.getElementById('chatbot-container');
+    const icon = document.getElementById('chatbot-icon');
 
-            const otherPos = otherEngineer.model.position;
-            const distance = new THREE.Vector2(
-                newPosition.x - otherPos.x,
-                newPosition.z - otherPos.z
-            ).length();
+    chatbot.classList.toggle('collapsed');
+    icon.classList.toggle('hidden');
+};
 
-            if (distance < engineerRadius * 2) {
-                return true;  // Collision with other engineer
+window.sendMessage = async function() {
+    const input = document.getElementById('chat-input');
+    const message = input.value.trim();
+
+    if (message && !replay) {
+        sim.say(message, 'user');
+        input.value = '';
+
+        // Replies go to the chat, and any engineer named in them answers
+        sim.deliver(await assistant.reply(message));
+    }
+};
+
+// The chat log lives in the simulation; show lines as they are added
+sim.onChange((event, payload) => {
+    if (event === 'chat') {
+        addChatMessage(payload.text, payload.sender);
+    }
+});
+
+function addChatMessage(text, sender) {
+    const messagesDiv = document.getElementById('chat-messages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${sender}`;
+    messageDiv.textContent = text;
+    messagesDiv.appendChild(messageDiv);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+}
+
+// Language-model backend, configured through VITE_ASSISTANT_* variables (see
+// .env.example). The model drives the simulation through its tools; with no
+// endpoint configured, or when it is unreachable, the chat falls back to the
+// simulation's rule-based commands.
+const assistant = new Assistant(
+    createProvider({
+        baseUrl: import.meta.env.VITE_ASSISTANT_URL,
+        model: import.meta.env.VITE_ASSISTANT_MODEL,
+        apiKey: import.meta.env.VITE_ASSISTANT_API_KEY
+    }),
+    sim.assistantTools(),
+    { systemPrompt: () => sim.assistantPrompt(), fallback: message => sim.handleCommand(message) }
+);
+
+// Work orders
+workOrders.onChange(renderWorkOrders);
+renderWorkOrders();
+
+function renderWorkOrders() {
+    const list = document.getElementById('workorder-list');
+    if (!list) return;
+
+    const time = timestamp => timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+    const name = id => getEquipment(plantLayout, id).label;
+
+    const sections = [
+        ['Open', workOrders.pending(), order => `raised ${time(order.createdAt)}`],
+        ['Assigned', workOrders.byStatus('assigned'), order => `${order.assignee} · ${time(order.assignedAt)}`],
+        ['Completed', workOrders.byStatus('completed').slice(-5).reverse(),
+            order => `${order.assignee} · ${time(order.completedAt)} · ${order.outcome}`]
+    ];
+
+    list.innerHTML = '';
+    sections.forEach(([title, orders, detail]) => {
+        const heading = document.createElement('h4');
+        heading.textContent = `${title} (${orders.length})`;
+        list.appendChild(heading);
+
+        orders.forEach(order => {
+            const item = document.createElement('div');
+            item.className = `workorder priority-${order.priority}`;
+            item.textContent = `#${order.id} P${order.priority} ${order.kind} ${name(order.equipmentId)} — ${detail(order)}`;
+            if (order.status === 'assigned') {
+                item.appendChild(alarmButton('Follow', () => followEngineer(order.assignee)));
+            } else if (order.kind === 'pm') {
+                item.appendChild(alarmButton('Skip', () => skipMaintenance(order)));
             }
+            list.appendChild(item);
+        });
+    });
+}
+
+// Allow Enter key to send
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('chat-input');
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            sendMessage();
         }
+    });
+});
 
-        return false;  // No collision
+// Selection and Inspector
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let selection = null;           // { kind: 'equipment' | 'engineer' | 'valve', id, object }
+let selectionHelper = null;
+let pointerDownAt = null;
+
+// Walk up from a hit mesh to the equipment group or engineer model it belongs to
+function resolvePick(object) {
+    for (let node = object; node; node = node.parent) {
+        if (collisionObjects.includes(node)) {
+            return { kind: 'equipment', id: node.userData.id, object: node };
+        }
+        const view = engineerViews.find(v => v.model === node);
+        if (view) {
+            return { kind: 'engineer', id: view.engineer.name, object: node };
+        }
+        const valveView = valveViews.find(v => v.object === node);
+        if (valveView) {
+            return { kind: 'valve', id: valveView.valve.id, object: node };
+        }
     }
+    return null;
+}
 
-    moveTo(targetPos, onArrival = null) {
-        // Check if target position has collision
-        if (this.checkCollision(targetPos)) {
-            // Find alternative position nearby
-            const angle = Math.random() * Math.PI * 2;
-            const offset = 3;
-            targetPos = new THREE.Vector3(
-                targetPos.x + Math.cos(angle) * offset,
-                0,
-                targetPos.z + Math.sin(angle) * offset
-            );
-        }
+function pick(clientX, clientY) {
+    pointer.x = (clientX / window.innerWidth) * 2 - 1;
+    pointer.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+
+    const targets = [
+        ...collisionObjects,
+        ...engineerViews.filter(v => v.model).map(v => v.model),
+        ...valveViews.map(v => v.object)
+    ];
+    const hits = raycaster.intersectObjects(targets, true);
+    return hits.length > 0 ? resolvePick(hits[0].object) : null;
+}
 
-        this.targetPosition = targetPos.clone();
-        this.targetPosition.y = 0;
-        this.onArrivalCallback = onArrival;
-        this.stuckCounter = 0; // Reset stuck counter
-        this.lastPosition = this.model ? this.model.position.clone() : new THREE.Vector3();
+function select(target) {
+    if (selectionHelper) {
+        scene.remove(selectionHelper);
+        selectionHelper.dispose();
+        selectionHelper = null;
     }
+    selection = target;
 
-    update(deltaTime) {
-        if (this.mixer) {
-            this.mixer.update(deltaTime);
+    const panel = document.getElementById('inspector');
+    if (!target) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    selectionHelper = new THREE.BoxHelper(target.object, 0xffd700);
+    scene.add(selectionHelper);
+
+    panel.classList.remove('hidden');
+    renderInspectorActions();
+    renderInspector();
+}
+
+// Only treat it as a click if the pointer did not drag the camera around
+renderer.domElement.addEventListener('pointerdown', (e) => {
+    pointerDownAt = { x: e.clientX, y: e.clientY };
+});
+
+renderer.domElement.addEventListener('pointerup', (e) => {
+    if (!pointerDownAt) return;
+    const dragged = Math.hypot(e.clientX - pointerDownAt.x, e.clientY - pointerDownAt.y) > 5;
+    pointerDownAt = null;
+    // The inspector shows the live plant, so it stays shut during a replay.
+    // Walking, the pointer is locked and picks at the crosshair.
+    if (!dragged && !replay) {
+        if (cameraMode === 'walk') {
+            select(pick(window.innerWidth / 2, window.innerHeight / 2));
+        } else {
+            select(pick(e.clientX, e.clientY));
         }
+    }
+});
 
-        // Handle movement first (before state changes)
-        if (this.targetPosition && this.model && !this.isWorking) {
-            // Movement state
-            const direction = new THREE.Vector3().subVectors(this.targetPosition, this.model.position);
-            direction.y = 0;  // Keep movement on horizontal plane
-            const distance = direction.length();
-
-            if (distance > 0.5) {
-                // Ensure walking animation is playing
-                if (this.currentState !== 'walking') {
-                    this.setState('walking');
-                }
-
-                direction.normalize();
-
-                // Calculate new position
-                const moveDistance = Math.min(this.speed, distance);
-                const newPosition = this.model.position.clone();
-                newPosition.addScaledVector(direction, moveDistance);
-                newPosition.y = 0;
-
-                // Check if stuck (not moving much)
-                const movedDistance = this.model.position.distanceTo(this.lastPosition);
-                if (movedDistance < 0.01) {
-                    this.stuckCounter = (this.stuckCounter || 0) + 1;
-                } else {
-                    this.stuckCounter = 0;
-                }
-                this.lastPosition = this.model.position.clone();
-
-                // Check collision before moving
-                let moved = false;
-                if (!this.checkCollision(newPosition)) {
-                    this.model.position.copy(newPosition);
-                    moved = true;
-                } else {
-                    // Try to move around obstacle
-                    const perpendicular1 = new THREE.Vector3(-direction.z, 0, direction.x);
-                    const perpendicular2 = new THREE.Vector3(direction.z, 0, -direction.x);
-
-                    // Try diagonal movements for better navigation
-                    const diagonal1 = new THREE.Vector3().addVectors(direction, perpendicular1).normalize();
-                    const diagonal2 = new THREE.Vector3().addVectors(direction, perpendicular2).normalize();
-
-                    const options = [
-                        this.model.position.clone().addScaledVector(perpendicular1, moveDistance * 1.2),
-                        this.model.position.clone().addScaledVector(perpendicular2, moveDistance * 1.2),
-                        this.model.position.clone().addScaledVector(diagonal1, moveDistance),
-                        this.model.position.clone().addScaledVector(diagonal2, moveDistance),
-                    ];
-
-                    // Try each option and pick the first valid one
-                    for (const option of options) {
-                        if (!this.checkCollision(option)) {
-                            this.model.position.copy(option);
-                            moved = true;
-                            break;
-                        }
-                    }
-                }
-
-                // If stuck for too long, try to unstuck by moving backwards slightly
-                if (this.stuckCounter > 30) {
-                    const backwardPos = this.model.position.clone().addScaledVector(direction, -moveDistance * 2);
-                    if (!this.checkCollision(backwardPos)) {
-                        this.model.position.copy(backwardPos);
-                    }
-                    this.stuckCounter = 0;
-                }
-
-                // Smoothly rotate to face movement direction (only if moving)
-                if (moved || this.stuckCounter < 10) {
-                    const targetAngle = Math.atan2(direction.x, direction.z);
-                    const currentAngle = this.model.rotation.y;
-                    const angleDiff = targetAngle - currentAngle;
-                    const shortestAngle = Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff));
-                    this.model.rotation.y += shortestAngle * 0.1;  // Smooth rotation
-                }
-            } else {
-                // Reached destination
-                this.targetPosition = null;
-
-                // Call arrival callback if it exists
-                if (this.onArrivalCallback) {
-                    this.onArrivalCallback();
-                    this.onArrivalCallback = null;
-                }
-
-                if (!this.isSpeaking && !this.isWorking) {
-                    this.setState('idle');
-                }
-            }
+window.closeInspector = function() {
+    select(null);
+};
+
+function addInspectorSection(container, title) {
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    container.appendChild(heading);
+}
+
+function addInspectorRow(container, label, value) {
+    const row = document.createElement('div');
+    row.className = 'inspector-row';
+    const key = document.createElement('span');
+    key.textContent = label;
+    const val = document.createElement('span');
+    val.textContent = value;
+    row.append(key, val);
+    container.appendChild(row);
+}
+
+// Live readings; refreshed while the inspector is open
+function renderInspector() {
+    if (!selection) return;
+
+    const title = document.getElementById('inspector-title');
+    const body = document.getElementById('inspector-points');
+    body.innerHTML = '';
+
+    if (selection.kind === 'equipment') {
+        const entry = getEquipment(plantLayout, selection.id);
+        const data = equipmentData[selection.id];
+        title.textContent = entry.label;
+
+        addInspectorRow(body, 'Status', data.status);
+        addInspectorSection(body, 'Points');
+        Object.entries(data).forEach(([key, value]) => {
+            if (key !== 'status') addInspectorRow(body, key, value);
+        });
+
+        const loops = sim.plantModel.loops().filter(loop => loop.equipmentId === selection.id);
+        if (loops.length > 0) {
+            addInspectorSection(body, 'Control Loops');
+            loops.forEach(loop => {
+                addInspectorRow(body, `${loop.label} (${loop.mode})`,
+                    `${loop.measured} ${loop.value.toFixed(1)} / SP ${loop.setpoint.value} ${loop.setpoint.unit} · out ${loop.output.toFixed(1)} ${loop.unit}`);
+            });
         }
 
-        // State management - set animation based on current state
-        if (this.isWorking) {
-            if (this.currentState !== 'working') {
-                this.setState('working');
-            }
-        } else if (this.isSpeaking && !this.targetPosition) {
-            if (this.currentState !== 'talking') {
-                this.setState('talking');
-            }
-        } else if (!this.targetPosition && !this.isWorking && !this.isSpeaking) {
-            // Idle state
-            if (this.currentState !== 'idle') {
-                this.setState('idle');
-            }
+        addInspectorSection(body, 'Alarms');
+        const alarms = alarmManager.alarms.filter(alarm =>
+            alarm.equipmentId === selection.id && alarm.state !== 'normal'
+        );
+        if (alarms.length === 0) {
+            addInspectorRow(body, 'None', '');
         }
+        alarms.forEach(alarm => {
+            addInspectorRow(body, `P${alarm.priority} ${alarm.point} ${alarm.kind}`, alarm.state);
+        });
 
-        // Update dialogue position
-        this.updateDialoguePosition();
-    }
+        addInspectorSection(body, 'Active Faults');
+        const faults = faultManager.activeFaults(selection.id);
+        if (faults.length === 0) {
+            addInspectorRow(body, 'None', '');
+        }
+        faults.forEach(fault => {
+            addInspectorRow(body, fault.name, `${fault.severity} · ${Math.round(fault.progress * 100)}%`);
+        });
 
-    speak(text, duration = 3000) {
-        this.dialogue = text;
-        this.isSpeaking = true;
-        this.showDialogue(text, duration);
+        const unit = sim.maintenance.unit(selection.id);
+        if (unit && sim.maintenance.catalogueFor(selection.id).length > 0) {
+            addInspectorSection(body, 'Wear');
+            addInspectorRow(body, 'Run hours', `${runHoursText(unit.runHours)} · ${unit.starts} starts`);
+            sim.maintenance.calendar().filter(entry => entry.equipmentId === selection.id).forEach(entry => {
+                addInspectorRow(body, entry.component.name, `${Math.round(entry.wear * 100)}% · PM ${dueText(entry.dueIn)}`);
+            });
+        }
 
-        setTimeout(() => {
-            this.dialogue = null;
-            this.isSpeaking = false;
-        }, duration);
+        addInspectorSection(body, 'Maintenance History');
+        const history = workOrders.orders.filter(order => order.equipmentId === selection.id);
+        if (history.length === 0) {
+            addInspectorRow(body, 'No work orders', '');
+        }
+        history.slice(-6).reverse().forEach(order => {
+            const when = new Date(order.completedAt || order.createdAt).toLocaleTimeString();
+            addInspectorRow(body, `#${order.id} ${order.kind} (${order.status})`,
+                `${order.assignee || '-'} · ${when}${order.outcome ? ` · ${order.outcome}` : ''}`);
+        });
+    } else if (selection.kind === 'valve') {
+        const valve = sim.piping.valve(selection.id);
+        const loop = sim.piping.loops.find(entry => entry.id === valve.loop);
+        title.textContent = valve.label;
+
+        addInspectorRow(body, 'State', valve.open ? 'Open' : 'Closed');
+        addInspectorRow(body, 'Loop', loop.name);
+        addInspectorRow(body, 'Pump', getEquipment(plantLayout, valve.pump).label);
+        addInspectorRow(body, 'Pump flow', `${sim.piping.legFlowOf(loop.legs[valve.leg])} L/s`);
+        addInspectorRow(body, 'Loop flow', `${sim.piping.flowOf(loop)} L/s`);
+        addInspectorRow(body, 'Water temp', `${sim.piping.temperatureOf(loop.legs[valve.leg])} °C`);
+    } else {
+        const engineer = sim.engineer(selection.id);
+        title.textContent = engineer.name;
+
+        addInspectorRow(body, 'Role', engineer.role);
+        addInspectorRow(body, 'State', engineer.activity());
+        addInspectorRow(body, 'Task', sim.describeTask(engineer));
+        addInspectorRow(body, 'Fatigue', `${Math.round(engineer.fatigue * 100)}%`);
+        const hours = (simClock.time - engineer.shiftStart) / 3600;
+        addInspectorRow(body, 'Shift', `${hours.toFixed(1)} of ${engineer.shiftHours} h · ${engineer.jobsDone} jobs${engineer.onOvertime ? ' · overtime' : ''}`);
+        const skills = Object.entries(ROLE_SKILLS[engineer.role] || {});
+        addInspectorRow(body, 'Skills', skills.map(([discipline, skill]) => `${discipline} ${Math.round(skill * 100)}%`).join(', '));
+        const { x, z } = engineer.position;
+        addInspectorRow(body, 'Position', `${x.toFixed(1)}, ${z.toFixed(1)}`);
+        if (engineer.dialogue) {
+            addInspectorRow(body, 'Saying', engineer.dialogue);
+        }
     }
+}
+
+// Action buttons are built once per selection so form state survives refreshes
+function renderInspectorActions() {
+    const actions = document.getElementById('inspector-actions');
+    actions.innerHTML = '';
 
-    work(duration = 5000) {
-        this.isWorking = true;
+    if (selection.kind === 'equipment') {
+        const entry = getEquipment(plantLayout, selection.id);
 
-        setTimeout(() => {
-            this.isWorking = false;
-        }, duration);
+        const dispatchButton = document.createElement('button');
+        dispatchButton.textContent = 'Dispatch engineer';
+        dispatchButton.addEventListener('click', () => {
+            recorder.action(`Dispatched an engineer to ${entry.label}`);
+            sim.say(sim.requestWork('repair', entry, '').text);
+            renderInspector();
+        });
+
+        const faultSelect = document.createElement('select');
+        faultManager.catalogueFor(entry.id).forEach(fault => {
+            const option = document.createElement('option');
+            option.value = fault.id;
+            option.textContent = `${fault.name} (${fault.severity})`;
+            faultSelect.appendChild(option);
+        });
+
+        const injectButton = document.createElement('button');
+        injectButton.textContent = 'Inject fault';
+        injectButton.addEventListener('click', () => {
+            createIssue(entry.id, faultSelect.value);
+            renderInspector();
+        });
+
+        const focusButton = alarmButton('Focus camera', () => focusOn(entry.id));
+
+        actions.append(dispatchButton, faultSelect, injectButton, focusButton);
+        // Lead/lag controls for a chiller or tower with others in its group
+        if ((sim.plantModel.staging[entry.role]?.order.length ?? 0) > 1) {
+            const leadButton = document.createElement('button');
+            leadButton.textContent = 'Make lead';
+            leadButton.addEventListener('click', () => {
+                sim.plantModel.setLead(entry.id);
+                recorder.action(`Made ${entry.label} lead`);
+                renderInspector();
+            });
+
+            const serviceButton = document.createElement('button');
+            const outOfService = () => sim.plantModel.state.outOfService.includes(entry.id);
+            serviceButton.textContent = outOfService() ? 'Return to service' : 'Take out of service';
+            serviceButton.addEventListener('click', () => {
+                sim.plantModel.setOutOfService(entry.id, !outOfService());
+                recorder.action(outOfService() ? `Took ${entry.label} out of service` : `Returned ${entry.label} to service`);
+                serviceButton.textContent = outOfService() ? 'Return to service' : 'Take out of service';
+                renderInspector();
+            });
+            actions.append(leadButton, serviceButton);
+        }
+        sim.plantModel.loops().filter(loop => loop.equipmentId === entry.id).forEach(loop => {
+            actions.appendChild(createLoopControl(loop));
+        });
+    } else if (selection.kind === 'valve') {
+        const valve = sim.piping.valve(selection.id);
+        const toggleButton = document.createElement('button');
+        toggleButton.textContent = valve.open ? 'Close valve' : 'Open valve';
+        toggleButton.addEventListener('click', () => {
+            if (!sim.setValve(valve.id, !valve.open)) {
+                sim.say('Valves can only be operated while the simulator is the data source.');
+            }
+            renderInspectorActions();
+            renderInspector();
+        });
+        actions.append(toggleButton);
+    } else if (selection.kind === 'engineer') {
+        const name = selection.id;
+        actions.append(alarmButton('Follow', () => followEngineer(name)));
     }
+}
+
+// Auto/manual, setpoint and manual output for one control loop
+function createLoopControl(loop) {
+    const container = document.createElement('div');
+    container.className = 'loop-control';
+
+    const title = document.createElement('span');
+    title.textContent = loop.label;
+
+    const modeSelect = document.createElement('select');
+    ['auto', 'manual'].forEach(mode => modeSelect.add(new Option(mode === 'auto' ? 'Auto' : 'Manual', mode)));
+    modeSelect.value = loop.mode;
+    modeSelect.addEventListener('change', () => {
+        sim.plantModel.setLoopMode(loop.id, modeSelect.value);
+        recorder.action(`${loop.label} to ${modeSelect.value}`);
+        renderInspectorActions();
+    });
 
-    showDialogue(text, duration) {
-        // Remove existing dialogue
-        if (this.dialogueElement) {
-            document.body.removeChild(this.dialogueElement);
+    const numberInput = (value, min, max, step) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        Object.assign(input, { value, min, max, step });
+        return input;
+    };
+
+    const setpointInput = numberInput(loop.setpoint.value, loop.setpoint.min, loop.setpoint.max, 0.5);
+    const setpointButton = alarmButton(`Set SP (${loop.setpoint.unit})`, () => {
+        if (sim.plantModel.setSetpoint(loop.setpoint.id, Number(setpointInput.value))) {
+            recorder.action(`${loop.setpoint.label} set to ${setpointInput.value} ${loop.setpoint.unit}`);
+        } else {
+            sim.say(`The ${loop.setpoint.label} must be between ${loop.setpoint.min} and ${loop.setpoint.max} ${loop.setpoint.unit}.`);
         }
+        renderInspector();
+    });
 
-        // Create speech bubble
-        const bubble = document.createElement('div');
-        bubble.className = 'speech-bubble';
-        bubble.textContent = text;
-
-        // Create typing indicator
-        const typingDiv = document.createElement('div');
-        typingDiv.className = 'typing-indicator';
-        typingDiv.innerHTML = '<span></span><span></span><span></span>';
-        bubble.appendChild(typingDiv);
-
-        document.body.appendChild(bubble);
-        this.dialogueElement = bubble;
-
-        // Remove after duration
-        setTimeout(() => {
-            if (this.dialogueElement === bubble) {
-                document.body.removeChild(bubble);
-                this.dialogueElement = null;
-            }
-        }, duration);
+    // Entering an output takes the loop into manual
+    const outputInput = numberInput(Math.round(loop.output * 10) / 10, loop.min, loop.max, loop.unit === '%' ? 5 : 0.5);
+    const outputButton = alarmButton(`Set output (${loop.unit})`, () => {
+        if (sim.plantModel.setLoopOutput(loop.id, Number(outputInput.value))) {
+            recorder.action(`${loop.label} output set to ${outputInput.value} ${loop.unit}`);
+        } else {
+            sim.say(`The ${loop.label} output must be between ${loop.min} and ${loop.max} ${loop.unit}.`);
+        }
+        renderInspectorActions();
+        renderInspector();
+    });
+
+    container.append(title, modeSelect, setpointInput, setpointButton, outputInput, outputButton);
+    return container;
+}
+
+setInterval(renderInspector, 500);
+
+// Energy and efficiency KPIs
+function renderKpis() {
+    const kpis = sim.energy.kpis();
+    const money = value => `${kpis.currency}${value.toFixed(2)}`;
+
+    const values = document.getElementById('kpi-values');
+    values.innerHTML = '';
+    addRow(values, 'kpi-row', 'Plant power', `${kpis.kW.toFixed(0)} kW`);
+    addRow(values, 'kpi-row', 'Cooling load', `${kpis.tons.toFixed(0)} tons`);
+    addRow(values, 'kpi-row', 'Chiller COP', kpis.cop.toFixed(2));
+    addRow(values, 'kpi-row', 'Plant kW/ton', kpis.kWPerTon === null ? '-' : kpis.kWPerTon.toFixed(3));
+    addRow(values, 'kpi-row', 'Energy', `${kpis.kWh.toFixed(1)} kWh`);
+    addRow(values, 'kpi-row', 'Cost', money(kpis.cost));
+    addRow(values, 'kpi-row', 'Tariff', `${kpis.period} · ${money(kpis.rate)}/kWh`);
+
+    const faults = document.getElementById('kpi-faults');
+    faults.innerHTML = '';
+    const costs = sim.energy.faultCostSummary().slice(0, 6);
+    if (costs.length === 0) {
+        addRow(faults, 'kpi-row', 'None', '');
     }
+    costs.forEach(record => {
+        const label = `${getEquipment(plantLayout, record.equipmentId).label} ${record.name.toLowerCase()}`;
+        addRow(faults, `kpi-row${record.endedAt === null ? ' active' : ''}`, label,
+            `${record.kWh.toFixed(1)} kWh · ${money(record.cost)}`);
+    });
+}
 
-    updateDialoguePosition() {
-        if (this.dialogueElement && this.model) {
-            const vector = new THREE.Vector3();
-            vector.setFromMatrixPosition(this.model.matrixWorld);
-            vector.y += 2.5; // Position above head
+renderKpis();
+setInterval(renderKpis, 1000);
 
-            vector.project(camera);
+// Preventive maintenance: the PM calendar, wear and what maintenance (and the
+// lack of it) has cost
+const runHoursText = hours => `${Math.round(hours).toLocaleString()} h`;
+const dueText = dueIn => dueIn < 0 ? `overdue ${runHoursText(-dueIn)}` : `due in ${runHoursText(dueIn)}`;
 
-            const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
-            const y = (-(vector.y * 0.5) + 0.5) * window.innerHeight;
+window.toggleMaintenancePanel = function() {
+    document.getElementById('maintenance-panel').classList.toggle('hidden');
+    renderMaintenance();
+};
 
-            this.dialogueElement.style.left = `${x}px`;
-            this.dialogueElement.style.top = `${y}px`;
-            this.dialogueElement.style.transform = 'translate(-50%, -100%)';
+function renderMaintenance() {
+    const currency = sim.energy.tariff.currency;
+    const money = value => `${currency}${Math.round(value).toLocaleString()}`;
+    const { costs } = sim.maintenance;
+    const calendar = sim.maintenance.calendar();
+
+    const due = calendar.filter(entry => entry.dueIn <= 0).length;
+    document.getElementById('maintenance-status').textContent =
+        `${due > 0 ? `${due} due · ` : ''}PM ${money(costs.planned)} · breakdowns ${money(costs.breakdown)}`;
+
+    if (document.getElementById('maintenance-panel').classList.contains('hidden')) return;
+
+    const list = document.getElementById('maintenance-calendar');
+    list.innerHTML = '';
+    calendar.forEach(({ equipmentId, component, wear, dueIn, skipped }) => {
+        const row = document.createElement('div');
+        row.className = `pm-row${dueIn <= 0 ? ' due' : ''}${wear >= 1 ? ' worn-out' : ''}`;
+
+        const name = document.createElement('span');
+        name.textContent = `${getEquipment(plantLayout, equipmentId).label} · ${component.name}`;
+        name.title = component.task.name;
+
+        const bar = document.createElement('div');
+        bar.className = 'pm-wear';
+        bar.title = `${Math.round(wear * 100)}% worn`;
+        const fill = document.createElement('div');
+        fill.style.width = `${Math.min(100, wear * 100)}%`;
+        bar.appendChild(fill);
+
+        const when = document.createElement('span');
+        when.textContent = dueText(dueIn) + (skipped > 0 ? ` · skipped ${skipped}` : '');
+
+        row.append(name, bar, when);
+        const order = workOrders.findActive(equipmentId, 'pm', component.id);
+        if (!order) {
+            row.appendChild(alarmButton('Do now', () => scheduleMaintenance(equipmentId, component)));
+        } else if (order.status === 'open') {
+            row.appendChild(alarmButton('Skip', () => skipMaintenance(order)));
+        } else {
+            row.appendChild(alarmButton('Follow', () => followEngineer(order.assignee)));
         }
+        list.appendChild(row);
+    });
+
+    const faultEnergy = sim.energy.faultCostSummary().reduce((sum, record) => sum + record.cost, 0);
+    const summary = document.getElementById('maintenance-costs');
+    summary.innerHTML = '';
+    addRow(summary, 'kpi-row', `Planned maintenance (${costs.tasks} tasks)`, money(costs.planned));
+    addRow(summary, 'kpi-row', `Breakdown repairs (${costs.repairs})`, money(costs.breakdown));
+    addRow(summary, 'kpi-row', 'Energy lost to faults', money(faultEnergy));
+    addRow(summary, 'kpi-row', 'Total', money(costs.planned + costs.breakdown + faultEnergy));
+}
+
+function scheduleMaintenance(equipmentId, component) {
+    const order = sim.scheduleMaintenance(equipmentId, component.id);
+    recorder.action(`Scheduled PM: ${getEquipment(plantLayout, equipmentId).label} ${component.task.name.toLowerCase()}`);
+    sim.say(`Work order #${order.id} raised: ${component.task.name.toLowerCase()} on the ${getEquipment(plantLayout, equipmentId).name}.`);
+    renderMaintenance();
+}
+
+function skipMaintenance(order) {
+    if (sim.skipMaintenance(order.id)) {
+        recorder.action(`Skipped PM WO #${order.id}`);
     }
+    renderMaintenance();
 }
 
-// Create Engineers
-const engineers = [
-    new Engineer('Mike', new THREE.Vector3(-3, 0, 0), 'Air Side Specialist'),
-    new Engineer('Sarah', new THREE.Vector3(3, 0, 0), 'Water Side Specialist'),
-    new Engineer('John', new THREE.Vector3(0, 0, -5), 'Controls Engineer')
-];
+workOrders.onChange(renderMaintenance);
+renderMaintenance();
+setInterval(renderMaintenance, 1000);
 
-engineers.forEach(engineer => engineer.loadModel());
+// Data sources: the plant model, a live BMS feed or a replayed trend file
+const FEED_URL = import.meta.env.VITE_FEED_URL || 'ws://localhost:8788';
 
-// Equipment Labels
-const equipmentLabels = [];
+window.selectDataSource = function(kind) {
+    if (kind === 'simulator') {
+        sim.setDataSource(new SimulatorSource(sim.plantModel));
+    } else if (kind === 'feed') {
+        const url = prompt('WebSocket URL of the point feed', FEED_URL);
+        if (url) {
+            sim.setDataSource(new FeedSource(equipmentData, new PointMap(pointMapConfig), { url }));
+        }
+    } else {
+        document.getElementById('trend-file').click();
+    }
+    // Back to the current source until a choice actually changes it
+    renderDataSource();
+};
 
-function createEquipmentLabel(equipment) {
-    const label = document.createElement('div');
-    label.className = 'equipment-label';
-    document.body.appendChild(label);
-    equipmentLabels.push({ element: label, equipment });
+document.getElementById('trend-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const samples = parseTrend(await file.text(), file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+        sim.setDataSource(new ReplaySource(equipmentData, new PointMap(pointMapConfig), samples, { name: file.name }));
+        sim.say(`Replaying ${file.name}: ${samples.length} samples over ${Math.round(samples[samples.length - 1].time / 60)} min.`);
+    } catch (error) {
+        sim.say(`Couldn't replay ${file.name}: ${error.message}`);
+    }
+});
+
+function renderDataSource() {
+    const source = sim.dataSource;
+    document.getElementById('source-select').value = source.kind;
+
+    const status = document.getElementById('source-status');
+    let text = source.kind === 'simulator' ? '' : source.status;
+    if (source.detail) text += ` (${source.detail})`;
+    if (source.kind === 'replay') text += ` · ${Math.round(source.progress() * 100)}%`;
+    const unmapped = source.pointMap ? [...source.pointMap.unmapped] : [];
+    if (unmapped.length > 0) text += ` · ${unmapped.length} unmapped`;
+
+    status.textContent = text;
+    status.title = unmapped.length > 0 ? `Not in pointmap.json: ${unmapped.join(', ')}` : source.label;
+    status.className = `status-${source.status}`;
 }
 
-// Create labels for each equipment
-hvacEquipment.children.forEach(child => {
-    if (child.userData.type) {
-        createEquipmentLabel(child);
-    }
+sim.onChange((event, source) => {
+    if (event !== 'source') return;
+    source.onChange(renderDataSource);
+    renderDataSource();
 });
+renderDataSource();
+setInterval(renderDataSource, 1000);
 
-function updateEquipmentLabels() {
-    equipmentLabels.forEach(({ element, equipment }) => {
-        const vector = new THREE.Vector3();
-        vector.setFromMatrixPosition(equipment.matrixWorld);
-        vector.y += 2;
-
-        vector.project(camera);
-
-        const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
-        const y = (-(vector.y * 0.5) + 0.5) * window.innerHeight;
-
-        element.style.left = `${x}px`;
-        element.style.top = `${y}px`;
-        element.style.transform = 'translate(-50%, -100%)';
-
-        // Update data
-        const data = equipmentData[equipment.userData.id];
-        if (data) {
-            // Custom label names for equipment
-            let labelName = equipment.userData.type.toUpperCase();
-            if (equipment.userData.id === 'chillerWaterPump') {
-                labelName = 'CHW PUMP';
-            } else if (equipment.userData.id === 'condenserWaterPump') {
-                labelName = 'CW PUMP';
-            }
+// Training scenarios
+let scenario = null;        // ScenarioRunner of the current or last lesson
 
-            let text = `${labelName}\n`;
-            Object.entries(data).forEach(([key, value]) => {
-                if (key !== 'hasIssue' && key !== 'status') {
-                    text += `${key}: ${value}\n`;
-                }
-            });
-            element.textContent = text;
-
-            // Change color if there's an issue
-            if (data.hasIssue) {
-                element.style.color = '#ff0000';
-                element.style.borderColor = '#ff0000';
-            } else {
-                element.style.color = '#0f0';
-                element.style.borderColor = '#0f0';
-            }
-        }
+scenarioLibrary.scenarios.forEach(entry => {
+    document.getElementById('scenario-select').add(new Option(entry.title, entry.id));
+});
+
+window.startScenario = function() {
+    if (!confirm('Start the lesson? The current plant state will be replaced.')) return;
+    if (scenario) scenario.abort();
+    stopReplay();
+
+    const id = document.getElementById('scenario-select').value;
+    scenario = new ScenarioRunner(sim, scenarioLibrary.scenarios.find(entry => entry.id === id));
+    scenario.onChange((event, payload) => {
+        renderScenario();
+        if (event === 'finished') showDebrief(payload);
+    });
+    scenario.start();
+    renderScenario();
+};
+
+window.abortScenario = function() {
+    if (scenario && confirm('Abandon the lesson?')) {
+        scenario.abort();
+        sim.say('📋 Lesson abandoned.');
+    }
+};
+
+function renderScenario() {
+    const running = Boolean(scenario && scenario.running);
+    document.getElementById('scenario-start-btn').hidden = running;
+    document.getElementById('scenario-abort-btn').hidden = !running;
+    document.getElementById('scenario-select').disabled = running;
+
+    const list = document.getElementById('scenario-objectives');
+    list.innerHTML = '';
+    if (!running) return;
+
+    const marks = { pending: '○', met: '✓', failed: '✗' };
+    scenario.objectives.forEach(objective => {
+        const item = document.createElement('div');
+        item.className = `objective ${objective.status}`;
+        item.textContent = `${marks[objective.status]} ${objective.description}`;
+        list.appendChild(item);
     });
 }
 
-// Simulate data changes
-setInterval(() => {
-    Object.keys(equipmentData).forEach(key => {
-        const data = equipmentData[key];
+// A label/value row in the debrief or KPI panel
+function addRow(container, className, label, value) {
+    const row = document.createElement('div');
+    row.className = className;
+    const key = document.createElement('span');
+    key.textContent = label;
+    const val = document.createElement('span');
+    val.textContent = value;
+    row.append(key, val);
+    container.appendChild(row);
+}
 
-        // Update temperature fields
-        Object.keys(data).forEach(field => {
-            if (field.includes('Temp') || field === 'Temperature (°C)') {
-                data[field] = parseFloat((parseFloat(data[field]) + (Math.random() - 0.5) * 0.5).toFixed(1));
-            }
-            if (field.includes('Pressure')) {
-                data[field] = Math.round(parseFloat(data[field]) + (Math.random() - 0.5) * 10);
-            }
-            if (field === 'Flow') {
-                data[field] = Math.round(parseFloat(data[field]) + (Math.random() - 0.5) * 5);
-            }
-            if (field.includes('Power')) {
-                data[field] = parseFloat((parseFloat(data[field]) + (Math.random() - 0.5) * 2).toFixed(1));
-            }
-        });
+function showDebrief(debrief) {
+    const minutes = `${Math.floor(debrief.duration / 60)}:${String(Math.round(debrief.duration % 60)).padStart(2, '0')}`;
+    document.getElementById('debrief-title').textContent = `Debrief: ${debrief.scenario} (${minutes})`;
+    document.getElementById('debrief-score').textContent = `${debrief.score} / ${debrief.maxScore}`;
+
+    const parts = document.getElementById('debrief-parts');
+    parts.innerHTML = '';
+    debrief.parts.forEach(part => addRow(parts, 'debrief-row', `${part.label} ${part.score}/${part.max}`, part.detail));
+
+    const objectives = document.getElementById('debrief-objectives');
+    objectives.innerHTML = '';
+    debrief.objectives.forEach(objective => {
+        addRow(objectives, 'debrief-row', objective.description, `${objective.status} at ${Math.round(objective.resolvedAt)} s`);
+    });
+
+    const faults = document.getElementById('debrief-faults');
+    faults.innerHTML = '';
+    debrief.faults.forEach(fault => {
+        const response = fault.responseTime === null ? 'no engineer sent' : `engineer sent after ${Math.round(fault.responseTime)} s`;
+        addRow(faults, 'debrief-row', fault.name, `${response}; diagnosis ${fault.diagnosis}`);
     });
-}, 2000);
 
-// Function to create an equipment issue
-window.createIssue = function(equipmentId) {
-    if (equipmentData[equipmentId]) {
-        equipmentData[equipmentId].status = 'FAULT';
-        equipmentData[equipmentId].hasIssue = true;
-        addChatMessage(`⚠️ ALERT: ${equipmentId.toUpperCase()} has a fault!`, 'ai');
+    document.getElementById('debrief').classList.remove('hidden');
+}
+
+window.closeDebrief = function() {
+    document.getElementById('debrief').classList.add('hidden');
+};
+
+// Saved games
+const AUTOSAVE_INTERVAL = 10000;
+let autosaveEnabled = true;
+
+function captureState() {
+    return createSave({ ...sim.snapshot(), assistant: assistant.history });
+}
+
+function restoreState(save) {
+    // A lesson doesn't survive loading a different plant state
+    if (scenario) scenario.abort();
+    if (replay) stopReplay();
+    sim.restore(save);
+    assistant.history = save.assistant.map(message => ({ ...message }));
+}
+
+// Redraw everything that isn't refreshed every frame
+sim.onChange(event => {
+    if (event !== 'restored') return;
+    document.getElementById('chat-messages').innerHTML = '';
+    sim.chatLog.forEach(message => addChatMessage(message.text, message.sender));
+    select(null);
+    renderAlarms();
+    refreshEquipmentLabels();
+});
+
+function autosave() {
+    if (autosaveEnabled) {
+        saveToStorage(localStorage, captureState());
     }
+}
+
+// Save a blob as a file. The object URL is revoked only after the click has
+// been handled; revoking it straight away cancels the download in some browsers.
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+window.exportState = function() {
+    const save = captureState();
+    const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `plant-${save.savedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`);
 };
 
-// Simulate random equipment issues every 30 seconds
-setInterval(() => {
-    const equipmentIds = Object.keys(equipmentData);
-    const randomEquipment = equipmentIds[Math.floor(Math.random() * equipmentIds.length)];
+window.importState = function() {
+    document.getElementById('import-file').click();
+};
 
-    if (!equipmentData[randomEquipment].hasIssue && Math.random() > 0.7) {
-        createIssue(randomEquipment);
+document.getElementById('import-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const save = readSave(await file.text());
+        restoreState(save);
+        autosave();
+        sim.say(`Loaded ${file.name} (saved ${new Date(save.savedAt).toLocaleString()}).`);
+    } catch (error) {
+        sim.say(`Couldn't load ${file.name}: ${error.message}`);
     }
-}, 30000);
+});
 
-// Chatbot Functions
-window.toggleChatbot = function() {
-    const chatbot = document.getElementById('chatbot-container');
-    const icon = document.getElementById('chatbot-icon');
+// Start again from the layout's initial state
+window.resetState = function() {
+    if (!confirm('Discard the current plant state and start again?')) return;
+    autosaveEnabled = false;
+    clearStorage(localStorage);
+    location.reload();
+};
 
-    chatbot.classList.toggle('collapsed');
-    icon.classList.toggle('hidden');
+// Resume where the last session left off, unless a seed asks for a fresh,
+// reproducible run
+const autosaved = seedParam === null ? loadFromStorage(localStorage) : null;
+if (autosaved) {
+    restoreState(autosaved);
+}
+setInterval(autosave, AUTOSAVE_INTERVAL);
+window.addEventListener('beforeunload', autosave);
+
+// Simulation clock controls
+window.togglePause = function() {
+    simClock.togglePause();
 };
 
-window.sendMessage = function() {
-    const input = document.getElementById('chat-input');
-    const message = input.value.trim();
+// Stepping pauses first, so each click moves the plant on by one step
+window.stepSimulation = function() {
+    if (!simClock.paused) simClock.pause();
+    simClock.step();
+};
 
-    if (message) {
-        addChatMessage(message, 'user');
-        input.value = '';
+window.setSpeed = function(scale) {
+    simClock.setScale(Number(scale));
+};
 
-        // Simulate AI response
-        setTimeout(() => {
-            const response = handleAIResponse(message);
-            addChatMessage(response.text, 'ai');
-
-            // Make engineer respond
-            if (response.engineer) {
-                const engineer = engineers.find(e => e.name === response.engineer);
-                if (engineer) {
-                    engineer.speak(response.engineerResponse, 4000);
-                }
-            }
-        }, 1000);
+function renderClockControls() {
+    document.getElementById('pause-btn').textContent = simClock.paused ? 'Resume' : 'Pause';
+    const select = document.getElementById('speed-select');
+    if (select.options.length === 0) {
+        SPEEDS.forEach(speed => select.add(new Option(`${speed}×`, speed)));
+    }
+    select.value = simClock.scale;
+}
+
+function renderSimTime() {
+    const seconds = Math.floor(simClock.time);
+    const hms = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(n => String(n).padStart(2, '0')).join(':');
+    const text = `T+${hms} · seed ${sim.rng.seed}`;
+    const element = document.getElementById('sim-time');
+    if (element.textContent !== text) element.textContent = text;
+}
+
+simClock.onChange(renderClockControls);
+renderClockControls();
+
+// Session replay. The live simulation waits, paused, until the replay is
+// closed; the chat panel shows the conversation as it stood at the replay time.
+function formatReplayTime(seconds) {
+    const whole = Math.floor(seconds);
+    return [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60]
+        .map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function showChat(messages) {
+    document.getElementById('chat-messages').innerHTML = '';
+    messages.forEach(message => addChatMessage(message.text, message.sender));
+}
+
+window.startReplay = function(recording = recorder.toJSON()) {
+    if (replay) stopReplay();
+    const player = new SessionPlayer({ ...recording, frames: [...recording.frames], events: [...recording.events] });
+    replay = { player, state: player.stateAt(), wasPaused: simClock.paused, chatCount: -1 };
+    simClock.pause();
+    select(null);
+    document.getElementById('chat-input').disabled = true;
+
+    const speedSelect = document.getElementById('replay-speed');
+    if (speedSelect.options.length === 0) {
+        REPLAY_SPEEDS.forEach(speed => speedSelect.add(new Option(`${speed}×`, speed)));
     }
+    speedSelect.value = player.speed;
+
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.min = player.start;
+    scrubber.max = player.end;
+
+    const markers = document.getElementById('replay-markers');
+    markers.innerHTML = '';
+    const span = Math.max(player.end - player.start, 1);
+    player.markers().forEach(marker => {
+        const tick = document.createElement('span');
+        tick.className = `replay-marker ${marker.kind}`;
+        tick.style.left = `${(marker.time - player.start) / span * 100}%`;
+        tick.title = `${formatReplayTime(marker.time - player.start)} ${marker.text}`;
+        tick.addEventListener('click', () => player.seek(marker.time));
+        markers.appendChild(tick);
+    });
+
+    document.getElementById('replay-panel').classList.remove('hidden');
+    renderReplay();
 };
 
-function addChatMessage(text, sender) {
-    const messagesDiv = document.getElementById('chat-messages');
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${sender}`;
-    messageDiv.textContent = text;
-    messagesDiv.appendChild(messageDiv);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+window.stopReplay = function() {
+    if (!replay) return;
+    if (!replay.wasPaused) simClock.resume();
+    replay = null;
+    document.getElementById('replay-panel').classList.add('hidden');
+    document.getElementById('chat-input').disabled = false;
+    showChat(sim.chatLog);
+    refreshEquipmentLabels();
+};
+
+window.toggleReplayPlay = function() {
+    if (replay) replay.player.togglePlay();
+};
+
+window.setReplaySpeed = function(speed) {
+    if (replay) replay.player.setSpeed(Number(speed));
+};
+
+document.getElementById('replay-scrubber').addEventListener('input', event => {
+    if (replay) replay.player.seek(Number(event.target.value));
+});
+
+function renderReplay() {
+    const { player, state } = replay;
+    document.getElementById('replay-play-btn').textContent = player.playing ? 'Pause' : 'Play';
+    const scrubber = document.getElementById('replay-scrubber');
+    if (document.activeElement !== scrubber) scrubber.value = player.time;
+    const text = `${formatReplayTime(player.time - player.start)} / ${formatReplayTime(player.end - player.start)}`;
+    const element = document.getElementById('replay-time');
+    if (element.textContent !== text) element.textContent = text;
+
+    const frame = player.frameIndex(player.time);
+    if (frame !== replay.frame) {
+        replay.frame = frame;
+        refreshEquipmentLabels();
+    }
+
+    if (state.chat.length !== replay.chatCount) {
+        replay.chatCount = state.chat.length;
+        showChat(state.chat);
+    }
 }
 
-function handleAIResponse(message) {
-    const lowerMessage = message.toLowerCase();
-
-    // Fix commands
-    if (lowerMessage.includes('fix') || lowerMessage.includes('repair')) {
-        let equipmentId = null;
-        let equipmentName = '';
-
-        if (lowerMessage.includes('chiller water pump') || lowerMessage.includes('chw pump')) {
-            equipmentId = 'chillerWaterPump';
-            equipmentName = 'Chiller Water Pump';
-        } else if (lowerMessage.includes('condenser water pump') || lowerMessage.includes('cdw pump')) {
-            equipmentId = 'condenserWaterPump';
-            equipmentName = 'Condenser Water Pump';
-        } else if (lowerMessage.includes('chiller')) {
-            equipmentId = 'chiller1';
-            equipmentName = 'chiller';
-        } else if (lowerMessage.includes('ahu') || lowerMessage.includes('air')) {
-            equipmentId = 'ahu1';
-            equipmentName = 'AHU';
-        } else if (lowerMessage.includes('pump')) {
-            // Generic pump - default to chiller water pump
-            equipmentId = 'chillerWaterPump';
-            equipmentName = 'Chiller Water Pump';
-        } else if (lowerMessage.includes('tower') || lowerMessage.includes('cooling')) {
-            equipmentId = 'coolingTower';
-            equipmentName = 'cooling tower';
-        }
+window.exportRecording = function() {
+    const recording = replay ? replay.player.recording : recorder.toJSON();
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const start = new Date(recording.epoch + recording.frames[0].time * 1000).toISOString();
+    downloadBlob(blob, `session-${start.slice(0, 19).replace(/[:T]/g, '-')}.json`);
+};
 
-        if (equipmentId && equipmentPositions[equipmentId]) {
-            const engineer = engineers[Math.floor(Math.random() * engineers.length)];
-
-            // Calculate position next to equipment based on equipment size
-            const equipmentPos = equipmentPositions[equipmentId].clone();
-            const targetPos = equipmentPos.clone();
-
-            // Position based on specific equipment - just outside collision radius
-            if (equipmentId === 'chiller1') {
-                // Chiller has radius 5, so stand at 5.5 units away
-                targetPos.x -= 5.5; // Stand to the left of chiller
-                targetPos.z += 0;
-            } else if (equipmentId === 'ahu1') {
-                // AHU has radius 3, so stand at 3.5 units away
-                targetPos.x += 3.5; // Stand to the right of AHU
-                targetPos.z += 0;
-            } else if (equipmentId === 'chillerWaterPump' || equipmentId === 'condenserWaterPump') {
-                // Pumps have radius 1.5, so stand at 2 units away
-                targetPos.x -= 2; // Stand to the left of pump
-                targetPos.z += 0;
-            } else if (equipmentId === 'coolingTower') {
-                // Tower has radius 3.5, so stand at 4 units away
-                targetPos.x -= 4; // Stand to the left of tower
-                targetPos.z += 0;
-            }
+// Shift report of the live session, as CSV, JSON or a printable HTML page
+// (see report.js)
+const REPORT_TYPES = {
+    csv: { type: 'text/csv', write: reportToCSV },
+    json: { type: 'application/json', write: report => JSON.stringify(report, null, 2) },
+    html: { type: 'text/html', write: reportToHTML }
+};
 
-            // Move to equipment with callback when arrived
-            engineer.moveTo(targetPos, () => {
-                // This runs when engineer actually arrives at the equipment
-                engineer.work(8000); // Work for 8 seconds
-                engineer.speak(`Working on the ${equipmentName} now...`, 3000);
-
-                // Fix the equipment after working
-                setTimeout(() => {
-                    if (equipmentData[equipmentId].hasIssue) {
-                        equipmentData[equipmentId].status = 'Running';
-                        equipmentData[equipmentId].hasIssue = false;
-                        engineer.speak(`${equipmentName} is fixed! Back to normal operation.`, 4000);
-                    }
-                }, 8000);
-            });
+window.exportReport = function(format) {
+    const report = buildShiftReport(sim, shiftLog);
+    const { type, write } = REPORT_TYPES[format];
+    downloadBlob(new Blob([write(report)], { type }), `shift-report-${report.start.slice(0, 19).replace(/[:T]/g, '-')}.${format}`);
+};
 
-            return {
-                text: `${engineer.name} is heading to fix the ${equipmentName}.`,
-                engineer: engineer.name,
-                engineerResponse: `On my way to the ${equipmentName}!`
-            };
+window.importRecording = function() {
+    document.getElementById('recording-file').click();
+};
+
+document.getElementById('recording-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const recording = readRecording(await file.text());
+        if (recording.plant !== plantLayout.name) {
+            throw new Error(`it was recorded in the ${recording.plant}.`);
         }
+        startReplay(recording);
+    } catch (error) {
+        sim.say(`Couldn't play ${file.name}: ${error.message}`);
     }
+});
 
-    if (lowerMessage.includes('temperature') || lowerMessage.includes('temp')) {
-        return {
-            text: "I'll check the temperature readings for you.",
-            engineer: 'Mike',
-            engineerResponse: `Current chiller temperature is ${equipmentData.chiller1.temp}°C. All within normal range.`
-        };
-    } else if (lowerMessage.includes('maintenance') || lowerMessage.includes('check')) {
-        const engineer = engineers[Math.floor(Math.random() * engineers.length)];
-        engineer.moveTo(new THREE.Vector3(
-            Math.random() * 10 - 5,
-            0,
-            Math.random() * 10 - 5
-        ));
-        return {
-            text: `${engineer.name} is heading to perform the maintenance check.`,
-            engineer: engineer.name,
-            engineerResponse: "On my way to inspect the equipment now."
-        };
-    } else if (lowerMessage.includes('status') || lowerMessage.includes('how')) {
-        const issues = Object.entries(equipmentData).filter(([id, data]) => data.hasIssue);
-        if (issues.length > 0) {
-            const issueList = issues.map(([id]) => id).join(', ');
-            return {
-                text: `Warning: Issues detected on ${issueList}`,
-                engineer: 'Sarah',
-                engineerResponse: `We have ${issues.length} equipment fault(s) that need attention.`
-            };
-        } else {
-            return {
-                text: "All HVAC systems are running normally.",
-                engineer: 'Sarah',
-                engineerResponse: "All equipment operating within parameters. No issues detected."
-            };
-        }
-    } else {
-        return {
-            text: "I can help you with equipment status, temperatures, and maintenance tasks. Try 'fix chiller' or 'status'.",
-            engineer: null
-        };
+// Camera modes (see camera.js). The orbit controls drive the camera in orbit
+// and follow mode; walk mode hands it to pointer-lock mouse look and WASD.
+const presetViews = cameraPresets(plantLayout);
+const walkControls = new PointerLockControls(camera, renderer.domElement);
+const walkObstacles = footprints(plantLayout);
+const walkKeys = new Set();
+let cameraMode = 'orbit';
+let cameraMove = null;          // { transition, to: () => view }
+let followed = null;            // the EngineerView followed
+
+function currentView() {
+    return { position: camera.position.toArray(), target: controls.target.toArray() };
+}
+
+// Start a transition to a view, or to wherever to() says on each frame
+function moveCamera(to) {
+    cameraMove = { transition: new CameraTransition(currentView()), to: typeof to === 'function' ? to : () => to };
+}
+
+function setCameraMode(mode) {
+    cameraMode = mode;
+    if (mode !== 'follow') followed = null;
+    controls.enabled = mode !== 'walk';
+    document.getElementById('walk-hint').classList.toggle('hidden', mode !== 'walk');
+    renderCameraControls();
+}
+
+function renderCameraControls() {
+    const select = document.getElementById('camera-select');
+    if (select.options.length === 0) {
+        select.add(new Option('View...', ''));
+        Object.entries(presetViews).forEach(([name, preset]) => select.add(new Option(preset.label, name)));
     }
+    if (cameraMode !== 'orbit') select.value = '';
+    document.getElementById('camera-status').textContent =
+        cameraMode === 'follow' ? `Following ${followed.engineer.name}` : cameraMode === 'walk' ? 'Walking' : '';
 }
 
-// Allow Enter key to send
-document.addEventListener('DOMContentLoaded', () => {
-    const input = document.getElementById('chat-input');
-    input.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            sendMessage();
-        }
+window.setCameraPreset = function(name) {
+    if (!presetViews[name]) return;
+    if (cameraMode === 'walk') walkControls.unlock();
+    setCameraMode('orbit');
+    moveCamera(presetViews[name]);
+};
+
+function focusOn(equipmentId) {
+    if (cameraMode === 'walk') walkControls.unlock();
+    setCameraMode('orbit');
+    moveCamera(focusView(getEquipment(plantLayout, equipmentId)));
+}
+
+function followEngineer(name) {
+    if (cameraMode === 'walk') walkControls.unlock();
+    const view = engineerViews.find(candidate => candidate.engineer.name === name);
+    if (!view) return;
+    followed = view;
+    setCameraMode('follow');
+    const { model } = followed;
+    moveCamera(() => followView({ x: model.position.x, z: model.position.z, heading: model.rotation.y }));
+}
+
+window.startWalk = function() {
+    document.activeElement?.blur();
+    walkControls.lock();
+};
+
+// Walking starts where the camera is, at eye height and looking level
+walkControls.addEventListener('lock', () => {
+    const start = walkStep(
+        { x: camera.position.x, z: camera.position.z }, { x: 0, z: 0 }, walkObstacles, plantLayout.bounds);
+    const direction = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, -1);
+    direction.normalize();
+    setCameraMode('walk');
+    moveCamera({
+        position: [start.x, EYE_HEIGHT, start.z],
+        target: [start.x + direction.x, EYE_HEIGHT, start.z + direction.z]
     });
 });
 
-// Engineer interactions
-let engineersInteracting = true;
-
-function simulateEngineerInteractions() {
-    if (!engineersInteracting) return;
-
-    setInterval(() => {
-        // Random engineer movement
-        const engineer = engineers[Math.floor(Math.random() * engineers.length)];
-        if (!engineer.targetPosition && Math.random() > 0.7) {
-            engineer.moveTo(new THREE.Vector3(
-                Math.random() * 20 - 10,
-                0,
-                Math.random() * 20 - 10
-            ));
-        }
+// Leaving walk mode (Esc) orbits a point just ahead, so the view doesn't jump
+walkControls.addEventListener('unlock', () => {
+    walkKeys.clear();
+    if (cameraMode !== 'walk') return;
+    cameraMove = null;
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    controls.target.copy(camera.position).addScaledVector(direction, controls.minDistance);
+    setCameraMode('orbit');
+});
+
+window.addEventListener('keydown', event => {
+    if (cameraMode === 'walk') walkKeys.add(event.code);
+});
+window.addEventListener('keyup', event => walkKeys.delete(event.code));
+
+function walk(dt) {
+    const forward = (walkKeys.has('KeyW') ? 1 : 0) - (walkKeys.has('KeyS') ? 1 : 0);
+    const right = (walkKeys.has('KeyD') ? 1 : 0) - (walkKeys.has('KeyA') ? 1 : 0);
+    if (forward === 0 && right === 0) return;
+
+    const hurry = walkKeys.has('ShiftLeft') || walkKeys.has('ShiftRight') ? 2 : 1;
+    const distance = WALK_SPEED * hurry * dt / Math.hypot(forward, right);
+    const direction = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+    const move = {
+        x: (direction.x * forward - direction.z * right) * distance,
+        z: (direction.z * forward + direction.x * right) * distance
+    };
+    const next = walkStep({ x: camera.position.x, z: camera.position.z }, move, walkObstacles, plantLayout.bounds);
+    camera.position.set(next.x, EYE_HEIGHT, next.z);
+}
 
-        // Random engineer dialogue
-        if (Math.random() > 0.85) {
-            const dialogues = [
-                "Checking chiller performance...",
-                "AHU filter needs replacement soon.",
-                "Pump pressure looking good.",
-                "Temperature differential optimal.",
-                "Running diagnostics...",
-                "All systems nominal."
-            ];
-            const randomEngineer = engineers[Math.floor(Math.random() * engineers.length)];
-            randomEngineer.speak(dialogues[Math.floor(Math.random() * dialogues.length)]);
+// Real time, so the camera moves while the simulation is paused
+function updateCamera(dt) {
+    if (cameraMove) {
+        const view = cameraMove.transition.step(dt, cameraMove.to());
+        camera.position.fromArray(view.position);
+        if (cameraMode === 'walk') {
+            camera.lookAt(...view.target);
+        } else {
+            controls.target.fromArray(view.target);
         }
-    }, 5000);
+        if (cameraMove.transition.done) cameraMove = null;
+    } else if (cameraMode === 'follow') {
+        // Keep the engineer in the middle, however the view has been turned
+        const { x, z } = followed.model.position;
+        const shift = new THREE.Vector3(x, 1, z).sub(controls.target);
+        controls.target.add(shift);
+        camera.position.add(shift);
+    } else if (cameraMode === 'walk') {
+        walk(dt);
+    }
+
+    if (cameraMode !== 'walk') controls.update();
 }
 
-simulateEngineerInteractions();
+renderCameraControls();
 
 // Animation Loop
 const clock = new THREE.Clock();
@@ -949,14 +1623,32 @@ function animate() {
 
     const deltaTime = clock.getDelta();
 
-    // Update engineers
-    engineers.forEach(engineer => engineer.update(deltaTime));
+    // Advance the simulation, then bring the engineer models up to date
+    const simDelta = simClock.tick(deltaTime);
+    if (replay) {
+        replay.player.tick(deltaTime);
+        replay.state = replay.player.stateAt();
+        const replayDelta = replay.player.playing ? deltaTime * replay.player.speed : 0;
+        engineerViews.forEach(view => view.update(replayDelta,
+            replay.state.engineers.find(pose => pose.name === view.engineer.name) || poseOf(view.engineer)));
+        updatePiping(replay.player.playing ? deltaTime : 0);
+        renderReplay();
+    } else {
+        engineerViews.forEach(view => view.update(simDelta));
+        updatePiping(simClock.paused ? 0 : deltaTime);
+    }
+    renderSimTime();
+
+    // Keep the selection box on moving engineers
+    if (selectionHelper) {
+        selectionHelper.update();
+    }
 
-    // Update controls
-    controls.update();
+    // Move the camera for its mode
+    updateCamera(deltaTime);
 
-    // Update equipment labels
-    updateEquipmentLabels();
+    // Place the equipment labels and speech bubbles
+    labelLayer.update(window.innerWidth, window.innerHeight);
 
     renderer.render(scene, camera);
 }
@@ -968,4 +1660,27 @@ window.addEventListener('resize', () => {
     renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-animate();
+// Start once every model is in place. The simulation waits too, so nothing
+// happens before the operator can see it.
+Promise.all([createHVACEquipment(), ...engineerViews.map(view => view.loadModel())]).then(() => {
+    const screen = document.getElementById('loading-screen');
+    loadingBar.style.width = '100%';
+    if (assets.failures.length === 0) {
+        screen.classList.add('hidden');
+    } else {
+        loadingStatus.textContent = 'Some models could not be loaded and are shown as placeholders:';
+        const list = document.getElementById('loading-errors');
+        assets.failures.forEach(({ url, error }) => {
+            const item = document.createElement('li');
+            item.textContent = `${url}: ${error.message || error}`;
+            list.appendChild(item);
+        });
+        document.getElementById('loading-continue').classList.remove('hidden');
+    }
+    clock.start();
+    animate();
+});
+
+window.closeLoadingScreen = function() {
+    document.getElementById('loading-screen').classList.add('hidden');
+};
@@ -0,0 +1,298 @@
+// Preventive maintenance and wear
+//
+// Each unit counts its run hours and starts, and its wearing components -
+// filters, fan belts, bearings, condenser tubes, tower fill - wear with both.
+// Wear runs from 0 (as new) to 1 (life used up) and degrades the plant model
+// gradually, through the same kind of effects as a fault (see faults.js):
+// a half-clogged filter already raises the filter ΔP and costs airflow.
+//
+// Every component has a preventive-maintenance task due every so many run
+// hours. Doing it resets the wear at a small planned cost. Skipping it, or
+// leaving it undone, lets the wear run on: the related fault becomes more
+// likely and strikes harder (`faultMagnitude`), and a component that reaches
+// the end of its life fails outright. Repairing a breakdown replaces the part
+// too, but at breakdown prices - which is the economics this is here to teach.
+//
+// Run hours are compressed so that months of wear play out in a training
+// session: each second a unit runs counts as `hoursPerSecond` run hours.
+//
+// Events (onChange(listener), listener(event, equipmentId, component)):
+//   'due'        a component's PM task has come due
+//   'wornOut'    a component has reached the end of its life
+//   'completed'  a PM task was done
+//   'skipped'    a PM task was skipped; it comes round again next interval
+//   'replaced'   a component was replaced by a breakdown repair
+
+import { addEffects } from './faults.js';
+
+export const RUN_HOURS_PER_SECOND = 1;
+
+// Wearing components by equipment class. Wear builds up over `lifeHours` of
+// running, plus `perStart` equivalent hours for every start; `effects` are
+// what a fully worn component does to the plant model and `faultId` is the
+// fault it ends in. Task durations are ms, costs in the tariff's currency.
+export const WEAR_CATALOGUE = {
+    chiller: [
+        {
+            id: 'condenser',
+            name: 'Condenser tubes',
+            faultId: 'fouledCondenser',
+            lifeHours: 4000,
+            perStart: 0,
+            effects: { condApproach: 2.5 },
+            task: { name: 'Brush-clean the condenser tubes', everyHours: 3000, duration: 12000, cost: 450 }
+        }
+    ],
+    pump: [
+        {
+            id: 'bearings',
+            name: 'Motor bearings',
+            faultId: 'bearingWear',
+            lifeHours: 6000,
+            perStart: 10,
+            effects: { efficiencyFactor: 0.9 },
+            task: { name: 'Grease the motor bearings', everyHours: 4000, duration: 6000, cost: 120 }
+        }
+    ],
+    ahu: [
+        {
+            id: 'filter',
+            name: 'Filters',
+            faultId: 'cloggedFilter',
+            lifeHours: 2000,
+            perStart: 0,
+            effects: { filterDp: 150, airflowFactor: 0.9 },
+            task: { name: 'Replace the filters', everyHours: 1500, duration: 8000, cost: 180 }
+        },
+        {
+            id: 'belt',
+            name: 'Fan belt',
+            faultId: 'beltSlip',
+            lifeHours: 3000,
+            perStart: 15,
+            effects: { airflowFactor: 0.92, fanPowerFactor: 0.95 },
+            task: { name: 'Check and re-tension the fan belt', everyHours: 2000, duration: 6000, cost: 90 }
+        }
+    ],
+    coolingTower: [
+        {
+            id: 'fill',
+            name: 'Fill and water treatment',
+            faultId: 'scaledFill',
+            lifeHours: 5000,
+            perStart: 0,
+            effects: { towerApproach: 1.5 },
+            task: { name: 'Inspect the fill and dose the water treatment', everyHours: 3500, duration: 10000, cost: 300 }
+        }
+    ]
+};
+
+// What a breakdown repair costs - parts, labour and the call-out - before
+// the fault's magnitude is taken into account
+export const REPAIR_COSTS = { minor: 900, major: 2500, critical: 6000 };
+
+const MAX_MAGNITUDE = 1.5;
+
+// How hard a component's fault strikes at a given wear: as catalogued up to
+// half worn, half as hard again once worn out
+export function faultMagnitude(wear) {
+    return Math.min(MAX_MAGNITUDE, 1 + Math.max(0, wear - 0.5));
+}
+
+export class MaintenanceManager {
+    constructor(equipmentTypes, { hoursPerSecond = RUN_HOURS_PER_SECOND } = {}) {
+        this.equipmentTypes = equipmentTypes;   // { equipmentId: class }
+        this.hoursPerSecond = hoursPerSecond;
+        this.listeners = [];
+        this.reset();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, equipmentId, component) {
+        this.listeners.forEach(listener => listener(event, equipmentId, component));
+    }
+
+    // Back to a plant whose units are part-way through their PM intervals,
+    // staggered so that the tasks don't all come due together
+    reset() {
+        this.units = {};
+        Object.keys(this.equipmentTypes).forEach((equipmentId, index) => {
+            const components = {};
+            this.catalogueFor(equipmentId).forEach(component => {
+                const age = component.task.everyHours * (index % 4) / 5;
+                components[component.id] = {
+                    wear: age / component.lifeHours,
+                    lastDone: 0 - age,
+                    nextDue: component.task.everyHours - age,
+                    due: false,
+                    failed: false,
+                    skipped: 0
+                };
+            });
+            this.units[equipmentId] = { runHours: 0, starts: 0, running: null, components };
+        });
+        this.costs = { planned: 0, tasks: 0, breakdown: 0, repairs: 0 };
+    }
+
+    catalogueFor(equipmentId) {
+        return WEAR_CATALOGUE[this.equipmentTypes[equipmentId]] || [];
+    }
+
+    component(equipmentId, componentId) {
+        return this.catalogueFor(equipmentId).find(component => component.id === componentId) || null;
+    }
+
+    // Run hours, starts and component state of a unit
+    unit(equipmentId) {
+        return this.units[equipmentId] || null;
+    }
+
+    wearOf(equipmentId, componentId) {
+        return this.units[equipmentId]?.components[componentId]?.wear ?? 0;
+    }
+
+    // Count dt seconds of running for every unit that `isRunning(id)`
+    step(dt, isRunning) {
+        Object.entries(this.units).forEach(([equipmentId, unit]) => {
+            const running = isRunning(equipmentId);
+            const started = running && unit.running === false;
+            unit.running = running;
+            if (!running) return;
+
+            const hours = dt * this.hoursPerSecond;
+            unit.runHours += hours;
+            if (started) unit.starts++;
+
+            this.catalogueFor(equipmentId).forEach(component => {
+                const state = unit.components[component.id];
+                state.wear += (hours + (started ? component.perStart : 0)) / component.lifeHours;
+                if (!state.due && unit.runHours >= state.nextDue) {
+                    state.due = true;
+                    this.emit('due', equipmentId, component);
+                }
+                if (!state.failed && state.wear >= 1) {
+                    state.failed = true;
+                    this.emit('wornOut', equipmentId, component);
+                }
+            });
+        });
+    }
+
+    // Wear effects on the plant model, added to `result` (e.g. a unit's fault modifiers)
+    modifiers(equipmentId, result = {}) {
+        this.catalogueFor(equipmentId).forEach(component => {
+            addEffects(result, component.effects, Math.min(1, this.wearOf(equipmentId, component.id)));
+        });
+        return result;
+    }
+
+    // How much likelier than usual a unit is to develop a fault: a component
+    // past half its life adds up to twice the usual odds by the end of it
+    faultLikelihood(equipmentId) {
+        return this.catalogueFor(equipmentId).reduce((odds, component) =>
+            odds + 2 * Math.max(0, this.wearOf(equipmentId, component.id) - 0.5), 1);
+    }
+
+    // Pick one of a unit's faults (from its fault catalogue), worn components'
+    // faults weighted by their wear: { faultId, magnitude }
+    chooseFault(equipmentId, faults, random) {
+        const weighted = faults.map(fault => {
+            const component = this.catalogueFor(equipmentId).find(c => c.faultId === fault.id);
+            const wear = component ? this.wearOf(equipmentId, component.id) : 0;
+            return { faultId: fault.id, weight: 1 + 4 * wear, magnitude: faultMagnitude(wear) };
+        });
+        let roll = random() * weighted.reduce((sum, choice) => sum + choice.weight, 0);
+        const choice = weighted.find(option => (roll -= option.weight) < 0) || weighted[weighted.length - 1];
+        return { faultId: choice.faultId, magnitude: choice.magnitude };
+    }
+
+    // A PM task was done: the component is as new and the next one is an
+    // interval away
+    complete(equipmentId, componentId) {
+        const component = this.component(equipmentId, componentId);
+        const unit = this.units[equipmentId];
+        Object.assign(unit.components[componentId], {
+            wear: 0,
+            lastDone: unit.runHours,
+            nextDue: unit.runHours + component.task.everyHours,
+            due: false,
+            failed: false
+        });
+        this.costs.planned += component.task.cost;
+        this.costs.tasks++;
+        this.emit('completed', equipmentId, component);
+    }
+
+    // A PM task was skipped; the wear carries on
+    skip(equipmentId, componentId) {
+        const component = this.component(equipmentId, componentId);
+        const unit = this.units[equipmentId];
+        const state = unit.components[componentId];
+        state.nextDue = unit.runHours + component.task.everyHours;
+        state.due = false;
+        state.skipped++;
+        this.emit('skipped', equipmentId, component);
+    }
+
+    // Book a breakdown repair of an active fault (with its magnitude); a
+    // repair of a component's fault replaces the part. Returns the cost.
+    recordRepair(equipmentId, fault) {
+        const cost = REPAIR_COSTS[fault.severity] * (fault.magnitude ?? 1);
+        this.costs.breakdown += cost;
+        this.costs.repairs++;
+
+        const component = this.catalogueFor(equipmentId).find(c => c.faultId === fault.id);
+        if (component) {
+            Object.assign(this.units[equipmentId].components[component.id], { wear: 0, failed: false });
+            this.emit('replaced', equipmentId, component);
+        }
+        return cost;
+    }
+
+    // Every component's PM, soonest due first: { equipmentId, component,
+    // wear, nextDue, dueIn (run hours; negative when overdue), due, skipped }
+    calendar() {
+        return Object.entries(this.units).flatMap(([equipmentId, unit]) =>
+            this.catalogueFor(equipmentId).map(component => {
+                const state = unit.components[component.id];
+                return {
+                    equipmentId,
+                    component,
+                    wear: state.wear,
+                    nextDue: state.nextDue,
+                    dueIn: state.nextDue - unit.runHours,
+                    due: state.due,
+                    skipped: state.skipped
+                };
+            })
+        ).sort((a, b) => a.dueIn - b.dueIn);
+    }
+
+    // Components at or past `threshold` wear, most worn first
+    worn(threshold) {
+        return this.calendar()
+            .filter(entry => entry.wear >= threshold)
+            .sort((a, b) => b.wear - a.wear);
+    }
+
+    snapshot() {
+        return { units: structuredClone(this.units), costs: { ...this.costs } };
+    }
+
+    // Units that are not in this plant are skipped
+    restore(snapshot) {
+        this.reset();
+        Object.entries(snapshot.units).forEach(([equipmentId, saved]) => {
+            const unit = this.units[equipmentId];
+            if (!unit) return;
+            Object.assign(unit, { runHours: saved.runHours, starts: saved.starts, running: saved.running });
+            Object.entries(saved.components).forEach(([componentId, state]) => {
+                if (unit.components[componentId]) unit.components[componentId] = { ...state };
+            });
+        });
+        this.costs = { ...snapshot.costs };
+    }
+}
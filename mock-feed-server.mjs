@@ -0,0 +1,125 @@
+// Mock BMS point feed for developing the live data adapter offline
+//
+//   npm run mock-feed                     (ws://localhost:8788)
+//   npm run mock-feed -- --topics         one { topic, value } message per point
+//   npm run mock-feed -- --record 600     print a 600 s CSV trend and exit
+//                                         (faults are left unrepaired)
+//
+// It runs its own headless copy of the plant, with random faults, and
+// publishes the readings under the external point names in pointmap.json
+// every 2 s, as a BMS gateway would. Choose "Live feed" in the data source
+// controls to drive the 3D room from it. Speed it up with SPEED=10.
+//
+// The WebSocket server is a minimal one (text frames out, close frames in)
+// so the feed needs nothing beyond Node itself.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { Simulation } from './simulation.js';
+import { PointMap } from './datasources.js';
+
+const layout = JSON.parse(fs.readFileSync(new URL('./layout.json', import.meta.url), 'utf8'));
+const pointMap = new PointMap(JSON.parse(fs.readFileSync(new URL('./pointmap.json', import.meta.url), 'utf8')));
+const port = Number(process.env.PORT) || 8788;
+const speed = Number(process.env.SPEED) || 1;
+const args = process.argv.slice(2);
+const topics = args.includes('--topics');
+const recordIndex = args.indexOf('--record');
+
+const sim = new Simulation(layout, {
+    seed: Number(process.env.SEED) || Date.now(),
+    autoTickets: recordIndex < 0
+});
+
+// --record: run the plant for the given seconds and print a trend file
+if (recordIndex >= 0) {
+    const seconds = Number(args[recordIndex + 1]) || 600;
+    const interval = 10;
+    const names = Object.keys(pointMap.points);
+    const rows = [['timestamp', ...names].join(',')];
+    for (let time = 0; time <= seconds; time += interval) {
+        const readings = pointMap.read(sim.equipmentData);
+        const timestamp = new Date(sim.clock.now()).toISOString();
+        rows.push([timestamp, ...names.map(name => readings[name] ?? '')].join(','));
+        sim.run(interval);
+    }
+    process.stdout.write(rows.join('\n') + '\n');
+    process.exit(0);
+}
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const clients = new Set();
+
+function frame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function publish() {
+    const readings = pointMap.read(sim.equipmentData);
+    const time = new Date(sim.clock.now()).toISOString();
+    const messages = topics
+        ? Object.entries(readings).map(([topic, value]) => JSON.stringify({ topic, value, time }))
+        : [JSON.stringify({ time, points: readings })];
+    clients.forEach(socket => messages.forEach(message => socket.write(frame(message))));
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' }).end('WebSocket feed: connect with ws://\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`Client connected (${clients.size})`);
+    publish();
+
+    // Clients only ever send a close frame (opcode 8); answer it and hang up
+    socket.on('data', data => {
+        if ((data[0] & 0x0f) === 0x8) {
+            socket.end(Buffer.from([0x88, 0]));
+        }
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+});
+
+setInterval(() => sim.run(speed), 1000);
+setInterval(publish, 2000);
+
+// Note the faults the feed's plant develops, to check against the alarms
+sim.faultManager.onChange((event, equipmentId, fault) => {
+    console.log(`${new Date(sim.clock.now()).toISOString()} fault ${event}: ${equipmentId} ${fault.name}`);
+});
+
+server.listen(port, () => {
+    console.log(`Mock BMS feed on ws://localhost:${port} (${topics ? 'one message per point' : 'batches'}, ${speed}x)`);
+});
@@ -0,0 +1,142 @@
+// Mock OpenAI-compatible chat endpoint for developing the assistant offline
+//
+//   npm run mock-llm            (listens on http://localhost:8787/v1)
+//   VITE_ASSISTANT_URL=http://localhost:8787/v1 npm run dev
+//
+// It stands in for a language model with a few keyword rules: a user message
+// becomes a tool call (read_points, list_alarms, dispatch_engineer or
+// set_setpoint) and the tool results that come back are summarised as text,
+// so the whole tool-calling round trip runs without network access.
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+const layout = JSON.parse(fs.readFileSync(new URL('./layout.json', import.meta.url), 'utf8'));
+const port = Number(process.env.PORT) || 8787;
+
+let nextCallId = 1;
+
+function findUnit(text) {
+    let best = null;
+    let bestLength = 0;
+    layout.equipment.forEach(entry => {
+        [...entry.aliases, entry.label.toLowerCase()].forEach(name => {
+            if (name.length > bestLength && text.includes(name)) {
+                best = entry;
+                bestLength = name.length;
+            }
+        });
+    });
+    return best;
+}
+
+function toolCall(name, args) {
+    return {
+        id: `call_${nextCallId++}`,
+        type: 'function',
+        function: { name, arguments: JSON.stringify(args) }
+    };
+}
+
+// What the "model" does with the latest user message
+function respondToUser(content, tools) {
+    const text = content.toLowerCase();
+    const available = new Set(tools.map(tool => tool.function.name));
+    const unit = findUnit(text);
+    const call = (name, args) => available.has(name) ? { content: null, tool_calls: [toolCall(name, args)] } : null;
+
+    const setpoint = text.match(/\bset\b.*\bto (-?\d+(?:\.\d+)?)/);
+    if (setpoint) {
+        return call('set_setpoint', { setpoint_id: 'chwSupply', value: parseFloat(setpoint[1]) });
+    }
+    if (text.includes('alarm')) {
+        return call('list_alarms', {});
+    }
+    if (unit && /\b(fix|repair)\b/.test(text)) {
+        return call('dispatch_engineer', { equipment_id: unit.id, kind: 'repair', request: content });
+    }
+    if (unit && /\b(check|inspect)\b/.test(text)) {
+        return call('dispatch_engineer', { equipment_id: unit.id, kind: 'inspect', request: content });
+    }
+    if (unit) {
+        return call('read_points', { equipment_id: unit.id });
+    }
+    return null;
+}
+
+// Summarise the tool results at the end of the conversation
+function summariseResults(messages) {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+        results.unshift(JSON.parse(messages[i].content));
+    }
+
+    return results.map(result => {
+        if (result.error) return `That didn't work: ${result.error}.`;
+        if (result.result) return `${result.result}.`;
+        if (result.alarms) {
+            if (result.alarms.length === 0) return 'There are no alarms.';
+            return result.alarms.map(alarm => `[${alarm.priority}] ${alarm.message}`).join('\n');
+        }
+        if (result.points) {
+            return `${result.equipment_id}: ` + Object.entries(result.points).map(([point, value]) => `${point} ${value}`).join(', ');
+        }
+        if ('value' in result) return `${result.equipment_id} ${result.point} is ${result.value}.`;
+        return JSON.stringify(result);
+    }).join('\n');
+}
+
+function complete(request) {
+    const messages = request.messages || [];
+    const last = messages[messages.length - 1] || { role: 'user', content: '' };
+
+    let message;
+    if (last.role === 'tool') {
+        message = { content: summariseResults(messages) };
+    } else {
+        message = respondToUser(last.content || '', request.tools || []) ||
+            { content: "(mock model) I can read points, list alarms, dispatch engineers and change setpoints." };
+    }
+
+    return {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || 'mock',
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', ...message },
+            finish_reason: message.tool_calls ? 'tool_calls' : 'stop'
+        }]
+    };
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Not found' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const response = complete(JSON.parse(body));
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(response));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock assistant endpoint on http://localhost:${port}/v1`);
+});
@@ -0,0 +1,265 @@
+// Grid navigation for engineers
+//
+// The plant room floor is rasterised into a walkable grid: cells inside an
+// equipment footprint (grown by the engineer's radius) or outside the room
+// walls are blocked. Paths are planned with A* over 8-connected cells, then
+// string-pulled into as few straight segments as line of sight allows.
+// Positions are plain { x, z } objects so this has no dependency on three.js.
+
+const SQRT2 = Math.SQRT2;
+
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// Minimal binary heap keyed on f-score for the A* open set
+class OpenSet {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node, priority) {
+        const items = this.items;
+        items.push({ node, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.node;
+    }
+}
+
+export class NavGrid {
+    // bounds: room walls { minX, maxX, minZ, maxZ }
+    // clearance: how far the walker's centre must stay from any footprint
+    constructor(bounds, cellSize = 0.5, clearance = 0.5) {
+        this.bounds = bounds;
+        this.cellSize = cellSize;
+        this.clearance = clearance;
+        this.cols = Math.ceil((bounds.maxX - bounds.minX) / cellSize);
+        this.rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+        this.obstacles = [];
+        this.version = 0;   // bumped whenever the footprints change
+    }
+
+    // obstacles: circular footprints [{ x, z, radius }]
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+        this.blocked.fill(0);
+        obstacles.forEach(obstacle => this.rasterise(obstacle, this.blocked));
+        this.version++;
+    }
+
+    rasterise(obstacle, mask) {
+        const reach = obstacle.radius + this.clearance;
+        const minCol = Math.max(0, Math.floor((obstacle.x - reach - this.bounds.minX) / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor((obstacle.x + reach - this.bounds.minX) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((obstacle.z - reach - this.bounds.minZ) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((obstacle.z + reach - this.bounds.minZ) / this.cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const centre = this.cellCentre(col, row);
+                if (Math.hypot(centre.x - obstacle.x, centre.z - obstacle.z) < reach) {
+                    mask[row * this.cols + col] = 1;
+                }
+            }
+        }
+    }
+
+    cellAt(x, z) {
+        return {
+            col: Math.floor((x - this.bounds.minX) / this.cellSize),
+            row: Math.floor((z - this.bounds.minZ) / this.cellSize)
+        };
+    }
+
+    cellCentre(col, row) {
+        return {
+            x: this.bounds.minX + (col + 0.5) * this.cellSize,
+            z: this.bounds.minZ + (row + 0.5) * this.cellSize
+        };
+    }
+
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    isWalkable(col, row, mask = this.blocked) {
+        return this.inBounds(col, row) && !mask[row * this.cols + col];
+    }
+
+    isWalkablePoint(x, z, mask = this.blocked) {
+        const { col, row } = this.cellAt(x, z);
+        return this.isWalkable(col, row, mask);
+    }
+
+    // Nearest walkable cell to (col, row) within maxRadius cells, ring by ring
+    nearestWalkable(col, row, maxRadius, mask) {
+        if (this.isWalkable(col, row, mask)) return { col, row };
+
+        for (let r = 1; r <= maxRadius; r++) {
+            let best = null;
+            let bestDistance = Infinity;
+            for (let dr = -r; dr <= r; dr++) {
+                for (let dc = -r; dc <= r; dc++) {
+                    if (Math.max(Math.abs(dc), Math.abs(dr)) !== r) continue;
+                    if (!this.isWalkable(col + dc, row + dr, mask)) continue;
+                    const distance = Math.hypot(dc, dr);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { col: col + dc, row: row + dr };
+                    }
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    // Straight walk between two points stays on walkable cells
+    hasLineOfSight(from, to, mask = this.blocked) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 0.25)));
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkablePoint(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t, mask)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Plan a path from start to goal. `dynamicObstacles` are extra footprints
+    // (e.g. other engineers) considered for this query only. A goal inside a
+    // footprint is moved to the nearest free spot within `goalTolerance`.
+    // Returns a list of waypoints ending at the goal, or null if unreachable.
+    findPath(start, goal, dynamicObstacles = [], goalTolerance = 1.5) {
+        let mask = this.blocked;
+        if (dynamicObstacles.length > 0) {
+            mask = this.blocked.slice();
+            dynamicObstacles.forEach(obstacle => this.rasterise(obstacle, mask));
+        }
+
+        const startCell = this.cellAt(start.x, start.z);
+        const goalCell = this.cellAt(goal.x, goal.z);
+
+        // The walker may already be brushing a footprint; step off it first
+        const from = this.nearestWalkable(startCell.col, startCell.row, 4, mask);
+        const to = this.nearestWalkable(goalCell.col, goalCell.row, Math.ceil(goalTolerance / this.cellSize), mask);
+        if (!from || !to) return null;
+
+        const cells = this.aStar(from, to, mask);
+        if (!cells) return null;
+
+        const points = cells.map(({ col, row }) => this.cellCentre(col, row));
+        const end = this.isWalkablePoint(goal.x, goal.z, mask) ? { x: goal.x, z: goal.z } : points[points.length - 1];
+        points[points.length - 1] = end;
+
+        return this.smooth({ x: start.x, z: start.z }, points, mask);
+    }
+
+    aStar(from, to, mask) {
+        const cols = this.cols;
+        const startIndex = from.row * cols + from.col;
+        const goalIndex = to.row * cols + to.col;
+
+        const gScore = new Float32Array(this.cols * this.rows).fill(Infinity);
+        const cameFrom = new Int32Array(this.cols * this.rows).fill(-1);
+        const closed = new Uint8Array(this.cols * this.rows);
+        const open = new OpenSet();
+
+        // Octile distance: exact for 8-connected moves without obstacles
+        const heuristic = (index) => {
+            const dx = Math.abs((index % cols) - to.col);
+            const dz = Math.abs(Math.floor(index / cols) - to.row);
+            return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        gScore[startIndex] = 0;
+        open.push(startIndex, heuristic(startIndex));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalIndex) {
+                const path = [];
+                for (let index = current; index !== -1; index = cameFrom[index]) {
+                    path.push({ col: index % cols, row: Math.floor(index / cols) });
+                }
+                return path.reverse();
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+
+            for (const [dc, dr, cost] of NEIGHBOURS) {
+                const nc = col + dc;
+                const nr = row + dr;
+                if (!this.isWalkable(nc, nr, mask)) continue;
+                // No cutting corners past a blocked cell
+                if (dc !== 0 && dr !== 0 && (!this.isWalkable(col + dc, row, mask) || !this.isWalkable(col, row + dr, mask))) {
+                    continue;
+                }
+                const next = nr * cols + nc;
+                const tentative = gScore[current] + cost;
+                if (tentative < gScore[next]) {
+                    gScore[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push(next, tentative + heuristic(next));
+                }
+            }
+        }
+        return null;
+    }
+
+    // Drop every waypoint that can be skipped with a clear straight line
+    smooth(start, points, mask) {
+        const result = [];
+        let anchor = start;
+        let i = 0;
+        while (i < points.length) {
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, points[j], mask)) {
+                    furthest = j;
+                    break;
+                }
+            }
+            result.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,102 @@
+// Saved games
+//
+// The whole simulation - readings, plant model state, faults, valves, alarms,
+// work orders, engineers (including walks and jobs in progress), energy meters,
+// run hours and wear, and the chat - is serialised into one versioned JSON document. The same
+// document is used for the browser autosave and for exported files, so an
+// instructor can set a plant up in a particular state and hand the file to
+// trainees.
+
+export const SAVE_FORMAT = 'hvac-plant-simulation';
+export const SAVE_VERSION = 6;
+export const AUTOSAVE_KEY = 'hvac-simulation-autosave';
+
+// MIGRATIONS[n] upgrades a version-n save to version n + 1
+const MIGRATIONS = {
+    // v2 runs on a simulation clock with a seeded PRNG; older saves start the
+    // clock at the time they were saved with a fresh seed
+    1: save => ({
+        ...save,
+        clock: { time: 0, epoch: Date.parse(save.savedAt), scale: 1 },
+        random: { seed: Date.parse(save.savedAt) >>> 0, state: Date.parse(save.savedAt) >>> 0 }
+    }),
+    // v3 meters energy; older saves start the meters from zero
+    2: save => ({ ...save, energy: { kWh: 0, cost: 0, faultCosts: [] } }),
+    // v4 has isolation valves; older saves have them all open
+    3: save => ({ ...save, piping: { closedValves: [] } }),
+    // v5 keeps trips and isolation per unit; the single-chiller fields of
+    // older saves are dropped (isolation comes back from the closed valves,
+    // and a tripped chiller restarts)
+    4: save => {
+        if (!save.model) return save;
+        const { chillerTripped, tripReason, chwIsolated, cwIsolated, ...state } = save.model.state;
+        return { ...save, model: { ...save.model, state } };
+    },
+    // v6 tracks run hours and wear; older saves start from a fresh
+    // maintenance calendar
+    5: save => ({ ...save, maintenance: null })
+};
+
+export function createSave(state, now = Date.now()) {
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date(now).toISOString(),
+        ...state
+    };
+}
+
+// Parse and validate a save (JSON text or object), upgrading older versions.
+// Throws an Error explaining why a file can't be loaded.
+export function readSave(input) {
+    let save;
+    try {
+        save = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!save || save.format !== SAVE_FORMAT) {
+        throw new Error('The file is not a plant simulation save.');
+    }
+    if (!Number.isInteger(save.version) || save.version > SAVE_VERSION) {
+        throw new Error(`Save version ${save.version} is not supported by this version of the simulator.`);
+    }
+
+    while (save.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[save.version];
+        if (!migrate) {
+            throw new Error(`Save version ${save.version} can no longer be loaded.`);
+        }
+        save = { ...migrate(save), version: save.version + 1 };
+    }
+    return save;
+}
+
+// Storage helpers return false/null rather than throwing, so a full or
+// disabled localStorage never stops the simulation
+export function saveToStorage(storage, save, key = AUTOSAVE_KEY) {
+    try {
+        storage.setItem(key, JSON.stringify(save));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function loadFromStorage(storage, key = AUTOSAVE_KEY) {
+    try {
+        const text = storage.getItem(key);
+        return text ? readSave(text) : null;
+    } catch {
+        return null;
+    }
+}
+
+export function clearStorage(storage, key = AUTOSAVE_KEY) {
+    try {
+        storage.removeItem(key);
+    } catch {
+        // Nothing to clear
+    }
+}
@@ -0,0 +1,153 @@
+// Piping network
+//
+// The chilled- and condenser-water loops as pipe runs between the units. The
+// layout only says which units a loop passes through (see "piping" in
+// layout.json); the routes are worked out from the equipment positions, so
+// moving a unit moves its pipes. Each leg rises from the unit's outlet to the
+// loop's overhead elevation, runs along x, then along z, and drops into the
+// next unit's inlet. Every leg of a loop runs one `spacing` higher than the
+// last, so the runs never overlap.
+//
+// Each leg carries the flow of one pump - in a plant with several chillers,
+// each chiller's own pumps - so a loop's flow is the sum of its pumps'.
+// Isolation valves sit halfway along the overhead part of a leg. Closing one
+// dead-heads the pump of that leg in the plant model.
+//
+// Events (onChange(listener), listener(event, valve)):
+//   'valve'  a valve was opened or closed
+
+import { getEquipment } from './layout.js';
+
+// Outlet and inlet sit either side of the unit's centre (x)
+const NOZZLE_SPREAD = 0.4;
+
+// Polyline of one leg, [[x, y, z], ...], from an outlet at `start` to an
+// inlet at `end`, running overhead at `elevation`
+export function routeLeg(start, end, elevation) {
+    const [sx, sy, sz] = start;
+    const [ex, ey, ez] = end;
+    const points = [start, [sx, elevation, sz], [ex, elevation, sz], [ex, elevation, ez], end];
+
+    // Drop the corners of runs that have no length
+    return points.filter((point, i) =>
+        i === 0 || point.some((value, axis) => Math.abs(value - points[i - 1][axis]) > 1e-9)
+    );
+}
+
+export function pathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+        length += Math.hypot(...path[i].map((value, axis) => value - path[i - 1][axis]));
+    }
+    return length;
+}
+
+// Where a fraction (0-1) of the way along a polyline falls: the point, and
+// the index of the point that ends the run it is in
+function locate(path, fraction) {
+    let remaining = pathLength(path) * Math.min(1, Math.max(0, fraction));
+    for (let i = 1; i < path.length; i++) {
+        const from = path[i - 1];
+        const to = path[i];
+        const length = Math.hypot(...to.map((value, axis) => value - from[axis]));
+        if (remaining <= length || i === path.length - 1) {
+            const t = length > 0 ? Math.min(1, remaining / length) : 0;
+            return { point: from.map((value, axis) => value + (to[axis] - value) * t), run: i };
+        }
+        remaining -= length;
+    }
+    return { point: [...path[0]], run: 0 };
+}
+
+export function pointAlong(path, fraction) {
+    return locate(path, fraction).point;
+}
+
+// The loops with every leg routed and every valve placed:
+// [{ id, name, pumps, legs: [{ from, to, pump, temperature, path, length }],
+//    valves: [{ id, label, loop, leg, pump, position, axis }] }]
+export function pipingLoops(layout) {
+    const piping = layout.piping || { loops: [] };
+    const spacing = piping.spacing ?? 0.5;
+
+    return piping.loops.map(loop => {
+        const [offsetX, offsetZ] = loop.offset || [0, 0];
+        const nozzle = (equipmentId, side) => {
+            const [x, y, z] = getEquipment(layout, equipmentId).position;
+            return [x + side * NOZZLE_SPREAD + offsetX, y, z + offsetZ];
+        };
+
+        const legs = loop.legs.map((leg, i) => {
+            const path = routeLeg(nozzle(leg.from, 1), nozzle(leg.to, -1), loop.elevation + i * spacing);
+            return { ...leg, pump: leg.pump || loop.pump, path, length: pathLength(path) };
+        });
+
+        const valves = (loop.valves || []).map(valve => {
+            const overhead = legs[valve.leg].path.slice(1, -1);
+            const { point, run } = locate(overhead, 0.5);
+            // Which way the pipe runs through the valve
+            const axis = run > 0 && overhead[run][0] === overhead[run - 1][0] ? 'z' : 'x';
+            return { ...valve, loop: loop.id, pump: legs[valve.leg].pump, position: point, axis };
+        });
+
+        const pumps = [...new Set(legs.map(leg => leg.pump))];
+        return { id: loop.id, name: loop.name, pumps, legs, valves };
+    });
+}
+
+export class PipingNetwork {
+    constructor(layout, equipmentData) {
+        this.equipmentData = equipmentData;
+        this.loops = pipingLoops(layout);
+        this.valves = this.loops.flatMap(loop => loop.valves.map(valve => ({ ...valve, open: true })));
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    valve(valveId) {
+        return this.valves.find(valve => valve.id === valveId) || null;
+    }
+
+    // True while a valve on one of the pump's legs is closed
+    pumpIsolated(pumpId) {
+        return this.valves.some(valve => valve.pump === pumpId && !valve.open);
+    }
+
+    // Returns false for an unknown valve
+    setValve(valveId, open) {
+        const valve = this.valve(valveId);
+        if (!valve) return false;
+        if (valve.open !== open) {
+            valve.open = open;
+            this.listeners.forEach(listener => listener('valve', valve));
+        }
+        return true;
+    }
+
+    // Water temperature and flow in a leg, and flow round a loop, from the
+    // readings - the live ones, or others such as a replay's
+    temperatureOf(leg, data = this.equipmentData) {
+        return (data[leg.temperature.equipmentId] || {})[leg.temperature.point] ?? null;
+    }
+
+    legFlowOf(leg, data = this.equipmentData) {
+        return (data[leg.pump] || {})['Flow (L/s)'] ?? 0;
+    }
+
+    flowOf(loop) {
+        return loop.pumps.reduce((sum, pump) => sum + ((this.equipmentData[pump] || {})['Flow (L/s)'] ?? 0), 0);
+    }
+
+    snapshot() {
+        return { closedValves: this.valves.filter(valve => !valve.open).map(valve => valve.id) };
+    }
+
+    restore(snapshot) {
+        this.valves.forEach(valve => {
+            valve.open = !snapshot.closedValves.includes(valve.id);
+        });
+    }
+}
@@ -0,0 +1,923 @@
+// Chilled-water plant model
+//
+// Couples the chiller, CHW/CW pumps, cooling tower and AHU through energy
+// balances instead of letting every reading drift on its own:
+//   - pumps sit on a quadratic pump curve against a quadratic system curve,
+//     shaft power = flow x head / efficiency
+//   - the AHU coil moves heat from the air stream into the CHW loop using an
+//     effectiveness model, Q = eps * Cmin * (T_air_in - T_chws)
+//   - the chiller holds its CHW supply setpoint up to its capacity, with COP
+//     following a fraction of Carnot across the evaporator/condenser lift
+//   - the condenser rejects Q_evap + kW into the CW loop and the tower cools it
+//     back towards the wet bulb with an approach that grows with load
+//   - a pump with a closed isolation valve on its circuit has no flow; it
+//     runs dead-headed at shut-off head
+//
+// Any number of units can play each part. Chillers and towers are staged
+// lead/lag (see staging.js); each chiller has its own CHW and CW pump, which
+// run while it is staged on, and the CHW pumps share the common system in
+// parallel. Running chillers load up evenly from the common return, towers
+// in service share the heat rejected, and the AHUs share the zone.
+//
+// The actuators - CHW pump speed, tower fan speed, the AHU's CHW valve and the
+// chiller's CHW setpoint - are driven by the PID loops in CONTROL_LOOPS, which
+// operators can switch to manual and drive by hand (see controls.js).
+//
+// All heat flows are kW, temperatures °C, water flows L/s (≈ kg/s).
+
+import { PidController, LOOP_MODES } from './controls.js';
+import { StagingGroup } from './staging.js';
+
+const CP_WATER = 4.186;     // kJ/kg·K
+const CP_AIR = 1.006;       // kJ/kg·K
+const KELVIN = 273.15;
+
+const DEFAULT_DESIGN = {
+    buildingLoad: 1800,         // kW sensible load on the AHU zone
+    wetBulb: 24,                // °C ambient wet bulb
+    zoneCapacity: 30000,        // kJ/K thermal mass of the served zone
+
+    chiller: {
+        capacity: 2500,         // kW cooling
+        chwSetpoint: 7.0,       // °C leaving chilled water
+        carnotEfficiency: 0.5,
+        evapApproach: 2,        // K between leaving CHW and refrigerant
+        condApproach: 2,        // K between leaving CW and refrigerant
+        minFlowFraction: 0.3,   // evaporator flow switch
+        highCondTrip: 45,       // °C leaving CW that trips on high head
+        highCondReset: 38,
+        resetValveTarget: 90,   // % AHU valve opening CHW reset aims for
+        resetMin: 5.5,          // °C range CHW reset may move the setpoint in
+        resetMax: 8
+    },
+
+    chwPump: { designFlow: 95, designHead: 250, efficiency: 0.75, dpSetpoint: 250, minSpeed: 0.4 },
+    cwPump: { designFlow: 110, designHead: 200, efficiency: 0.75 },
+
+    tower: {
+        designRejection: 2300,  // kW
+        designApproach: 4,      // K above wet bulb at design rejection
+        fanPower: 22,           // kW at full speed
+        fanOffApproachFactor: 2.5,
+        cwSetpoint: 29          // °C CW supply the fan speed holds
+    },
+
+    ahu: {
+        airflow: 300,           // kg/s
+        coilEffectiveness: 0.5, // with the CHW valve fully open
+        fanPower: 25,           // kW
+        satSetpoint: 18         // °C supply air the CHW valve holds
+    }
+};
+
+// Healthy-unit values for the modifiers a fault can apply (see faults.js)
+const HEALTHY = {
+    stopped: false,
+    capacityFactor: 1,
+    evapApproach: 0,
+    condApproach: 0,
+    headFactor: 1,
+    efficiencyFactor: 1,
+    flowNoise: 0,
+    airflowFactor: 1,
+    fanPowerFactor: 1,
+    filterDp: 0,
+    towerApproach: 0,
+    valveTravelFactor: 1,
+    dpSensorOffset: 0,
+    cwSensorOffset: 0
+};
+
+const CLEAN_FILTER_DP = 120;    // Pa
+
+// Which equipment ids play each part in the plant. The keys double as the
+// sections of the design parameters. Pumps pair with chillers by position:
+// the nth CHW and CW pumps serve the nth chiller.
+const DEFAULT_ROLES = {
+    chiller: ['chiller1'],
+    ahu: ['ahu1'],
+    chwPump: ['chillerWaterPump'],
+    cwPump: ['condenserWaterPump'],
+    tower: ['coolingTower']
+};
+
+// Staging options for each staged role (see staging.js)
+const STAGING = {
+    chiller: {},
+    tower: { minRun: 120, minOff: 60 }
+};
+
+// Seconds a starting chiller allows its pump to prove flow before the
+// low-flow switch can trip it
+const FLOW_PROVE_TIME = 30;
+
+// Seconds a tripped chiller that has been staged off stays locked out before
+// it resets and can stand by again
+const TRIP_LOCKOUT = 300;
+
+// The pump role that drives each water loop
+const LOOP_PUMPS = {
+    chw: 'chwPump',
+    cw: 'cwPump'
+};
+
+// Share of design shaft power a pump still draws against a closed valve
+const DEADHEAD_POWER_FRACTION = 0.4;
+
+// Operator-adjustable setpoints: where each lives in the design parameters
+// and the range it may be set to
+const SETPOINTS = [
+    {
+        id: 'chwSupply',
+        label: 'CHW supply setpoint',
+        role: 'chiller',
+        section: 'chiller',
+        key: 'chwSetpoint',
+        aliases: ['chw supply', 'chw setpoint', 'chilled water supply', 'chilled water setpoint', 'supply setpoint'],
+        unit: '°C',
+        min: 5,
+        max: 12,
+        loop: 'chwReset'        // written by this loop while it is in auto
+    },
+    {
+        id: 'chwReset',
+        label: 'CHW reset valve target',
+        role: 'ahu',
+        section: 'chiller',
+        key: 'resetValveTarget',
+        aliases: ['reset target', 'valve target', 'chw reset'],
+        unit: '%',
+        min: 50,
+        max: 100
+    },
+    {
+        id: 'chwDp',
+        label: 'CHW differential pressure setpoint',
+        role: 'chwPump',
+        section: 'chwPump',
+        key: 'dpSetpoint',
+        aliases: ['dp setpoint', 'differential pressure', 'chw dp', 'pump pressure'],
+        unit: 'kPa',
+        min: 100,
+        max: 320
+    },
+    {
+        id: 'cwSupply',
+        label: 'CW supply setpoint',
+        role: 'tower',
+        section: 'tower',
+        key: 'cwSetpoint',
+        aliases: ['cw supply', 'cw supply setpoint', 'condenser water supply', 'cw setpoint', 'tower setpoint'],
+        unit: '°C',
+        min: 20,
+        max: 35
+    },
+    {
+        id: 'supplyAir',
+        label: 'Supply air temperature setpoint',
+        role: 'ahu',
+        section: 'ahu',
+        key: 'satSetpoint',
+        aliases: ['supply air', 'supply air setpoint', 'sat', 'sat setpoint', 'discharge air'],
+        unit: '°C',
+        min: 12,
+        max: 22
+    }
+];
+
+// Sequence of operations. Each loop holds `setpoint` by moving an output in
+// the state (or, for CHW reset, the chiller's CHW supply setpoint) between
+// min and max; `measure` reads its process variable from a solved step.
+// Manual outputs are entered in `unit`, which is `scale` x the output.
+const CONTROL_LOOPS = [
+    {
+        id: 'ahuValve',
+        label: 'AHU CHW valve on supply air temp',
+        role: 'ahu',
+        setpoint: 'supplyAir',
+        measured: 'Supply air',
+        output: 'ahuValve',
+        unit: '%',
+        scale: 100,
+        min: 0,
+        max: 1,
+        gains: { kp: 0.04, ki: 0.01, action: 'direct' },
+        measure: r => r.supplyAirTemp
+    },
+    {
+        id: 'chwPumpDp',
+        label: 'CHW pump VFD on differential pressure',
+        role: 'chwPump',
+        setpoint: 'chwDp',
+        measured: 'Differential pressure',
+        output: 'chwPumpSpeed',
+        unit: '%',
+        scale: 100,
+        min: design => design.chwPump.minSpeed,
+        max: 1,
+        gains: { kp: 0.0008, ki: 0.0004, action: 'reverse' },
+        measure: r => r.chwDp
+    },
+    {
+        id: 'towerFan',
+        label: 'Tower fan speed on CW supply temp',
+        role: 'tower',
+        setpoint: 'cwSupply',
+        measured: 'CW supply',
+        output: 'towerFanSpeed',
+        unit: '%',
+        scale: 100,
+        min: 0,
+        max: 1,
+        gains: { kp: 0.15, ki: 0.004, action: 'direct' },
+        measure: r => r.cwSupplyReading
+    },
+    {
+        id: 'chwReset',
+        label: 'CHW supply reset on AHU valve position',
+        role: 'chiller',
+        setpoint: 'chwReset',
+        measured: 'AHU CHW valve',
+        output: 'chwSetpoint',
+        unit: '°C',
+        scale: 1,
+        min: design => design.chiller.resetMin,
+        max: design => design.chiller.resetMax,
+        gains: { kp: 0.01, ki: 0.0004, action: 'reverse' },
+        measure: r => r.valvePosition * 100,
+        mode: 'manual'          // a fixed CHW setpoint until an operator enables reset
+    }
+];
+
+// First-order lag used for every temperature/flow so the loops have inertia
+function lag(current, target, dt, tau) {
+    return current + (target - current) * (1 - Math.exp(-dt / tau));
+}
+
+// A loop limit is a number or a function of the design parameters
+function limit(value, design) {
+    return typeof value === 'function' ? value(design) : value;
+}
+
+function round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Operating point of a pump on a quadratic curve against a quadratic system.
+// Shut-off head is 1.3x design head, so speed 1 lands exactly on design flow
+// when the system is at design resistance (systemFactor 1).
+function pumpOperatingPoint(pump, speed, headFactor = 1, efficiencyFactor = 1, systemFactor = 1) {
+    if (speed <= 0) {
+        return { flow: 0, head: 0, power: 0 };
+    }
+    const shutoffHead = 1.3 * pump.designHead * headFactor;
+    const kPump = 0.3 * pump.designHead / (pump.designFlow * pump.designFlow);
+    const kSystem = systemFactor * pump.designHead / (pump.designFlow * pump.designFlow);
+
+    const flow = Math.sqrt(Math.max(0, shutoffHead * speed * speed) / (kPump + kSystem));
+    const head = kSystem * flow * flow;
+    const power = (flow / 1000) * head / (pump.efficiency * efficiencyFactor);
+
+    return { flow, head, power };
+}
+
+export class PlantModel {
+    // getModifiers(equipmentId) returns the fault modifiers currently acting on
+    // a unit; omitted keys fall back to a healthy unit. roles maps each plant
+    // role to its equipment ids (a single id for a one-unit role). random()
+    // drives the process noise.
+    constructor(equipmentData, design = {}, getModifiers = () => ({}), roles = DEFAULT_ROLES, random = Math.random) {
+        this.data = equipmentData;
+        this.getModifiers = getModifiers;
+        this.random = random;
+        this.listeners = [];
+        this.roles = {};
+        Object.entries({ ...DEFAULT_ROLES, ...roles }).forEach(([role, ids]) => {
+            this.roles[role] = [].concat(ids);
+        });
+        this.design = {
+            ...DEFAULT_DESIGN,
+            ...design,
+            chiller: { ...DEFAULT_DESIGN.chiller, ...design.chiller },
+            chwPump: { ...DEFAULT_DESIGN.chwPump, ...design.chwPump },
+            cwPump: { ...DEFAULT_DESIGN.cwPump, ...design.cwPump },
+            tower: { ...DEFAULT_DESIGN.tower, ...design.tower },
+            ahu: { ...DEFAULT_DESIGN.ahu, ...design.ahu }
+        };
+
+        // Lead/lag groups; staging changes are passed on to our listeners
+        this.staging = {};
+        Object.entries(STAGING).forEach(([role, options]) => {
+            const group = new StagingGroup(role, this.roles[role], options);
+            group.onChange((event, detail) => this.listeners.forEach(listener => listener(event, detail)));
+            this.staging[role] = group;
+        });
+
+        // Start the plant at its design operating point, on the lead units
+        const leadOn = id => this.roles.chiller.indexOf(id) === 0;
+        const units = {};
+        this.roles.chiller.forEach(id => {
+            units[id] = {
+                tripped: false,
+                tripReason: null,
+                trippedAt: null,
+                chwSupply: 7.0,
+                condTemp: leadOn(id) ? 34.3 : 29.5
+            };
+        });
+        ['chwPump', 'cwPump'].forEach(role => {
+            this.roles[role].forEach(id => {
+                units[id] = { flow: leadOn(this.chillerFor(role, id)) ? this.design[role].designFlow : 0, isolated: false };
+            });
+        });
+
+        this.state = {
+            time: 0,
+            zoneTemp: 24.0,
+            chwSupply: 7.0,         // common header temperatures and total flows
+            chwReturn: 11.5,
+            chwFlow: this.design.chwPump.designFlow,
+            cwSupply: 29.5,         // tower leaving / condenser entering
+            cwReturn: 34.3,         // condenser leaving / tower entering
+            cwFlow: this.design.cwPump.designFlow,
+            units,                  // per chiller: trip, leaving CHW and CW; per pump: flow, isolation
+            outOfService: [],       // staged units the operator has locked out
+            loadFactor: 1,          // scales the design building load
+            ahuValve: 0.7,          // loop outputs, 0-1
+            chwPumpSpeed: 0.95,
+            towerFanSpeed: 0.8
+        };
+
+        this.controlLoops = CONTROL_LOOPS.map(loop => ({
+            ...loop,
+            mode: loop.mode || 'auto',
+            controller: new PidController({
+                ...loop.gains,
+                min: limit(loop.min, this.design),
+                max: limit(loop.max, this.design)
+            })
+        }));
+
+        this.publish(this.solve(0));
+    }
+
+    // listener(event, detail) for the staging events of staging.js
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // The pump of `role` that serves a chiller, and the chiller a pump serves
+    pumpFor(role, chillerId) {
+        return this.roles[role][this.roles.chiller.indexOf(chillerId)] ?? null;
+    }
+
+    chillerFor(role, pumpId) {
+        return this.roles.chiller[this.roles[role].indexOf(pumpId)] ?? null;
+    }
+
+    // The unit a role's setpoints and loops belong to: the lead chiller or
+    // tower, the pumps of the lead chiller, the first AHU
+    unitFor(role) {
+        if (this.staging[role]) return this.staging[role].lead();
+        if (role === 'chwPump' || role === 'cwPump') return this.pumpFor(role, this.staging.chiller.lead());
+        return this.roles[role][0] ?? null;
+    }
+
+    // Whether a unit is staged on; units outside the staged roles always are,
+    // pumps with their chiller
+    isStaged(id) {
+        const group = Object.values(this.staging).find(g => g.order.includes(id));
+        if (group) return group.isOn(id);
+        for (const role of ['chwPump', 'cwPump']) {
+            if (this.roles[role].includes(id)) return this.isStaged(this.chillerFor(role, id));
+        }
+        return Boolean(id);
+    }
+
+    // Each staged group's units in lead/lag order: [{ group, units: [{ id, role, running }] }]
+    stagingStatus() {
+        return Object.values(this.staging).map(group => ({
+            group: group.id,
+            units: group.order.map(id => ({ id, role: this.stagingOf(id), running: group.isOn(id) }))
+        }));
+    }
+
+    // Lock a chiller or tower out of staging, e.g. for an overhaul; it is
+    // stopped once another unit has taken over. Returns false for a unit that
+    // is not staged.
+    setOutOfService(id, outOfService) {
+        if (!Object.values(this.staging).some(group => group.order.includes(id))) return false;
+        const others = this.state.outOfService.filter(unit => unit !== id);
+        this.state.outOfService = outOfService ? [...others, id] : others;
+        return true;
+    }
+
+    // Make a chiller or tower the lead of its group. Returns false for a unit
+    // that is not staged.
+    setLead(id) {
+        const group = Object.values(this.staging).find(g => g.order.includes(id));
+        return group ? group.makeLead(id, this.state.time) : false;
+    }
+
+    // Rotate a group's lead on to the next unit; returns the new lead
+    rotateLead(role) {
+        return this.staging[role] ? this.staging[role].rotate(this.state.time) : null;
+    }
+
+    setpoints() {
+        return SETPOINTS.map(setpoint => ({
+            ...setpoint,
+            equipmentId: this.unitFor(setpoint.role),
+            value: this.design[setpoint.section][setpoint.key]
+        }));
+    }
+
+    // Returns false if the setpoint is unknown or the value out of range. A
+    // setpoint that a loop writes (CHW supply under reset) puts that loop in
+    // manual, as an operator override.
+    setSetpoint(id, value) {
+        const setpoint = SETPOINTS.find(s => s.id === id);
+        if (!setpoint || !(value >= setpoint.min && value <= setpoint.max)) {
+            return false;
+        }
+        this.design[setpoint.section][setpoint.key] = value;
+        if (setpoint.loop) this.setLoopMode(setpoint.loop, 'manual');
+        return true;
+    }
+
+    // Control loops with their live values, outputs in the loop's unit
+    loops() {
+        const setpoints = this.setpoints();
+        return this.controlLoops.map(loop => {
+            const setpoint = setpoints.find(s => s.id === loop.setpoint);
+            return {
+                id: loop.id,
+                label: loop.label,
+                equipmentId: this.unitFor(loop.role),
+                mode: loop.mode,
+                setpoint,
+                measured: loop.measured,
+                value: loop.measure(this.lastResult),
+                output: this.loopOutput(loop) * loop.scale,
+                unit: loop.unit,
+                min: round(limit(loop.min, this.design) * loop.scale),
+                max: round(limit(loop.max, this.design) * loop.scale)
+            };
+        });
+    }
+
+    loopOutput(loop) {
+        return loop.output === 'chwSetpoint' ? this.design.chiller.chwSetpoint : this.state[loop.output];
+    }
+
+    setLoopOutputValue(loop, value) {
+        if (loop.output === 'chwSetpoint') {
+            this.design.chiller.chwSetpoint = value;
+        } else {
+            this.state[loop.output] = value;
+        }
+    }
+
+    // Returns false for an unknown loop or mode
+    setLoopMode(id, mode) {
+        const loop = this.controlLoops.find(l => l.id === id);
+        if (!loop || !LOOP_MODES.includes(mode)) return false;
+        if (loop.mode !== mode) {
+            loop.mode = mode;
+            loop.controller.reset();
+        }
+        return true;
+    }
+
+    // Drive a loop by hand: switches it to manual and sets its output, given
+    // in the loop's unit. Returns false if the value is out of range.
+    setLoopOutput(id, value) {
+        const loop = this.controlLoops.find(l => l.id === id);
+        if (!loop) return false;
+        const min = limit(loop.min, this.design);
+        const max = limit(loop.max, this.design);
+        const output = value / loop.scale;
+        if (!(output >= min - 1e-9 && output <= max + 1e-9)) {
+            return false;
+        }
+        this.setLoopMode(id, 'manual');
+        this.setLoopOutputValue(loop, Math.min(max, Math.max(min, output)));
+        return true;
+    }
+
+    // Run the loops in auto on what the last step measured
+    control(r, dt) {
+        const setpoints = this.setpoints();
+        this.controlLoops.forEach(loop => {
+            if (loop.mode !== 'auto' || dt <= 0) return;
+            const setpoint = setpoints.find(s => s.id === loop.setpoint).value;
+            loop.controller.min = limit(loop.min, this.design);
+            loop.controller.max = limit(loop.max, this.design);
+            this.setLoopOutputValue(loop, loop.controller.update(this.loopOutput(loop), setpoint, loop.measure(r), dt));
+        });
+    }
+
+    // Scale the building load, e.g. for a hot afternoon in a training scenario
+    setLoadFactor(factor) {
+        this.state.loadFactor = factor;
+    }
+
+    // Close off (or reopen) a pump's circuit
+    setPumpIsolated(id, isolated) {
+        if (this.state.units[id]) this.state.units[id].isolated = isolated;
+    }
+
+    // Design flow of one pump on the loop
+    loopDesignFlow(loop) {
+        return this.design[LOOP_PUMPS[loop]].designFlow;
+    }
+
+    // Dynamic state, setpoints, loop modes and staging, for saving; the
+    // readings themselves live in equipmentData and are saved with it
+    snapshot() {
+        const setpoints = {};
+        this.setpoints().forEach(setpoint => { setpoints[setpoint.id] = setpoint.value; });
+        const loops = {};
+        this.controlLoops.forEach(loop => { loops[loop.id] = loop.mode; });
+        const staging = {};
+        Object.entries(this.staging).forEach(([role, group]) => { staging[role] = group.snapshot(); });
+        return { state: structuredClone(this.state), setpoints, loops, staging };
+    }
+
+    // Units that are not in this plant are skipped
+    restore(snapshot) {
+        const { units = {}, ...state } = snapshot.state;
+        Object.assign(this.state, state);
+        Object.entries(units).forEach(([id, unit]) => {
+            if (this.state.units[id]) Object.assign(this.state.units[id], unit);
+        });
+        Object.entries(snapshot.setpoints || {}).forEach(([id, value]) => this.setSetpoint(id, value));
+        Object.entries(snapshot.loops || {}).forEach(([id, mode]) => this.setLoopMode(id, mode));
+        Object.entries(snapshot.staging || {}).forEach(([role, saved]) => {
+            if (this.staging[role]) this.staging[role].restore(saved);
+        });
+    }
+
+    // Clear every chiller trip, e.g. for a fault-free copy of the plant
+    resetTrips() {
+        this.roles.chiller.forEach(id => {
+            Object.assign(this.state.units[id], { tripped: false, tripReason: null, trippedAt: null });
+        });
+    }
+
+    modifiers(id) {
+        return { ...HEALTHY, ...this.getModifiers(id) };
+    }
+
+    isRunning(id) {
+        return Boolean(this.data[id]) && !this.modifiers(id).stopped;
+    }
+
+    // Building load follows a slow daily-ish swing plus a little noise
+    currentBuildingLoad() {
+        const swing = Math.sin(this.state.time / 600 * Math.PI) * 0.1;
+        const noise = (this.random() - 0.5) * 0.02;
+        return this.design.buildingLoad * this.state.loadFactor * (1 + swing + noise);
+    }
+
+    // Advance the plant by dt seconds, sub-stepping to keep the lags stable
+    step(dt) {
+        const subSteps = Math.max(1, Math.ceil(dt / 0.5));
+        const h = dt / subSteps;
+        let result = null;
+        for (let i = 0; i < subSteps; i++) {
+            result = this.solve(h);
+        }
+        this.publish(result);
+    }
+
+    // Stage the chillers on the cooling the plant is asked for, failing over
+    // any that fault or trip, and run one tower per chiller
+    stage() {
+        const { chiller, tower } = this.staging;
+        const time = this.state.time;
+        if (this.lastResult) {
+            chiller.demand(time, this.lastResult.requiredCooling, this.design.chiller.capacity);
+        }
+        const inService = id => !this.state.outOfService.includes(id) && this.isRunning(id);
+        chiller.update(time, id => inService(id) && !this.state.units[id].tripped);
+        tower.setStages(chiller.running.length);
+        tower.update(time, inService);
+    }
+
+    solve(dt) {
+        const s = this.state;
+        const d = this.design;
+        s.time += dt;
+        if (dt > 0) this.stage();
+
+        // --- AHU valves ---
+        // Each AHU's two-way CHW valve is the main resistance in the CHW
+        // loop: closing them raises the pumps' head and cuts the flow
+        const valves = this.roles.ahu.map(id => s.ahuValve * this.modifiers(id).valveTravelFactor);
+        const valvePosition = valves.length ? valves.reduce((sum, v) => sum + v, 0) / valves.length : 0;
+        const chwSystemFactor = 0.6 + 0.4 / Math.pow(Math.max(0.1, valvePosition), 2);
+
+        // --- Pumps ---
+        // CHW pumps in parallel share the system: n pumps each see n² its
+        // resistance. CW pumps each serve their own condenser.
+        const chwPumping = this.roles.chwPump
+            .filter(id => this.isStaged(id) && this.isRunning(id) && !s.units[id].isolated).length;
+        const pumpPoints = {};
+        this.roles.chwPump.forEach(id => {
+            const speed = this.isStaged(id) ? s.chwPumpSpeed : 0;
+            pumpPoints[id] = this.pumpPoint(id, d.chwPump, s.units[id].isolated, speed,
+                chwSystemFactor * Math.pow(Math.max(1, chwPumping), 2));
+        });
+        this.roles.cwPump.forEach(id => {
+            pumpPoints[id] = this.pumpPoint(id, d.cwPump, s.units[id].isolated, this.isStaged(id) ? 1 : 0);
+        });
+        Object.entries(pumpPoints).forEach(([id, point]) => {
+            const unit = s.units[id];
+            unit.flow = dt > 0 ? lag(unit.flow, point.flow, dt, 3) : point.flow;
+        });
+        const totalFlow = role => this.roles[role].reduce((sum, id) => sum + s.units[id].flow, 0);
+        s.chwFlow = totalFlow('chwPump');
+        s.cwFlow = totalFlow('cwPump');
+        const chwDp = Math.max(0, ...this.roles.chwPump.map(id => pumpPoints[id].head)) +
+            this.roles.chwPump.filter(id => this.isStaged(id))
+                .reduce((sum, id) => sum + this.modifiers(id).dpSensorOffset, 0);
+
+        const cChw = s.chwFlow * CP_WATER;     // kW/K
+        const cCw = s.cwFlow * CP_WATER;
+
+        // --- AHU coils ---
+        // The AHUs take an equal share of the CHW flow
+        const coils = this.roles.ahu.map((id, i) => {
+            const mods = this.modifiers(id);
+            const running = this.isRunning(id);
+            const cAir = running ? d.ahu.airflow * mods.airflowFactor * CP_AIR : 0;
+            const cMin = Math.min(cAir, cChw / this.roles.ahu.length);
+            const load = Math.max(0, d.ahu.coilEffectiveness * valves[i] * cMin * (s.zoneTemp - s.chwSupply));
+            return {
+                id,
+                running,
+                valve: valves[i],
+                load,
+                supplyAirTemp: cAir > 0 ? s.zoneTemp - load / cAir : s.zoneTemp,
+                power: running ? d.ahu.fanPower * mods.fanPowerFactor : 0,
+                filterDp: running ? CLEAN_FILTER_DP + mods.filterDp : 0
+            };
+        });
+        const coilLoad = coils.reduce((sum, coil) => sum + coil.load, 0);
+        const ahuPower = coils.reduce((sum, coil) => sum + coil.power, 0);
+        const supplying = coils.filter(coil => coil.running);
+        const supplyAirTemp = supplying.length
+            ? supplying.reduce((sum, coil) => sum + coil.supplyAirTemp, 0) / supplying.length
+            : s.zoneTemp;
+
+        // Zone heat balance: building load plus fan heat against coil removal
+        const buildingLoad = this.currentBuildingLoad();
+        if (dt > 0) {
+            s.zoneTemp += (buildingLoad + ahuPower - coilLoad) * dt / d.zoneCapacity;
+        }
+
+        // CHW return is the supply plus whatever the coils picked up
+        const chwReturnTarget = cChw > 1 ? s.chwSupply + coilLoad / cChw : s.zoneTemp;
+
+        // --- Chillers ---
+        // Each holds the common setpoint from the common return, up to its
+        // capacity, on the flow its own pumps deliver
+        const c = d.chiller;
+        const chillers = this.roles.chiller.map(id => {
+            const unit = s.units[id];
+            const staged = this.isStaged(id);
+            const flow = (s.units[this.pumpFor('chwPump', id)] || {}).flow || 0;
+            const cwFlow = (s.units[this.pumpFor('cwPump', id)] || {}).flow || 0;
+            const cEvap = flow * CP_WATER;
+            const cCond = cwFlow * CP_WATER;
+
+            const lowFlow = flow < d.chwPump.designFlow * c.minFlowFraction;
+            const proving = this.staging.chiller.runTime(id, s.time) < FLOW_PROVE_TIME;
+            if (!unit.tripped) {
+                if (staged && lowFlow && !proving) {
+                    Object.assign(unit, { tripped: true, tripReason: 'low CHW flow', trippedAt: s.time });
+                } else if (unit.condTemp > c.highCondTrip) {
+                    Object.assign(unit, { tripped: true, tripReason: 'high condenser pressure', trippedAt: s.time });
+                }
+            } else if (unit.condTemp < c.highCondReset &&
+                (staged ? !lowFlow : s.time - unit.trippedAt >= TRIP_LOCKOUT)) {
+                Object.assign(unit, { tripped: false, tripReason: null, trippedAt: null });
+            }
+
+            const mods = this.modifiers(id);
+            const running = staged && this.isRunning(id) && !unit.tripped;
+            let evapLoad = 0;
+            let leavingTarget = s.chwReturn;
+            if (running && cEvap > 1) {
+                const required = cEvap * Math.max(0, s.chwReturn - c.chwSetpoint);
+                evapLoad = Math.min(required, c.capacity * mods.capacityFactor);
+                leavingTarget = s.chwReturn - evapLoad / cEvap;
+            } else if (cEvap <= 1) {
+                // Stagnant evaporator slowly warms towards the plant room
+                leavingTarget = s.zoneTemp;
+            }
+
+            // COP from lift between evaporator and condenser refrigerant temps
+            const evapTemp = unit.chwSupply - c.evapApproach - mods.evapApproach + KELVIN;
+            const condTemp = unit.condTemp + c.condApproach + mods.condApproach + KELVIN;
+            const cop = running
+                ? Math.max(1, c.carnotEfficiency * evapTemp / Math.max(1, condTemp - evapTemp))
+                : 0;
+            const power = running ? evapLoad / cop : 0;
+            const heatRejected = evapLoad + power;
+
+            // With no condenser flow the shell heats up with every kW
+            // rejected; the refrigerant relief setting caps how hot it can
+            // get. A chiller staged off cools back to the basin temperature.
+            const condTarget = !staged ? s.cwSupply : Math.min(
+                c.highCondTrip + 10,
+                cCond > 1 ? s.cwSupply + heatRejected / cCond : unit.condTemp + heatRejected * 0.001
+            );
+
+            return { id, staged, running, flow, cEvap, cCond, evapLoad, leavingTarget, condTarget, cop, power, heatRejected };
+        });
+
+        const sum = (list, value) => list.reduce((total, item) => total + value(item), 0);
+        const evapLoad = sum(chillers, chiller => chiller.evapLoad);
+        const chillerPower = sum(chillers, chiller => chiller.power);
+        const heatRejected = sum(chillers, chiller => chiller.heatRejected);
+        const cEvap = sum(chillers, chiller => chiller.cEvap);
+        const cCond = sum(chillers, chiller => chiller.cCond);
+        // Cooling the plant is asked for: the whole flow brought down to setpoint
+        const requiredCooling = cChw * Math.max(0, s.chwReturn - c.chwSetpoint);
+
+        // The headers mix what leaves each chiller
+        const chwSupplyTarget = cEvap > 1
+            ? sum(chillers, chiller => chiller.cEvap * chiller.leavingTarget) / cEvap
+            : s.zoneTemp;
+        const cwReturnTarget = cCond > 1
+            ? sum(chillers, chiller => chiller.cCond * chiller.condTarget) / cCond
+            : s.cwReturn;
+
+        // --- Towers ---
+        // Towers in service share the heat rejected; each fan runs at the
+        // common speed, with natural draught alone at speed 0 and fan power
+        // following the cube law
+        const t = d.tower;
+        const inService = this.roles.tower.filter(id => this.isStaged(id));
+        const loadRatio = Math.max(0.05, heatRejected / Math.max(1, inService.length) / t.designRejection);
+        const towers = this.roles.tower.map(id => {
+            const fanSpeed = this.isStaged(id) && this.isRunning(id) ? s.towerFanSpeed : 0;
+            const approach = (t.designApproach * Math.pow(loadRatio, 0.6) + this.modifiers(id).towerApproach) *
+                (t.fanOffApproachFactor - (t.fanOffApproachFactor - 1) * fanSpeed);
+            return { id, fanSpeed, approach, power: t.fanPower * Math.pow(fanSpeed, 3) };
+        });
+        const serving = towers.filter(tower => inService.includes(tower.id));
+        const approach = serving.length ? sum(serving, tower => tower.approach) / serving.length : 0;
+        const wetBulb = d.wetBulb + (this.random() - 0.5) * 0.1;
+        const cwSupplyTarget = cCw > 1 && serving.length ? wetBulb + approach : s.cwSupply;
+        const towerPower = sum(towers, tower => tower.power);
+
+        if (dt > 0) {
+            s.chwSupply = lag(s.chwSupply, chwSupplyTarget, dt, 20);
+            s.chwReturn = lag(s.chwReturn, chwReturnTarget, dt, 20);
+            s.cwReturn = lag(s.cwReturn, cwReturnTarget, dt, 15);
+            s.cwSupply = lag(s.cwSupply, cwSupplyTarget, dt, 30);
+            chillers.forEach(chiller => {
+                const unit = s.units[chiller.id];
+                unit.chwSupply = lag(unit.chwSupply, chiller.leavingTarget, dt, 20);
+                unit.condTemp = lag(unit.condTemp, chiller.condTarget, dt, 15);
+            });
+        }
+
+        const result = {
+            buildingLoad,
+            requiredCooling,
+            coilLoad,
+            coils,
+            valvePosition,
+            chwDp,
+            cwSupplyReading: s.cwSupply + sum(inService, id => this.modifiers(id).cwSensorOffset),
+            supplyAirTemp,
+            ahuPower,
+            pumpPoints,
+            chillers,
+            evapLoad,
+            cop: chillerPower > 0 ? evapLoad / chillerPower : 0,
+            chillerPower,
+            heatRejected,
+            towers,
+            towerPower
+        };
+
+        this.lastResult = result;
+        this.control(result, dt);
+        return result;
+    }
+
+    pumpPoint(id, pump, isolated = false, speed = 1, systemFactor = 1) {
+        const mods = this.modifiers(id);
+        const point = pumpOperatingPoint(pump, this.isRunning(id) ? speed : 0, mods.headFactor, mods.efficiencyFactor, systemFactor);
+        if (isolated && point.flow > 0) {
+            // Dead-headed: no flow, the pump churns at shut-off head
+            const designPower = (pump.designFlow / 1000) * pump.designHead / (pump.efficiency * mods.efficiencyFactor);
+            return { flow: 0, head: 1.3 * pump.designHead * mods.headFactor, power: DEADHEAD_POWER_FRACTION * designPower };
+        }
+        if (mods.flowNoise > 0 && point.flow > 0) {
+            // Cavitating pumps surge: flow and head hunt around the operating point
+            const surge = 1 + (this.random() - 0.5) * 2 * mods.flowNoise;
+            point.flow *= surge;
+            point.head *= surge * surge;
+        }
+        return point;
+    }
+
+    // A healthy unit that is staged off is on standby
+    statusOf(id) {
+        if (!this.isRunning(id)) return 'Stopped';
+        return this.isStaged(id) ? 'Running' : 'Standby';
+    }
+
+    // Lead, lag, standby or out of service, for the staged roles
+    stagingOf(id) {
+        if (this.state.outOfService.includes(id)) return 'Out of service';
+        const group = Object.values(this.staging).find(g => g.order.includes(id));
+        const role = group.roleOf(id);
+        return role.charAt(0).toUpperCase() + role.slice(1);
+    }
+
+    // Write the solved values back into the equipmentData points
+    publish(r) {
+        const s = this.state;
+        const data = this.data;
+        const staged = this.roles.chiller.length > 1;
+
+        r.chillers.forEach(chiller => {
+            const id = chiller.id;
+            if (!data[id]) return;
+            const unit = s.units[id];
+            Object.assign(data[id], {
+                'Supply Temp (°C)': round(unit.chwSupply),
+                'Return Temp (°C)': round(s.chwReturn),
+                'Cond Temp (°C)': round(unit.condTemp),
+                'Flow (L/s)': round(chiller.flow, 0),
+                'Load (kW)': round(chiller.evapLoad, 0),
+                'COP': round(chiller.cop, 2),
+                'Power (kW)': round(chiller.power),
+                'CHW Setpoint (°C)': round(this.design.chiller.chwSetpoint),
+                ...(staged ? { 'Staging': this.stagingOf(id) } : {}),
+                status: unit.tripped ? `Tripped (${unit.tripReason})` : this.statusOf(id)
+            });
+        });
+
+        r.coils.forEach(coil => {
+            if (!data[coil.id]) return;
+            Object.assign(data[coil.id], {
+                'Power (kW)': round(coil.power),
+                'Supply Temp (°C)': round(coil.supplyAirTemp),
+                'Return Temp (°C)': round(s.zoneTemp),
+                'Coil Load (kW)': round(coil.load, 0),
+                'CHW Valve (%)': round(coil.valve * 100, 0),
+                'Filter ΔP (Pa)': round(coil.filterDp, 0),
+                status: this.statusOf(coil.id)
+            });
+        });
+
+        this.roles.chwPump.forEach(id => {
+            if (!data[id]) return;
+            const pumping = this.isRunning(id) && this.isStaged(id);
+            Object.assign(data[id], {
+                'Power (kW)': round(r.pumpPoints[id].power),
+                'Pressure (kPa)': round(pumping ? r.chwDp : 0, 0),
+                'Flow (L/s)': round(s.units[id].flow, 0),
+                'Speed (%)': round(pumping ? s.chwPumpSpeed * 100 : 0, 0),
+                status: this.statusOf(id)
+            });
+        });
+
+        this.roles.cwPump.forEach(id => {
+            if (!data[id]) return;
+            Object.assign(data[id], {
+                'Power (kW)': round(r.pumpPoints[id].power),
+                'Pressure (kPa)': round(r.pumpPoints[id].head, 0),
+                'Flow (L/s)': round(s.units[id].flow, 0),
+                status: this.statusOf(id)
+            });
+        });
+
+        const towerStaged = this.roles.tower.length > 1;
+        const serving = this.roles.tower.filter(id => this.isStaged(id)).length;
+        r.towers.forEach(tower => {
+            const id = tower.id;
+            if (!data[id]) return;
+            const share = this.isStaged(id) ? 1 / serving : 0;
+            Object.assign(data[id], {
+                'Supply Temp (°C)': round(s.cwSupply + (share > 0 ? this.modifiers(id).cwSensorOffset : 0)),
+                'Return Temp (°C)': round(s.cwReturn),
+                'Flow (L/s)': round(s.cwFlow * share, 0),
+                'Heat Rejection (kW)': round(r.heatRejected * share, 0),
+                'Power (kW)': round(tower.power),
+                'Fan Speed (%)': round(tower.fanSpeed * 100, 0),
+                ...(towerStaged ? { 'Staging': this.stagingOf(id) } : {}),
+                status: this.statusOf(id)
+            });
+        });
+    }
+}
@@ -0,0 +1,339 @@
+// Session recording and replay
+//
+// The recorder follows a running Simulation and keeps a timeline of
+// everything that changes, so that an instructor can play a trainee's session
+// back afterwards:
+//
+//   frames  every `interval` s of simulation time: the data points that
+//           changed, each unit's alarm state, and each engineer's position,
+//           heading, activity and speech bubble. Every KEYFRAME_EVERY-th
+//           frame holds all the points and states rather than the changes, so
+//           seeking never has to go back far.
+//   events  as they happen: chat lines, faults, alarms, work orders, staging
+//           and operator actions (chat from the operator, valves, alarm
+//           acknowledgements and anything the UI reports through action()).
+//
+// Times are simulation seconds. Loading a save starts the recording over, as
+// the session it continues from was not recorded. The recording keeps the
+// last `limit` s.
+//
+// A SessionPlayer plays a recording back: stateAt(time) rebuilds the plant
+// room as it was, with engineers interpolated between frames, for the 3D view
+// to draw in place of the live simulation.
+
+import { SPEEDS } from './simclock.js';
+
+export const RECORDING_FORMAT = 'hvac-plant-recording';
+export const RECORDING_VERSION = 1;
+export const KEYFRAME_EVERY = 60;
+
+// Replay can run faster than the simulation itself
+export const REPLAY_SPEEDS = [...SPEEDS, 50, 100];
+
+// What the view needs to draw an engineer
+export function poseOf(engineer) {
+    return {
+        name: engineer.name,
+        x: engineer.position.x,
+        z: engineer.position.z,
+        heading: engineer.heading,
+        activity: engineer.activity(),
+        dialogue: engineer.dialogue
+    };
+}
+
+export class SessionRecorder {
+    constructor(sim, { interval = 0.5, limit = 4 * 3600 } = {}) {
+        this.sim = sim;
+        this.interval = interval;
+        this.limit = limit;
+        this.listeners = [];
+        this.reset();
+
+        // Allow for rounding in the clock's sub-steps
+        sim.clock.onTick(() => {
+            if (sim.clock.time >= this.nextFrameAt - 1e-6) this.capture();
+        });
+
+        sim.onChange((event, payload) => {
+            if (event === 'chat') {
+                this.record('chat', { text: payload.text, sender: payload.sender });
+                if (payload.sender === 'user') this.action(payload.text);
+            } else if (event === 'valve') {
+                this.record('valve', { valveId: payload.id, open: payload.open });
+                this.action(`${payload.open ? 'Opened' : 'Closed'} ${payload.label}`);
+            } else if (event === 'restored') {
+                this.reset();
+            }
+        });
+        sim.faultManager.onChange((event, equipmentId, fault) => {
+            this.record('fault', { event, equipmentId, faultId: fault.id, name: fault.name });
+        });
+        sim.alarmManager.onChange((event, alarm, entry) => {
+            this.record('alarm', { event, equipmentId: alarm.equipmentId, priority: alarm.priority, text: entry.message });
+            if (event === 'acknowledged' || event === 'shelved') {
+                this.action(`${event === 'acknowledged' ? 'Acknowledged' : 'Shelved'} ${entry.message}`);
+            }
+        });
+        sim.workOrders.onChange((event, order) => {
+            if (!order) return;
+            this.record('workOrder', {
+                event,
+                id: order.id,
+                equipmentId: order.equipmentId,
+                assignee: order.assignee,
+                outcome: order.outcome
+            });
+        });
+        sim.plantModel.onChange((event, detail) => this.record('staging', { event, ...detail }));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, payload) {
+        this.listeners.forEach(listener => listener(event, payload));
+    }
+
+    // Start a new recording from the simulation's current state, with the
+    // chat so far, the faults already present and the valves already closed
+    reset() {
+        const { sim } = this;
+        this.epoch = sim.clock.epoch;
+        this.frames = [];
+        this.events = [];
+        this.lastPoints = {};
+        this.lastAlarms = {};
+        sim.chatLog.forEach(message => this.record('chat', { text: message.text, sender: message.sender }));
+        sim.layout.equipment.forEach(entry => sim.faultManager.activeFaults(entry.id).forEach(fault => {
+            this.record('fault', { event: 'injected', equipmentId: entry.id, faultId: fault.id, name: fault.name });
+        }));
+        sim.piping.valves.filter(valve => !valve.open).forEach(valve => this.record('valve', { valveId: valve.id, open: false }));
+        this.capture();
+        this.emit('reset', null);
+    }
+
+    get duration() {
+        return this.frames[this.frames.length - 1].time - this.frames[0].time;
+    }
+
+    record(type, detail) {
+        this.events.push({ time: this.sim.clock.time, type, ...detail });
+    }
+
+    // Something the operator did, for the timeline markers
+    action(text) {
+        this.record('action', { text });
+    }
+
+    capture() {
+        const { sim } = this;
+        const full = this.frames.length % KEYFRAME_EVERY === 0;
+
+        const points = {};
+        Object.entries(sim.equipmentData).forEach(([id, data]) => {
+            const last = this.lastPoints[id] || {};
+            const changed = Object.entries(data).filter(([key, value]) => full || last[key] !== value);
+            if (changed.length > 0) points[id] = Object.fromEntries(changed);
+            this.lastPoints[id] = { ...data };
+        });
+
+        const alarms = {};
+        sim.layout.equipment.forEach(entry => {
+            const state = sim.alarmManager.equipmentState(entry.id);
+            if (full || this.lastAlarms[entry.id] !== state) alarms[entry.id] = state;
+            this.lastAlarms[entry.id] = state;
+        });
+
+        this.frames.push({
+            time: sim.clock.time,
+            full,
+            points,
+            alarms,
+            engineers: sim.engineers.map(poseOf)
+        });
+        this.nextFrameAt = sim.clock.time + this.interval;
+        this.trim();
+    }
+
+    // Drop whole keyframe groups older than the limit, so the recording
+    // always starts on a keyframe, and the events from before it - apart from
+    // faults and valves, which may still be in the same state
+    trim() {
+        const cutoff = this.sim.clock.time - this.limit;
+        if (this.frames.length <= KEYFRAME_EVERY || this.frames[KEYFRAME_EVERY].time > cutoff) return;
+        while (this.frames.length > KEYFRAME_EVERY && this.frames[KEYFRAME_EVERY].time <= cutoff) {
+            this.frames.splice(0, KEYFRAME_EVERY);
+        }
+        const start = this.frames[0].time;
+        this.events = this.events.filter(event => event.time >= start || event.type === 'fault' || event.type === 'valve');
+    }
+
+    // The recording as a plain document, for export
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            plant: this.sim.layout.name,
+            epoch: this.epoch,
+            interval: this.interval,
+            frames: this.frames,
+            events: this.events
+        };
+    }
+}
+
+// Parse and validate a recording (JSON text or object). Throws an Error
+// explaining why a file can't be played.
+export function readRecording(input) {
+    let recording;
+    try {
+        recording = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!recording || recording.format !== RECORDING_FORMAT) {
+        throw new Error('The file is not a session recording.');
+    }
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Recording version ${recording.version} is not supported by this version of the simulator.`);
+    }
+    if (!Array.isArray(recording.frames) || recording.frames.length === 0 || !recording.frames[0].full) {
+        throw new Error('The recording has no frames.');
+    }
+    return recording;
+}
+
+// Plays a recording back at a chosen speed. Time runs from the first frame
+// to the last.
+//
+// Events (onChange(listener), listener(player)): play, pause, speed or seek
+export class SessionPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.start = recording.frames[0].time;
+        this.end = recording.frames[recording.frames.length - 1].time;
+        this.time = this.start;
+        this.speed = 1;
+        this.playing = false;
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    play() {
+        if (this.time >= this.end) this.time = this.start;
+        this.playing = true;
+        this.emit();
+    }
+
+    pause() {
+        this.playing = false;
+        this.emit();
+    }
+
+    togglePlay() {
+        if (this.playing) this.pause(); else this.play();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.emit();
+    }
+
+    seek(time) {
+        this.time = Math.min(this.end, Math.max(this.start, time));
+        this.emit();
+    }
+
+    // Advance by a frame of real time; stops at the end
+    tick(realDt) {
+        if (!this.playing) return;
+        this.time = Math.min(this.end, this.time + realDt * this.speed);
+        if (this.time >= this.end) this.pause();
+    }
+
+    // Timeline markers: alarms raised and operator actions, as
+    // { time, kind: 'alarm' | 'action', text }
+    markers() {
+        return this.recording.events
+            .filter(event => (event.type === 'alarm' && event.event === 'raised') || event.type === 'action')
+            .map(event => ({ time: event.time, kind: event.type, text: event.text }));
+    }
+
+    // Index of the last frame at or before `time`
+    frameIndex(time) {
+        const { frames } = this.recording;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].time <= time) low = mid; else high = mid - 1;
+        }
+        return low;
+    }
+
+    // The plant room at `time`: { time, equipmentData, alarmStates, engineers,
+    // chat, faults, closedValves }, where faults lists the active ones as
+    // { equipmentId, faultId, name }
+    stateAt(time = this.time) {
+        const { frames, events } = this.recording;
+        const index = this.frameIndex(time);
+        let keyframe = index;
+        while (!frames[keyframe].full) keyframe--;
+
+        const equipmentData = {};
+        const alarmStates = {};
+        for (let i = keyframe; i <= index; i++) {
+            Object.entries(frames[i].points).forEach(([id, points]) => {
+                equipmentData[id] = { ...equipmentData[id], ...points };
+            });
+            Object.assign(alarmStates, frames[i].alarms);
+        }
+
+        // Engineers move smoothly between frames
+        const frame = frames[index];
+        const next = frames[index + 1];
+        const t = next ? (time - frame.time) / (next.time - frame.time) : 0;
+        const engineers = frame.engineers.map(pose => {
+            const later = next && next.engineers.find(other => other.name === pose.name);
+            if (!later || t <= 0) return { ...pose };
+            const turn = Math.atan2(Math.sin(later.heading - pose.heading), Math.cos(later.heading - pose.heading));
+            return {
+                ...pose,
+                x: pose.x + (later.x - pose.x) * t,
+                z: pose.z + (later.z - pose.z) * t,
+                heading: pose.heading + turn * t
+            };
+        });
+
+        const past = events.filter(event => event.time <= time);
+        const faults = [];
+        past.filter(event => event.type === 'fault').forEach(({ event, equipmentId, faultId, name }) => {
+            const at = faults.findIndex(f => f.equipmentId === equipmentId && f.faultId === faultId);
+            if (event === 'injected' && at < 0) faults.push({ equipmentId, faultId, name });
+            if (event === 'cleared' && at >= 0) faults.splice(at, 1);
+        });
+        const closedValves = new Set();
+        past.filter(event => event.type === 'valve').forEach(({ valveId, open }) => {
+            if (open) closedValves.delete(valveId); else closedValves.add(valveId);
+        });
+
+        return {
+            time,
+            equipmentData,
+            alarmStates,
+            engineers,
+            chat: past.filter(event => event.type === 'chat').map(({ text, sender }) => ({ text, sender })),
+            faults,
+            closedValves: [...closedValves]
+        };
+    }
+}
@@ -0,0 +1,408 @@
+// Shift reports
+//
+// A record of a session for the manager running the training: the alarms
+// raised and cleared, the work orders and how long they took, the chat, the
+// energy used and what faults and maintenance cost, and the min / max /
+// average of every numeric data point with a trend of each. A ShiftLog
+// follows the simulation and keeps the readings, energy, alarms and chat for
+// the whole shift - since the simulation started or the last save was loaded -
+// however long it runs, where the session recording, the chat log and the
+// alarm log only keep their latest part. Work orders and maintenance costs
+// come from the simulation itself.
+//
+// buildShiftReport() gathers it all into one plain document, which exports
+// as JSON, as CSV (one section per table) or as a printable HTML page with
+// the trends drawn as inline SVG.
+
+import { getEquipment } from './layout.js';
+import { PRIORITY_NAMES } from './alarms.js';
+import { totalPower, tariffPeriod } from './energy.js';
+
+export const REPORT_FORMAT = 'hvac-shift-report';
+export const REPORT_VERSION = 1;
+
+// Samples kept in each point's trend
+export const TREND_SAMPLES = 120;
+
+const iso = timestamp => timestamp === null ? null : new Date(timestamp).toISOString();
+const seconds = (from, to) => from === null || to === null ? null : Math.round((to - from) / 1000);
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Alarm occurrences from the log entries (epoch ms) at or after `from`: each
+// raise paired with its first acknowledgement and its return to normal.
+// An alarm still active at `to` has no `cleared` time; its duration runs to `to`.
+export function alarmOccurrences(log, from, to) {
+    const open = new Map();
+    const occurrences = [];
+    log.filter(entry => entry.time >= from).forEach(entry => {
+        const occurrence = open.get(entry.key);
+        if (entry.event === 'raised') {
+            const raised = { ...entry, acknowledgedAt: null, clearedAt: null };
+            open.set(entry.key, raised);
+            occurrences.push(raised);
+        } else if (entry.event === 'acknowledged' && occurrence && occurrence.acknowledgedAt === null) {
+            occurrence.acknowledgedAt = entry.time;
+        } else if (entry.event === 'returned' && occurrence) {
+            occurrence.clearedAt = entry.time;
+            open.delete(entry.key);
+        }
+    });
+    return occurrences.map(occurrence => ({
+        ...occurrence,
+        duration: seconds(occurrence.time, occurrence.clearedAt ?? to)
+    }));
+}
+
+// Running min, max and average of every numeric point, fed one frame at a
+// time, with a trend of [seconds from the first frame, value] pairs that is
+// thinned as it grows, so it never holds more than `samples` (plus the
+// latest). Frames come at a fixed interval, so a plain average is a time
+// average.
+export class PointTally {
+    constructor(samples = TREND_SAMPLES) {
+        this.samples = samples;
+        this.current = {};
+        this.stats = {};
+        this.start = null;
+        this.frames = 0;
+        this.every = 1;    // every how many frames the trends take a sample
+    }
+
+    // frame: { time, points: { equipmentId: { point: value } } }; points that
+    // have not changed since the last frame may be left out
+    add(frame) {
+        this.start ??= frame.time;
+        Object.entries(frame.points).forEach(([id, points]) => {
+            this.current[id] = { ...this.current[id], ...points };
+        });
+        const index = this.frames++;
+        const time = round(frame.time - this.start, 1);
+        Object.entries(this.current).forEach(([id, points]) => {
+            Object.entries(points).forEach(([point, value]) => {
+                if (typeof value !== 'number') return;
+                const key = `${id}:${point}`;
+                this.stats[key] ??= { equipmentId: id, point, min: value, max: value, sum: 0, count: 0, trend: [], latest: null };
+                const entry = this.stats[key];
+                entry.min = Math.min(entry.min, value);
+                entry.max = Math.max(entry.max, value);
+                entry.sum += value;
+                entry.count++;
+                entry.latest = [index, time, value];
+                if (index % this.every === 0) entry.trend.push(entry.latest);
+            });
+        });
+
+        if (this.frames / this.every > this.samples) {
+            this.every *= 2;
+            Object.values(this.stats).forEach(entry => {
+                entry.trend = entry.trend.filter(([sample]) => sample % this.every === 0);
+            });
+        }
+    }
+
+    statistics() {
+        return Object.values(this.stats).map(({ sum, count, trend, latest, ...entry }) => {
+            const samples = trend.at(-1) === latest ? trend : [...trend, latest];
+            return { ...entry, avg: round(sum / count), trend: samples.map(([, time, value]) => [time, value]) };
+        });
+    }
+}
+
+// Point statistics over a whole list of frames (see PointTally)
+export function pointStatistics(frames, samples = TREND_SAMPLES) {
+    const tally = new PointTally(samples);
+    frames.forEach(frame => tally.add(frame));
+    return tally.statistics();
+}
+
+// Follows a simulation through the shift, sampling the points and metering
+// the plant's energy every `interval` s and keeping every alarm log entry
+// and chat line. Loading a save starts a new shift.
+export class ShiftLog {
+    constructor(sim, { interval = 0.5, samples = TREND_SAMPLES } = {}) {
+        this.sim = sim;
+        this.interval = interval;
+        this.samples = samples;
+        this.reset();
+
+        // Allow for rounding in the clock's steps
+        sim.clock.onTick(() => {
+            if (sim.clock.time >= this.nextSampleAt - 1e-6) this.sample();
+        });
+        sim.onChange((event, payload) => {
+            if (event === 'chat') {
+                this.chat.push({ time: sim.clock.now(), sender: payload.sender, text: payload.text });
+            } else if (event === 'restored') {
+                this.reset();
+            }
+        });
+        sim.alarmManager.onChange((event, alarm, entry) => this.alarmLog.push(entry));
+    }
+
+    reset() {
+        this.points = new PointTally(this.samples);
+        this.alarmLog = [];
+        this.chat = [];
+        this.kWh = 0;
+        this.cost = 0;
+        this.start = this.sim.clock.now();
+        this.lastSampleAt = null;
+        this.sample();
+    }
+
+    // Energy is metered at the power drawn at the end of each interval
+    sample() {
+        const { clock, equipmentData } = this.sim;
+        if (this.lastSampleAt !== null) {
+            const kWh = totalPower(equipmentData) * (clock.time - this.lastSampleAt) / 3600;
+            this.kWh += kWh;
+            this.cost += kWh * tariffPeriod(this.sim.energy.tariff, clock.now()).rate;
+        }
+        this.points.add({ time: clock.time, points: equipmentData });
+        this.lastSampleAt = clock.time;
+        this.end = clock.now();
+        this.nextSampleAt = clock.time + this.interval;
+    }
+}
+
+// The report for a simulation and the ShiftLog following it
+export function buildShiftReport(sim, shiftLog) {
+    const { layout } = sim;
+    const { start, end } = shiftLog;
+    const label = id => getEquipment(layout, id)?.label ?? id;
+
+    const alarms = alarmOccurrences(shiftLog.alarmLog, start, end).map(alarm => ({
+        equipmentId: alarm.equipmentId,
+        equipment: label(alarm.equipmentId),
+        priority: PRIORITY_NAMES[alarm.priority],
+        message: alarm.message,
+        raised: iso(alarm.time),
+        acknowledged: iso(alarm.acknowledgedAt),
+        cleared: iso(alarm.clearedAt),
+        duration: alarm.duration
+    }));
+
+    // Tickets raised in the shift, or still being worked on from before it
+    const workOrders = sim.workOrders.orders
+        .filter(order => order.createdAt >= start || order.completedAt === null || order.completedAt >= start)
+        .map(order => ({
+            id: order.id,
+            kind: order.kind,
+            equipmentId: order.equipmentId,
+            equipment: label(order.equipmentId),
+            priority: order.priority,
+            source: order.source,
+            request: order.request,
+            assignee: order.assignee,
+            status: order.status,
+            outcome: order.outcome,
+            raised: iso(order.createdAt),
+            assigned: iso(order.assignedAt),
+            completed: iso(order.completedAt),
+            timeToRepair: order.status === 'completed' ? seconds(order.createdAt, order.completedAt) : null
+        }));
+
+    const chat = shiftLog.chat.map(message => ({ time: iso(message.time), sender: message.sender, text: message.text }));
+
+    const tariff = sim.energy.tariff;
+    const faultCosts = sim.energy.faultCostSummary()
+        .filter(record => record.endedAt === null || record.endedAt >= start)
+        .map(record => ({
+            equipmentId: record.equipmentId,
+            equipment: label(record.equipmentId),
+            fault: record.name,
+            started: iso(record.startedAt),
+            ended: iso(record.endedAt),
+            kWh: round(record.kWh),
+            cost: round(record.cost)
+        }));
+
+    const points = shiftLog.points.statistics().map(entry => ({
+        equipmentId: entry.equipmentId,
+        equipment: label(entry.equipmentId),
+        point: entry.point,
+        min: entry.min,
+        max: entry.max,
+        avg: entry.avg,
+        trend: entry.trend
+    }));
+
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        plant: layout.name,
+        start: iso(start),
+        end: iso(end),
+        duration: seconds(start, end),
+        alarms,
+        workOrders,
+        chat,
+        energy: {
+            currency: tariff.currency,
+            kWh: round(shiftLog.kWh),
+            cost: round(shiftLog.cost),
+            faults: faultCosts,
+            // Maintenance spend since the plant started, not just this shift
+            maintenance: { ...sim.maintenance.costs }
+        },
+        points
+    };
+}
+
+// CSV
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = fields => fields.map(csvField).join(',');
+
+// The report as CSV: a title row, then each table under a heading row with
+// a blank line between. Trends are left out; they are in the JSON.
+export function reportToCSV(report) {
+    const { energy } = report;
+    const sections = [
+        ['Shift report', [[report.plant], ['From', report.start], ['To', report.end], ['Duration (s)', report.duration]]],
+        ['Alarms', [
+            ['Equipment', 'Priority', 'Message', 'Raised', 'Acknowledged', 'Cleared', 'Duration (s)'],
+            ...report.alarms.map(a => [a.equipment, a.priority, a.message, a.raised, a.acknowledged, a.cleared, a.duration])
+        ]],
+        ['Work orders', [
+            ['WO', 'Kind', 'Equipment', 'Priority', 'Source', 'Request', 'Assignee', 'Status', 'Outcome',
+                'Raised', 'Assigned', 'Completed', 'Time to repair (s)'],
+            ...report.workOrders.map(o => [o.id, o.kind, o.equipment, o.priority, o.source, o.request, o.assignee,
+                o.status, o.outcome, o.raised, o.assigned, o.completed, o.timeToRepair])
+        ]],
+        ['Energy', [
+            ['Energy (kWh)', energy.kWh],
+            [`Cost (${energy.currency})`, energy.cost],
+            [`Planned maintenance to date (${energy.currency})`, energy.maintenance.planned],
+            [`Breakdown repairs to date (${energy.currency})`, energy.maintenance.breakdown]
+        ]],
+        ['Fault energy cost', [
+            ['Equipment', 'Fault', 'Started', 'Ended', 'kWh', `Cost (${energy.currency})`],
+            ...energy.faults.map(f => [f.equipment, f.fault, f.started, f.ended, f.kWh, f.cost])
+        ]],
+        ['Points', [
+            ['Equipment', 'Point', 'Min', 'Max', 'Average'],
+            ...report.points.map(p => [p.equipment, p.point, p.min, p.max, p.avg])
+        ]],
+        ['Chat', [
+            ['Time', 'Sender', 'Text'],
+            ...report.chat.map(c => [c.time, c.sender, c.text])
+        ]]
+    ];
+    return sections.map(([title, rows]) => [csvRow([title]), ...rows.map(csvRow)].join('\r\n')).join('\r\n\r\n') + '\r\n';
+}
+
+// HTML
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const localTime = timestamp => timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+
+// A table, or "None" when there are no rows; `headings` null for none
+function htmlTable(headings, rows) {
+    if (rows.length === 0) return '<p class="none">None</p>';
+    const head = headings ? `<thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>` : '';
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>${head}<tbody>\n${body}\n</tbody></table>`;
+}
+
+// A point's trend as a small SVG line chart, with its range marked
+export function trendChart(trend, { width = 240, height = 60 } = {}) {
+    if (trend.length === 0) return '';
+    const times = trend.map(([time]) => time);
+    const values = trend.map(([, value]) => value);
+    const [t0, t1] = [Math.min(...times), Math.max(...times)];
+    const [v0, v1] = [Math.min(...values), Math.max(...values)];
+    const x = time => t1 > t0 ? (time - t0) / (t1 - t0) * width : 0;
+    const y = value => v1 > v0 ? height - 4 - (value - v0) / (v1 - v0) * (height - 8) : height / 2;
+    const line = trend.map(([time, value]) => `${round(x(time), 1)},${round(y(value), 1)}`).join(' ');
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">` +
+        `<rect width="${width}" height="${height}" fill="#f8fafc"/>` +
+        `<polyline points="${line}" fill="none" stroke="#4f46e5" stroke-width="1.5"/>` +
+        `<text x="2" y="10">${escapeHtml(v1)}</text><text x="2" y="${height - 2}">${escapeHtml(v0)}</text></svg>`;
+}
+
+const REPORT_STYLE = `
+body { font: 13px/1.4 system-ui, sans-serif; color: #111827; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; }
+h3 { font-size: 13px; margin: 12px 0 6px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { background: #f3f4f6; }
+.none, .meta { color: #6b7280; }
+.trends { display: flex; flex-wrap: wrap; gap: 12px; }
+.trend { break-inside: avoid; }
+.trend div { font-size: 11px; }
+svg text { font-size: 9px; fill: #6b7280; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+// The report as a standalone, printable HTML page
+export function reportToHTML(report) {
+    const { energy } = report;
+    const money = value => `${energy.currency}${value.toFixed(2)}`;
+
+    const units = [...new Set(report.points.map(p => p.equipmentId))];
+    const trends = units.map(id => {
+        const points = report.points.filter(p => p.equipmentId === id);
+        const charts = points.map(p => `<div class="trend"><div>${escapeHtml(p.point)} · avg ${escapeHtml(p.avg)}</div>${trendChart(p.trend)}</div>`);
+        return `<h3>${escapeHtml(points[0].equipment)}</h3>\n<div class="trends">${charts.join('\n')}</div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Shift report · ${escapeHtml(report.plant)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>Shift report · ${escapeHtml(report.plant)}</h1>
+<p class="meta">${escapeHtml(new Date(report.start).toLocaleString())} to ${escapeHtml(new Date(report.end).toLocaleString())} (${Math.round(report.duration / 60)} min)</p>
+
+<h2>Summary</h2>
+${htmlTable(null, [
+        ['Alarms raised', report.alarms.length],
+        ['Work orders', `${report.workOrders.length} (${report.workOrders.filter(o => o.status === 'completed').length} completed)`],
+        ['Energy', `${energy.kWh.toFixed(1)} kWh · ${money(energy.cost)}`],
+        ['Planned maintenance to date', money(energy.maintenance.planned)],
+        ['Breakdown repairs to date', money(energy.maintenance.breakdown)]
+    ])}
+
+<h2>Alarms</h2>
+${htmlTable(['Equipment', 'Priority', 'Alarm', 'Raised', 'Acknowledged', 'Cleared', 'Duration (s)'],
+        report.alarms.map(a => [a.equipment, a.priority, a.message, localTime(a.raised), localTime(a.acknowledged),
+            a.cleared ? localTime(a.cleared) : 'Active', a.duration]))}
+
+<h2>Work orders</h2>
+${htmlTable(['WO', 'Kind', 'Equipment', 'P', 'Assignee', 'Status', 'Outcome', 'Raised', 'Completed', 'Time to repair (s)'],
+        report.workOrders.map(o => [`#${o.id}`, o.kind, o.equipment, o.priority, o.assignee, o.status, o.outcome,
+            localTime(o.raised), localTime(o.completed), o.timeToRepair]))}
+
+<h2>Fault energy cost</h2>
+${htmlTable(['Equipment', 'Fault', 'Started', 'Ended', 'kWh', 'Cost'],
+        energy.faults.map(f => [f.equipment, f.fault, localTime(f.started), f.ended ? localTime(f.ended) : 'Active',
+            f.kWh.toFixed(1), money(f.cost)]))}
+
+<h2>Points</h2>
+${htmlTable(['Equipment', 'Point', 'Min', 'Max', 'Average'], report.points.map(p => [p.equipment, p.point, p.min, p.max, p.avg]))}
+
+<h2>Trends</h2>
+${trends.join('\n')}
+
+<h2>Chat</h2>
+${htmlTable(['Time', 'From', 'Message'], report.chat.map(c => [localTime(c.time), c.sender, c.text]))}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,371 @@
+// Training scenarios
+//
+// A scenario is plain data (see scenarios.json) describing a lesson:
+//
+//   setup       initial plant state: setpoints, building load factor,
+//               faults already present and chillers or towers out of service
+//               (`outOfService`, so that there is no standby to fail over to),
+//               plus `settle` seconds to let the readings settle before the
+//               lesson starts
+//   events      things that happen at given times (seconds into the lesson):
+//               { at, fault: { equipmentId, faultId } }, { at, load },
+//               { at, setpoint: { id, value } } or { at, message }
+//   objectives  what the trainee has to achieve, each active from `from`
+//               seconds and failed if not met within `within` seconds of that:
+//                 point     a reading above/below a limit, held for `hold` s
+//                 dispatch  an engineer of `role` (or `engineer`) sent to a unit
+//                 clear     a fault (or every fault) on a unit cleared
+//   scoring     weights and targets, see DEFAULT_SCORING
+//
+// The ScenarioRunner plays a scenario on a Simulation. Random faults and the
+// automatic fault tickets are off for the lesson, so it is up to the trainee
+// to notice the alarms and get an engineer out. At the end it scores the run
+// on the objectives, how quickly engineers were sent to each fault, whether
+// the repair requests named the right fault, and the energy the plant used
+// beyond what a healthy plant would for the same cooling.
+//
+// Events (onChange(listener), listener(event, payload)):
+//   'started'    the lesson began
+//   'objective'  an objective was met or failed: the objective
+//   'finished'   the lesson ended: the debrief
+//   'aborted'    the lesson was abandoned
+
+import { Simulation } from './simulation.js';
+import { getEquipment, plantRoles } from './layout.js';
+import { SimulatorSource } from './datasources.js';
+import { chillerTotals, totalPower } from './energy.js';
+
+export const DEFAULT_SCORING = {
+    objectives: 50,         // points shared between the objectives by their `points`
+    response: 20,           // points for getting an engineer to each fault quickly
+    diagnosis: 15,          // points for naming the right fault in the repair request
+    energy: 15,             // points for keeping wasted energy down
+    responseTarget: 60,     // seconds to dispatch for full response marks
+    energyBudget: 20        // kWh of waste that scores zero
+};
+
+// Plant kW per kW of cooling can run this far over the healthy figure before
+// it counts as waste, so load swings and noise don't register
+const WASTE_TOLERANCE = 0.03;
+
+// Credit for each diagnosis outcome
+const DIAGNOSIS_CREDIT = { correct: 1, undiagnosed: 0.5, wrong: 0, 'no repair': 0 };
+
+// Problems with a scenario that would stop it running on this simulation's
+// plant, as messages
+export function validateScenario(scenario, sim) {
+    const { layout, faultManager } = sim;
+    const problems = [];
+    const unit = id => layout.equipment.some(entry => entry.id === id);
+    const checkFault = (fault, where) => {
+        if (!unit(fault.equipmentId)) {
+            problems.push(`${where}: unknown unit ${fault.equipmentId}`);
+        } else if (fault.faultId && !faultManager.catalogueFor(fault.equipmentId).some(f => f.id === fault.faultId)) {
+            problems.push(`${where}: ${fault.equipmentId} has no fault ${fault.faultId}`);
+        }
+    };
+
+    if (!scenario.id || !scenario.title) problems.push('scenario needs an id and a title');
+    ((scenario.setup || {}).faults || []).forEach(fault => checkFault(fault, 'setup'));
+    ((scenario.setup || {}).outOfService || []).forEach(id => {
+        if (!unit(id)) problems.push(`setup: unknown unit ${id}`);
+    });
+    (scenario.events || []).forEach(event => {
+        if (event.fault) checkFault(event.fault, `event at ${event.at} s`);
+    });
+    (scenario.objectives || []).forEach(objective => {
+        if (!['point', 'dispatch', 'clear'].includes(objective.type)) {
+            problems.push(`objective ${objective.id}: unknown type ${objective.type}`);
+        } else if (!unit(objective.equipmentId)) {
+            problems.push(`objective ${objective.id}: unknown unit ${objective.equipmentId}`);
+        }
+    });
+    return problems;
+}
+
+export class ScenarioRunner {
+    constructor(sim, scenario) {
+        this.sim = sim;
+        this.scenario = scenario;
+        this.scoring = { ...DEFAULT_SCORING, ...scenario.scoring };
+        this.listeners = [];
+        this.running = false;
+        this.startTime = 0;
+        this.timers = [];
+        this.objectives = [];
+        this.faults = [];           // scenario faults: { equipmentId, faultId, at }
+        this.dispatches = [];       // engineers sent out: { time, equipmentId, engineer, role }
+        this.energyWasted = 0;      // kWh
+        this.baselineIntensity = null;
+        this.debrief = null;
+        this.previous = null;       // sim.ambient and sim.autoTickets to put back afterwards
+
+        sim.workOrders.onChange((event, order) => {
+            if (!this.running || event !== 'assigned') return;
+            const engineer = sim.engineer(order.assignee);
+            this.dispatches.push({
+                time: this.elapsed(),
+                equipmentId: order.equipmentId,
+                engineer: order.assignee,
+                role: engineer ? engineer.role : null
+            });
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, payload) {
+        this.listeners.forEach(listener => listener(event, payload));
+    }
+
+    // Seconds since the lesson started
+    elapsed() {
+        return this.sim.clock.time - this.startTime;
+    }
+
+    // Reset the plant to the layout's initial state, back on the plant model if
+    // it was following a live feed, apply the setup and start the clock on the
+    // lesson
+    start() {
+        const { sim, scenario } = this;
+        const setup = scenario.setup || {};
+
+        const fresh = new Simulation(sim.layout, {
+            seed: scenario.seed ?? sim.rng.seed,
+            epoch: sim.clock.now(),
+            ambient: false
+        });
+        sim.restore(fresh.snapshot());
+        if (!sim.dataSource.simulated) sim.setDataSource(new SimulatorSource(sim.plantModel));
+        this.previous = { ambient: sim.ambient, autoTickets: sim.autoTickets };
+        sim.ambient = false;
+        sim.autoTickets = false;
+
+        Object.entries(setup.setpoints || {}).forEach(([id, value]) => sim.plantModel.setSetpoint(id, value));
+        if (setup.load !== undefined) sim.plantModel.setLoadFactor(setup.load);
+        (setup.outOfService || []).forEach(id => sim.plantModel.setOutOfService(id, true));
+        (setup.faults || []).forEach(({ equipmentId, faultId, progress }) => {
+            const fault = sim.faultManager.inject(equipmentId, faultId);
+            if (fault && progress !== undefined) {
+                fault.progress = progress;
+                fault.age = progress * fault.onset;
+            }
+            if (fault) this.faults.push({ equipmentId, faultId: fault.id, at: 0 });
+        });
+        if (setup.settle) sim.plantModel.step(setup.settle);
+
+        this.startTime = sim.clock.time;
+        this.running = true;
+        this.baselineIntensity = this.healthyIntensity();
+        this.objectives = (scenario.objectives || []).map(objective => ({
+            from: 0,
+            hold: 0,
+            points: 1,
+            ...objective,
+            status: 'pending',      // 'pending' | 'met' | 'failed'
+            heldFor: 0,
+            resolvedAt: null
+        }));
+
+        (scenario.events || []).forEach(event => {
+            this.timers.push(sim.clock.after(event.at, () => this.runEvent(event)));
+        });
+        this.timers.push(sim.clock.every(1, () => this.evaluate(1)));
+        if (scenario.duration) {
+            this.timers.push(sim.clock.after(scenario.duration, () => this.finish()));
+        }
+
+        sim.say(`📋 Scenario: ${scenario.title}\n${scenario.briefing || ''}`.trim());
+        this.emit('started', scenario);
+    }
+
+    // kW of plant power per kW of cooling with no faults, for the energy score.
+    // A second, healthy copy of the plant is settled at the lesson's setpoints
+    // and load.
+    healthyIntensity() {
+        const healthy = new Simulation(this.sim.layout, { seed: 1, ambient: false });
+        healthy.plantModel.restore(this.sim.plantModel.snapshot());
+        healthy.plantModel.resetTrips();
+        healthy.plantModel.step(600);
+        const cooling = chillerTotals(healthy.equipmentData, plantRoles(this.sim.layout).chiller).load;
+        return cooling > 0 ? totalPower(healthy.equipmentData) / cooling : null;
+    }
+
+    runEvent(event) {
+        const { sim } = this;
+        if (event.fault) {
+            const fault = sim.injectFault(event.fault.equipmentId, event.fault.faultId);
+            if (fault) this.faults.push({ equipmentId: event.fault.equipmentId, faultId: fault.id, at: event.at });
+        }
+        if (event.load !== undefined) sim.plantModel.setLoadFactor(event.load);
+        if (event.setpoint) sim.plantModel.setSetpoint(event.setpoint.id, event.setpoint.value);
+        if (event.message) sim.say(`📋 ${event.message}`);
+    }
+
+    // Once a second: score energy and check the objectives
+    evaluate(dt) {
+        if (!this.running) return;
+        const { sim } = this;
+        const elapsed = this.elapsed();
+
+        if (this.baselineIntensity !== null) {
+            const cooling = chillerTotals(sim.equipmentData, plantRoles(sim.layout).chiller).load;
+            const allowed = cooling * this.baselineIntensity * (1 + WASTE_TOLERANCE);
+            this.energyWasted += Math.max(0, totalPower(sim.equipmentData) - allowed) * dt / 3600;
+        }
+
+        this.objectives.forEach(objective => {
+            if (objective.status !== 'pending' || elapsed < objective.from) return;
+
+            if (this.isMet(objective, dt)) {
+                this.resolve(objective, 'met');
+            } else if (objective.within !== undefined && elapsed >= objective.from + objective.within) {
+                this.resolve(objective, 'failed');
+            }
+        });
+
+        if (this.objectives.length > 0 && this.objectives.every(objective => objective.status !== 'pending')) {
+            this.finish();
+        }
+    }
+
+    isMet(objective, dt) {
+        const { sim } = this;
+        if (objective.type === 'point') {
+            const value = sim.equipmentData[objective.equipmentId][objective.point];
+            const ok = (objective.below === undefined || value < objective.below) &&
+                (objective.above === undefined || value > objective.above);
+            objective.heldFor = ok ? objective.heldFor + dt : 0;
+            return ok && objective.heldFor >= objective.hold;
+        }
+        if (objective.type === 'dispatch') {
+            return this.dispatches.some(dispatch =>
+                dispatch.equipmentId === objective.equipmentId &&
+                dispatch.time >= objective.from &&
+                (!objective.role || dispatch.role === objective.role) &&
+                (!objective.engineer || dispatch.engineer === objective.engineer)
+            );
+        }
+        const faults = sim.faultManager.activeFaults(objective.equipmentId);
+        return objective.faultId ? !faults.some(fault => fault.id === objective.faultId) : faults.length === 0;
+    }
+
+    resolve(objective, status) {
+        objective.status = status;
+        objective.resolvedAt = this.elapsed();
+        this.sim.say(`${status === 'met' ? '✅' : '❌'} Objective ${status}: ${objective.description}`);
+        this.emit('objective', objective);
+    }
+
+    // The plant carries on after the lesson, as it was before
+    stop() {
+        this.running = false;
+        this.timers.forEach(id => this.sim.clock.cancel(id));
+        this.timers = [];
+        Object.assign(this.sim, this.previous);
+    }
+
+    finish() {
+        if (!this.running) return;
+        this.objectives
+            .filter(objective => objective.status === 'pending')
+            .forEach(objective => this.resolve(objective, 'failed'));
+        this.stop();
+
+        this.debrief = this.score();
+        this.sim.say(`📋 Scenario complete: ${this.debrief.score}/${this.debrief.maxScore}`);
+        this.emit('finished', this.debrief);
+    }
+
+    abort() {
+        if (!this.running) return;
+        this.stop();
+        this.emit('aborted', this.scenario);
+    }
+
+    // How the first repair request on each faulted unit compared with the fault
+    diagnosisOf(fault) {
+        const { sim } = this;
+        const startedAt = sim.clock.epoch + this.startTime * 1000 + fault.at * 1000;
+        const order = sim.workOrders.orders.find(o =>
+            o.kind === 'repair' && o.equipmentId === fault.equipmentId && o.createdAt >= startedAt
+        );
+        if (!order) return 'no repair';
+        const named = sim.faultManager.matchDiagnosis(fault.equipmentId, order.request);
+        if (!named) return 'undiagnosed';
+        return named.id === fault.faultId ? 'correct' : 'wrong';
+    }
+
+    responseTimeOf(fault) {
+        const dispatch = this.dispatches.find(d => d.equipmentId === fault.equipmentId && d.time >= fault.at);
+        return dispatch ? dispatch.time - fault.at : null;
+    }
+
+    score() {
+        const { sim, scoring } = this;
+        const name = fault => {
+            const entry = getEquipment(sim.layout, fault.equipmentId);
+            const type = sim.faultManager.catalogueFor(fault.equipmentId).find(f => f.id === fault.faultId);
+            return `${entry.label}: ${type.name.toLowerCase()}`;
+        };
+        const average = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 1;
+
+        const totalPoints = this.objectives.reduce((sum, objective) => sum + objective.points, 0);
+        const metPoints = this.objectives
+            .filter(objective => objective.status === 'met')
+            .reduce((sum, objective) => sum + objective.points, 0);
+
+        // Full marks within the target, nothing at four times it
+        const faults = this.faults.map(fault => {
+            const responseTime = this.responseTimeOf(fault);
+            const late = responseTime === null ? Infinity : Math.max(0, responseTime - scoring.responseTarget);
+            return {
+                name: name(fault),
+                at: fault.at,
+                responseTime,
+                responseCredit: Math.max(0, 1 - late / (3 * scoring.responseTarget)),
+                diagnosis: this.diagnosisOf(fault)
+            };
+        });
+
+        const parts = [
+            {
+                label: 'Objectives',
+                fraction: totalPoints ? metPoints / totalPoints : 1,
+                max: scoring.objectives,
+                detail: `${this.objectives.filter(o => o.status === 'met').length} of ${this.objectives.length} met`
+            },
+            {
+                label: 'Response time',
+                fraction: average(faults.map(fault => fault.responseCredit)),
+                max: scoring.response,
+                detail: faults.map(fault => `${fault.name} ${fault.responseTime === null ? 'no engineer sent' : `${Math.round(fault.responseTime)} s`}`).join('; ')
+            },
+            {
+                label: 'Diagnosis',
+                fraction: average(faults.map(fault => DIAGNOSIS_CREDIT[fault.diagnosis])),
+                max: scoring.diagnosis,
+                detail: faults.map(fault => `${fault.name} ${fault.diagnosis}`).join('; ')
+            },
+            {
+                label: 'Energy',
+                fraction: Math.max(0, 1 - this.energyWasted / scoring.energyBudget),
+                max: scoring.energy,
+                detail: `${this.energyWasted.toFixed(1)} kWh wasted`
+            }
+        ].map(part => ({ ...part, score: Math.round(part.fraction * part.max) }));
+
+        return {
+            scenario: this.scenario.title,
+            duration: this.elapsed(),
+            score: parts.reduce((sum, part) => sum + part.score, 0),
+            maxScore: parts.reduce((sum, part) => sum + part.max, 0),
+            parts,
+            objectives: this.objectives.map(({ description, status, resolvedAt }) => ({ description, status, resolvedAt })),
+            faults,
+            energyWasted: this.energyWasted
+        };
+    }
+}
@@ -0,0 +1,181 @@
+// Simulation clock and seeded randomness
+//
+// Everything that happens in the plant - model steps, fault rolls, engineers
+// walking and working, speech bubbles - runs on simulation time rather than
+// the wall clock. The render loop feeds real frame time in; the clock scales
+// it, stops it while paused, and advances in fixed steps of `maxStep`,
+// carrying whatever is left of a frame over to the next one, and fires any
+// timers that fall due along the way in time order. Stepping while paused
+// advances by one `stepSize`.
+//
+// With a seeded SeededRandom in place of Math.random, a session started from
+// the same seed and driven by the same inputs plays out the same way.
+
+export const SPEEDS = [0.5, 1, 2, 5, 10, 20];
+
+// Slack for rounding in the carried-over time, so that ten 0.01 s frames make a step
+const EPSILON = 1e-9;
+
+export class SimClock {
+    constructor({ epoch = Date.now(), scale = 1, maxStep = 0.1, maxFrameTime = 0.25, stepSize = 2 } = {}) {
+        this.epoch = epoch;               // wall-clock ms that sim time 0 corresponds to
+        this.time = 0;                    // seconds of simulation time
+        this.scale = scale;
+        this.paused = false;
+        this.maxStep = maxStep;           // the fixed step handed to tick listeners
+        this.carry = 0;                   // seconds advanced but not yet stepped
+        this.origin = 0;                  // time is counted in whole steps from here,
+        this.steps = 0;                   // so that rounding doesn't build up
+        this.maxFrameTime = maxFrameTime; // cap on one frame, so a stalled tab doesn't leap ahead
+        this.stepSize = stepSize;
+        this.timers = [];
+        this.nextTimerId = 1;
+        this.tickListeners = [];
+        this.listeners = [];
+    }
+
+    // Timestamp in ms, on the same footing as Date.now()
+    now() {
+        return this.epoch + this.time * 1000;
+    }
+
+    onTick(listener) {
+        this.tickListeners.push(listener);
+    }
+
+    // Notified when the clock is paused, resumed, rescaled or restored
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Run callback once, `delay` seconds of simulation time from now
+    after(delay, callback) {
+        const timer = { id: this.nextTimerId++, due: this.time + delay, interval: null, callback };
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    // Run callback every `interval` seconds of simulation time
+    every(interval, callback) {
+        const timer = { id: this.nextTimerId++, due: this.time + interval, interval, callback };
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    pause() {
+        this.paused = true;
+        this.emit();
+    }
+
+    resume() {
+        this.paused = false;
+        this.emit();
+    }
+
+    togglePause() {
+        if (this.paused) this.resume(); else this.pause();
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.emit();
+    }
+
+    // Advance by a frame of real time; returns the simulation time elapsed
+    tick(realDt) {
+        if (this.paused) return 0;
+        return this.advance(Math.min(realDt, this.maxFrameTime) * this.scale);
+    }
+
+    // Advance one step while paused
+    step() {
+        return this.advance(this.stepSize);
+    }
+
+    // Steps are always `maxStep` long, so the plant model integrates the same
+    // way at any frame rate; less than a step is carried over to the next call
+    advance(dt) {
+        // Whole steps are taken off in one go; subtracting them one at a time
+        // would build up rounding until a long advance lost its last step
+        const steps = Math.floor((this.carry + dt + EPSILON) / this.maxStep);
+        this.carry = Math.max(0, this.carry + dt - steps * this.maxStep);
+        for (let i = 0; i < steps; i++) {
+            const end = this.origin + ++this.steps * this.maxStep;
+            this.time = end;
+            this.tickListeners.forEach(listener => listener(this.maxStep));
+            this.fireDue(end);
+            this.time = end;
+        }
+        return dt;
+    }
+
+    // Fire timers that come due by `end`, earliest first and each at the time
+    // it asked for; a repeating timer that fell several intervals behind fires
+    // once per interval
+    fireDue(end) {
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.due <= end + EPSILON)
+                .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+            if (!due) return;
+
+            this.time = due.due;
+            if (due.interval) {
+                due.due += due.interval;
+            } else {
+                this.cancel(due.id);
+            }
+            due.callback();
+        }
+    }
+
+    snapshot() {
+        return { time: this.time, epoch: this.epoch, scale: this.scale, carry: this.carry };
+    }
+
+    // Timers belong to the running session and are kept; they are re-based so
+    // they fall due the same time from now as before
+    restore(snapshot) {
+        const shift = snapshot.time - this.time;
+        this.timers.forEach(timer => { timer.due += shift; });
+        this.time = this.origin = snapshot.time;
+        this.steps = 0;
+        this.carry = snapshot.carry ?? 0;
+        this.epoch = snapshot.epoch;
+        this.scale = snapshot.scale;
+        this.emit();
+    }
+}
+
+// Small, fast seeded PRNG (mulberry32). next() returns [0, 1) like Math.random.
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    snapshot() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    restore(snapshot) {
+        this.seed = snapshot.seed;
+        this.state = snapshot.state;
+    }
+}
@@ -0,0 +1,948 @@
+// Headless simulation core
+//
+// Everything that makes the plant room tick, with no three.js or DOM: the
+// plant model and its readings, faults, wear and preventive maintenance,
+// alarms, the work-order queue, the engineers and the jobs they carry out,
+// chat commands and the chat log, all driven by one SimClock. It runs as-is
+// in Node for tests; the 3D view builds a Simulation, advances its clock from
+// the render loop and subscribes to it to draw what happens.
+//
+// Events (onChange(listener), listener(event, payload)):
+//   'chat'      a line was added to the chat log: { text, sender }
+//   'restored'  the state was replaced from a save
+//   'source'    a different data source was plugged in
+//   'valve'     an isolation valve was opened or closed: { id, label, loop, pump, open }
+
+import { PlantModel } from './plant.js';
+import { LOOP_MODES } from './controls.js';
+import { FaultManager, SEVERITIES, DIAGNOSIS_DURATION } from './faults.js';
+import { NavGrid } from './navigation.js';
+import {
+    createEquipmentData, equipmentTypes, plantRoles, plantDesign,
+    footprints, servicePoints, getEquipment, breakArea
+} from './layout.js';
+import { WorkOrderQueue, PRIORITY_BY_SEVERITY, disciplineFor, competency } from './workorders.js';
+import { AlarmManager, alarmDefinitions, PRIORITY_NAMES } from './alarms.js';
+import { CommandInterpreter, containsPhrase } from './commands.js';
+import { SimClock, SeededRandom } from './simclock.js';
+import { Engineer, ENGINEER_RADIUS } from './engineer.js';
+import { EnergyMeter } from './energy.js';
+import { SimulatorSource } from './datasources.js';
+import { PipingNetwork } from './piping.js';
+import { MaintenanceManager, faultMagnitude } from './maintenance.js';
+
+export const CREW = [
+    { name: 'Mike', role: 'Air Side Specialist', position: { x: -3, z: 0 } },
+    { name: 'Sarah', role: 'Water Side Specialist', position: { x: 3, z: 0 } },
+    { name: 'John', role: 'Controls Engineer', position: { x: 0, z: -5 } }
+];
+
+export const CHAT_LOG_LIMIT = 200;
+
+// Idle chatter while nothing needs doing
+const AMBIENT_LINES = [
+    "Checking chiller performance...",
+    "Pump pressure looking good.",
+    "Temperature differential optimal.",
+    "Running diagnostics...",
+    "All systems nominal."
+];
+
+// Later steps of a job, run through Engineer.schedule. Arguments are plain
+// data so a saved game can pick a job up part-way through.
+const TASK_STEPS = {
+    finish(sim, engineer, { orderId, outcome, message }) {
+        if (message) engineer.speak(message, 4000);
+        sim.finishWorkOrder(orderId, engineer, outcome);
+    },
+
+    // Generic repair: the diagnosis has settled on a fault (not necessarily the
+    // right one), now fix it
+    diagnosed(sim, engineer, { orderId, equipmentId, faultId, duration, success }) {
+        const fault = sim.faultManager.catalogueFor(equipmentId).find(f => f.id === faultId);
+        engineer.speak(`Found it: ${fault.name.toLowerCase()}. ${fault.repair.action}.`, 4000);
+        engineer.schedule('repaired', duration ?? fault.repair.duration, { orderId, equipmentId, faultId, success });
+    },
+
+    // A breakdown repair is booked at breakdown prices and replaces a worn part
+    repaired(sim, engineer, { orderId, equipmentId, faultId, success = true }) {
+        const equipmentName = getEquipment(sim.layout, equipmentId).name;
+        const fault = sim.faultManager.catalogueFor(equipmentId).find(f => f.id === faultId);
+        if (!sim.faultManager.activeFaults(equipmentId).some(f => f.id === faultId)) {
+            engineer.speak(`That's done, but the ${equipmentName} still isn't right. It needs another look.`, 4000);
+            sim.revisitWorkOrder(orderId, engineer, `Misdiagnosed as ${fault.name.toLowerCase()}`);
+            return;
+        }
+        if (!success) {
+            engineer.speak(`Couldn't get the ${fault.name.toLowerCase()} sorted this time. It needs a second visit.`, 4000);
+            sim.revisitWorkOrder(orderId, engineer, `Repair did not hold: ${fault.name.toLowerCase()}`);
+            return;
+        }
+        sim.maintenance.recordRepair(equipmentId, sim.faultManager.clear(equipmentId, faultId));
+        const remaining = sim.faultManager.activeFaults(equipmentId).length;
+        engineer.speak(remaining > 0
+            ? `${fault.name} sorted, but the ${equipmentName} still has problems.`
+            : `${equipmentName} is fixed! Back to normal operation.`, 4000);
+        sim.finishWorkOrder(orderId, engineer, `Repaired: ${fault.name.toLowerCase()}`);
+    },
+
+    // Preventive maintenance resets the wear, and puts right the component's
+    // fault if it has already started
+    maintained(sim, engineer, { orderId, equipmentId, componentId }) {
+        const component = sim.maintenance.component(equipmentId, componentId);
+        const wear = Math.round(sim.maintenance.wearOf(equipmentId, componentId) * 100);
+        const caught = sim.faultManager.activeFaults(equipmentId).some(f => f.id === component.faultId);
+        if (caught) sim.faultManager.clear(equipmentId, component.faultId);
+        sim.maintenance.complete(equipmentId, componentId);
+        engineer.speak(caught
+            ? `${component.name} already failing at ${wear}% wear. Caught it in time.`
+            : `${component.task.name}: done, at ${wear}% wear.`, 4000);
+        sim.finishWorkOrder(orderId, engineer, `PM done: ${component.task.name.toLowerCase()} (${wear}% worn)`);
+    }
+};
+
+// Chances of finding the right fault and of a repair holding first time, for
+// a competency of 0-1 in the job's discipline; fatigue costs up to a third
+export function diagnosisChance(skill, fatigue) {
+    return skill * (1 - fatigue / 3);
+}
+
+export function repairChance(skill, fatigue) {
+    return (0.6 + 0.4 * skill) * (1 - fatigue / 3);
+}
+
+export class Simulation {
+    // ambient: random faults every 30 s, worn-out components failing, and
+    // engineers wandering and chatting when idle; tests usually turn it off
+    // autoTickets: faults raise their own repair tickets; scenarios turn it off
+    // so that the trainee has to
+    constructor(layout, { seed = Date.now(), epoch = Date.now(), ambient = true, autoTickets = true, crew = CREW } = {}) {
+        this.layout = layout;
+        this.ambient = ambient;
+        this.autoTickets = autoTickets;
+        this.listeners = [];
+        this.chatLog = [];
+
+        // Simulation time and randomness
+        this.clock = new SimClock({ epoch });
+        this.rng = new SeededRandom(seed);
+        this.random = () => this.rng.next();
+
+        // Readings are built from the layout and kept consistent by the plant model
+        this.equipmentData = createEquipmentData(layout);
+        this.faultManager = new FaultManager(equipmentTypes(layout), this.random);
+        this.maintenance = new MaintenanceManager(equipmentTypes(layout));
+        this.plantModel = new PlantModel(
+            this.equipmentData,
+            plantDesign(layout),
+            id => this.maintenance.modifiers(id, this.faultManager.modifiers(id)),
+            plantRoles(layout),
+            this.random
+        );
+
+        // Chillers and towers stage on and off, and fail over, by themselves;
+        // the operator hears about it in the chat
+        this.plantModel.onChange((event, detail) => this.say(this.describeStaging(event, detail)));
+
+        // Water loops between the units; closing a valve stops its pump's flow
+        this.piping = new PipingNetwork(layout, this.equipmentData);
+        this.piping.onChange((event, valve) => {
+            this.plantModel.setPumpIsolated(valve.pump, this.piping.pumpIsolated(valve.pump));
+            this.emit('valve', valve);
+        });
+
+        // The plant model writes the readings unless another source is plugged in
+        this.dataSource = new SimulatorSource(this.plantModel);
+        this.dataSource.start();
+
+        // Plant kW, kWh and cost, and what faults have cost
+        this.energy = new EnergyMeter(layout, this.plantModel, this.faultManager, { now: () => this.clock.now() });
+
+        // Alarms are raised from the readings, not from the faults themselves
+        this.alarmManager = new AlarmManager(alarmDefinitions(layout), { now: () => this.clock.now() });
+        this.alarmManager.onChange((event, alarm) => {
+            if (event === 'raised') {
+                this.say(`⚠️ ALARM P${alarm.priority}: ${this.alarmManager.describe(alarm)}`);
+            }
+        });
+
+        this.workOrders = new WorkOrderQueue({ now: () => this.clock.now() });
+
+        // Fault alarms raise their own repair tickets
+        this.faultManager.onChange((event, equipmentId, fault) => {
+            if (event !== 'injected' || !this.autoTickets) return;
+
+            const priority = PRIORITY_BY_SEVERITY[fault.severity];
+            const existing = this.workOrders.findActive(equipmentId, 'repair');
+            if (existing) {
+                this.workOrders.update(existing, { priority });
+            } else {
+                this.workOrders.create({
+                    kind: 'repair',
+                    equipmentId,
+                    discipline: disciplineFor(equipmentTypes(layout)[equipmentId], '', fault),
+                    priority,
+                    source: 'fault'
+                });
+            }
+            this.dispatchWorkOrders();
+        });
+
+        // PM tasks raise their own tickets as they come due, and a component
+        // left to wear out fails (unless ambient faults are off)
+        this.maintenance.onChange((event, equipmentId, component) => {
+            const label = getEquipment(layout, equipmentId).label;
+            if (event === 'due') {
+                this.say(`🗓️ PM due: ${label} — ${component.task.name.toLowerCase()}.`);
+                if (this.autoTickets) this.scheduleMaintenance(equipmentId, component.id);
+            } else if (event === 'wornOut' && this.ambient && !this.faultManager.activeFaults(equipmentId).some(f => f.id === component.faultId)) {
+                const wear = this.maintenance.wearOf(equipmentId, component.id);
+                this.injectFault(equipmentId, component.faultId, { magnitude: faultMagnitude(wear) });
+            }
+        });
+
+        // Engineers navigate a grid of the plant room floor around equipment footprints
+        this.navGrid = new NavGrid(layout.bounds, 0.5, ENGINEER_RADIUS);
+        this.navGrid.setObstacles(footprints(layout));
+
+        const world = {
+            navGrid: this.navGrid,
+            clock: this.clock,
+            engineers: () => this.engineers,
+            runTask: (engineer, step, args) => TASK_STEPS[step](this, engineer, args)
+        };
+        this.engineers = crew.map(member =>
+            new Engineer(member.name, member.position, member.role, world, { shiftHours: member.shiftHours }));
+
+        this.interpreter = this.createInterpreter();
+
+        // Engineers move and work on every tick, and hand over when their
+        // relief arrives; the plant and its data source step every 2 s, and
+        // the units that are running wear
+        this.clock.onTick(dt => this.engineers.forEach(engineer => {
+            engineer.update(dt);
+            if (engineer.dueForRelief) this.changeShift(engineer);
+        }));
+        this.clock.every(2, () => {
+            this.faultManager.step(2);
+            this.dataSource.step(2);
+            this.maintenance.step(2, id => this.equipmentData[id].status === 'Running');
+            this.energy.step(2);
+            this.alarmManager.evaluate(this.equipmentData, 2);
+        });
+
+        // Retry queued tickets as engineers free up or blocked ones come due
+        this.clock.every(2, () => this.dispatchWorkOrders());
+
+        this.clock.every(30, () => { if (this.ambient) this.rollRandomFault(); });
+        this.clock.every(5, () => { if (this.ambient) this.ambientActivity(); });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, payload) {
+        this.listeners.forEach(listener => listener(event, payload));
+    }
+
+    // Advance the simulation by `seconds` of simulation time
+    run(seconds) {
+        this.clock.advance(seconds);
+    }
+
+    engineer(name) {
+        return this.engineers.find(e => e.name === name) || null;
+    }
+
+    // Add a line to the chat log
+    say(text, sender = 'ai') {
+        const message = { text, sender };
+        this.chatLog.push(message);
+        if (this.chatLog.length > CHAT_LOG_LIMIT) {
+            this.chatLog.shift();
+        }
+        this.emit('chat', message);
+    }
+
+    // Chat line for a staging event from the plant model (see staging.js)
+    describeStaging(event, { id, reason }) {
+        const label = getEquipment(this.layout, id).label;
+        if (event === 'rotated') return `🔄 ${label} is now the lead.`;
+        const why = {
+            load: event === 'started' ? 'to carry the load' : 'as the load has dropped',
+            failover: 'to take over from a failed unit',
+            failed: 'after a failure; the standby has taken over',
+            rotation: event === 'started' ? 'as the new lead' : 'after handing over to the new lead'
+        }[reason];
+        return `🔄 ${label} staged ${event === 'started' ? 'on' : 'off'} ${why}.`;
+    }
+
+    // Show replies ({ text, engineer?, engineerResponse? }) in the chat and
+    // have the engineers named in them answer out loud
+    deliver(replies) {
+        replies.forEach(reply => {
+            this.say(reply.text);
+            const engineer = reply.engineer ? this.engineer(reply.engineer) : null;
+            if (engineer && reply.engineerResponse) {
+                engineer.speak(reply.engineerResponse, 4000);
+            }
+        });
+    }
+
+    // Rule-based chat commands; returns the replies without posting them
+    handleCommand(message) {
+        return this.interpreter.handle(message);
+    }
+
+    // Post a user message and its replies, as typed into the chat box
+    chat(message) {
+        this.say(message, 'user');
+        this.deliver(this.handleCommand(message));
+    }
+
+    // Swap where the readings come from (see datasources.js). Faults act on the
+    // plant model, so they can only be injected while it is the source.
+    setDataSource(source) {
+        this.dataSource.stop();
+        this.dataSource = source;
+        source.start();
+        this.emit('source', source);
+    }
+
+    // Start a fault. There is no alert of its own; the operator finds out when
+    // its symptoms cross an alarm limit.
+    injectFault(equipmentId, faultId = null, options = {}) {
+        if (!this.equipmentData[equipmentId] || !this.dataSource.simulated) return null;
+        return this.faultManager.inject(equipmentId, faultId, options);
+    }
+
+    // Open or close an isolation valve. Like faults, valves act on the plant
+    // model, so they can only be operated while it is the source.
+    setValve(valveId, open) {
+        if (!this.dataSource.simulated) return false;
+        return this.piping.setValve(valveId, open);
+    }
+
+    // Worn units are likelier to fault, and a worn component's fault is
+    // likelier and worse than the rest
+    rollRandomFault() {
+        const equipmentIds = Object.keys(this.equipmentData);
+        const randomEquipment = equipmentIds[Math.floor(this.random() * equipmentIds.length)];
+
+        if (!this.faultManager.hasFault(randomEquipment) &&
+            this.random() < 0.3 * this.maintenance.faultLikelihood(randomEquipment)) {
+            const catalogue = this.faultManager.catalogueFor(randomEquipment);
+            const { faultId, magnitude } = this.maintenance.chooseFault(randomEquipment, catalogue, this.random);
+            this.injectFault(randomEquipment, faultId, { magnitude });
+        }
+    }
+
+    // Idle engineers wander about and chat now and then
+    ambientActivity() {
+        const engineer = this.engineers[Math.floor(this.random() * this.engineers.length)];
+        if (!engineer.targetPosition && !engineer.currentOrder && !engineer.onBreak && this.random() > 0.7) {
+            engineer.moveTo({ x: this.random() * 20 - 10, z: this.random() * 20 - 10 });
+        }
+
+        if (this.random() > 0.85) {
+            const randomEngineer = this.engineers[Math.floor(this.random() * this.engineers.length)];
+            const lines = [...AMBIENT_LINES, ...this.wearRemarks()];
+            randomEngineer.speak(lines[Math.floor(this.random() * lines.length)]);
+        }
+    }
+
+    // What the engineers notice about components near the end of their life
+    wearRemarks() {
+        return this.maintenance.worn(0.8).map(({ equipmentId, component, wear }) =>
+            `${getEquipment(this.layout, equipmentId).label}: ${component.name.toLowerCase()} at ${Math.round(wear * 100)}% wear. ` +
+            `${component.task.name} soon.`);
+    }
+
+    // Raise a PM ticket for a component, or return the one already open
+    scheduleMaintenance(equipmentId, componentId) {
+        const component = this.maintenance.component(equipmentId, componentId);
+        if (!component) return null;
+        const existing = this.workOrders.findActive(equipmentId, 'pm', componentId);
+        if (existing) return existing;
+
+        const order = this.workOrders.create({
+            kind: 'pm',
+            equipmentId,
+            discipline: disciplineFor(equipmentTypes(this.layout)[equipmentId]),
+            priority: 4,
+            source: 'pm',
+            request: component.task.name,
+            task: componentId
+        });
+        this.dispatchWorkOrders();
+        return order;
+    }
+
+    // Skip a PM ticket nobody has started on; the task comes round again
+    // next interval, and the wear carries on
+    skipMaintenance(orderId) {
+        const order = this.workOrders.find(orderId);
+        if (!order || order.kind !== 'pm' || order.status !== 'open') return false;
+        const component = this.maintenance.component(order.equipmentId, order.task);
+        this.maintenance.skip(order.equipmentId, order.task);
+        this.workOrders.cancel(order, 'Skipped');
+        this.say(`PM skipped: ${getEquipment(this.layout, order.equipmentId).label} — ${component.task.name.toLowerCase()} (WO #${order.id}).`);
+        return true;
+    }
+
+    // Chat commands are parsed by the interpreter; these handlers carry them out
+    createInterpreter() {
+        const { layout, equipmentData, plantModel, faultManager, alarmManager } = this;
+
+        const interpreter = new CommandInterpreter({
+            layout,
+            engineers: () => this.engineers.map(e => e.name),
+            points: id => Object.keys(equipmentData[id]),
+            setpoints: () => plantModel.setpoints()
+        }, {
+            help: () => ({ text: interpreter.helpText() }),
+
+            repair: command => this.requestWork('repair', command.entry, command.text, command.engineer),
+
+            inspect: command => this.requestWork('inspect', command.entry, command.text, command.engineer),
+
+            set: command => {
+                const { setpoint, value } = command;
+                if (!plantModel.setSetpoint(setpoint.id, value)) {
+                    return {
+                        text: `The ${setpoint.label} must be between ${setpoint.min} and ${setpoint.max} ${setpoint.unit}.`
+                    };
+                }
+                return {
+                    text: `${setpoint.label} changed from ${setpoint.value} to ${value} ${setpoint.unit}.`,
+                    engineer: command.engineer,
+                    engineerResponse: `Setpoint now ${value} ${setpoint.unit}.`
+                };
+            },
+
+            query: command => {
+                const data = equipmentData[command.entry.id];
+                const text = command.point
+                    ? `${command.entry.label} ${command.point}: ${data[command.point]}`
+                    : `${command.entry.label}: ` + Object.entries(data).map(([point, value]) => `${point} ${value}`).join(', ');
+                return {
+                    text,
+                    engineer: command.engineer,
+                    engineerResponse: command.point ? `${command.point} reads ${data[command.point]}.` : `${command.entry.name} is ${data.status}.`
+                };
+            },
+
+            status: command => {
+                if (command.entry) {
+                    const id = command.entry.id;
+                    const faults = faultManager.activeFaults(id).map(fault => fault.name);
+                    const alarms = alarmManager.summary().filter(alarm => alarm.equipmentId === id);
+                    const details = [
+                        `${command.entry.label} is ${equipmentData[id].status}`,
+                        alarms.length ? `${alarms.length} alarm(s)` : 'no alarms',
+                        faults.length ? `suspected: ${faults.join(', ')}` : null
+                    ].filter(Boolean);
+                    return { text: details.join('; ') + '.' };
+                }
+
+                const active = alarmManager.summary().filter(alarm => alarm.state === 'unacked' || alarm.state === 'acked');
+                if (active.length > 0) {
+                    const units = [...new Set(active.map(alarm => alarm.equipmentLabel))].join(', ');
+                    return {
+                        text: `Warning: ${active.length} active alarm(s) on ${units}`,
+                        engineer: command.engineer || 'Sarah',
+                        engineerResponse: `We have ${active.length} alarm(s) that need attention.`
+                    };
+                }
+                return {
+                    text: "All HVAC systems are running normally.",
+                    engineer: command.engineer || 'Sarah',
+                    engineerResponse: "All equipment operating within parameters. No issues detected."
+                };
+            },
+
+            lead: command => {
+                const entry = command.entry || (command.equipment && command.equipment.options[0]);
+                const role = entry && entry.role;
+                if (!plantModel.staging[role]) {
+                    return { text: 'Only the chillers and cooling towers run lead/lag. Try "rotate the chillers" or "make chiller 2 lead".' };
+                }
+                const group = plantModel.staging[role];
+                if (!command.entry || containsPhrase(command.text, 'rotate')) {
+                    plantModel.rotateLead(role);
+                } else {
+                    plantModel.setLead(entry.id);
+                }
+                const order = group.order.map(id => getEquipment(layout, id).label);
+                return {
+                    text: `Lead/lag order: ${order.join(', ')}.`,
+                    engineer: command.engineer,
+                    engineerResponse: `${order[0]} leading.`
+                };
+            },
+
+            alarms: () => {
+                const alarms = alarmManager.summary();
+                if (alarms.length === 0) {
+                    return { text: 'No alarms.' };
+                }
+                return {
+                    text: alarms.map(alarm =>
+                        `[${PRIORITY_NAMES[alarm.priority]}] ${alarmManager.describe(alarm)} (${alarm.state})`
+                    ).join('\n')
+                };
+            }
+        });
+        return interpreter;
+    }
+
+    // Tools a language model can drive the simulation with; see assistant.js
+    assistantTools() {
+        const { layout, equipmentData, plantModel, alarmManager } = this;
+        return [
+            {
+                name: 'read_points',
+                description: 'Read the live data points of a unit, or a single point if `point` is given.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        equipment_id: { type: 'string', enum: layout.equipment.map(entry => entry.id) },
+                        point: { type: 'string', description: 'Exact point name, e.g. "Supply Temp (°C)"' }
+                    },
+                    required: ['equipment_id']
+                },
+                run: ({ equipment_id, point }) => {
+                    const data = equipmentData[equipment_id];
+                    if (!data) return { error: `Unknown equipment ${equipment_id}` };
+                    if (!point) return { equipment_id, points: { ...data } };
+                    if (!(point in data)) return { error: `${equipment_id} has no point ${point}`, points: Object.keys(data) };
+                    return { equipment_id, point, value: data[point] };
+                }
+            },
+            {
+                name: 'list_alarms',
+                description: 'List alarms that are active, unacknowledged or shelved, most urgent first.',
+                parameters: { type: 'object', properties: {} },
+                run: () => ({
+                    alarms: alarmManager.summary().map(alarm => ({
+                        equipment_id: alarm.equipmentId,
+                        point: alarm.point,
+                        priority: PRIORITY_NAMES[alarm.priority],
+                        state: alarm.state,
+                        message: alarmManager.describe(alarm)
+                    }))
+                })
+            },
+            {
+                name: 'dispatch_engineer',
+                description: 'Raise a work order to repair or inspect a unit. Describe the suspected fault in `request` to skip the diagnosis.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        equipment_id: { type: 'string', enum: layout.equipment.map(entry => entry.id) },
+                        kind: { type: 'string', enum: ['repair', 'inspect'] },
+                        engineer: { type: 'string', enum: this.engineers.map(e => e.name), description: 'Leave out to let the dispatcher choose' },
+                        request: { type: 'string' }
+                    },
+                    required: ['equipment_id', 'kind']
+                },
+                run: ({ equipment_id, kind, engineer = null, request = '' }) => {
+                    if (!equipmentData[equipment_id]) return { error: `Unknown equipment ${equipment_id}` };
+                    const entry = getEquipment(layout, equipment_id);
+                    if (kind !== 'repair' && kind !== 'inspect') return { error: `Unknown work order kind ${kind}` };
+                    return { result: this.requestWork(kind, entry, request.toLowerCase(), engineer).text };
+                }
+            },
+            {
+                name: 'set_setpoint',
+                description: 'Change a control setpoint.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        setpoint_id: { type: 'string', enum: plantModel.setpoints().map(setpoint => setpoint.id) },
+                        value: { type: 'number' }
+                    },
+                    required: ['setpoint_id', 'value']
+                },
+                run: ({ setpoint_id, value }) => {
+                    const setpoint = plantModel.setpoints().find(s => s.id === setpoint_id);
+                    if (!setpoint) return { error: `Unknown setpoint ${setpoint_id}` };
+                    if (!plantModel.setSetpoint(setpoint_id, value)) {
+                        return { error: `${setpoint.label} must be between ${setpoint.min} and ${setpoint.max} ${setpoint.unit}` };
+                    }
+                    return { result: `${setpoint.label} changed from ${setpoint.value} to ${value} ${setpoint.unit}` };
+                }
+            },
+            {
+                name: 'set_control_loop',
+                description: 'Switch a control loop between auto and manual. In manual, output sets the loop output by hand.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        loop_id: { type: 'string', enum: plantModel.loops().map(loop => loop.id) },
+                        mode: { type: 'string', enum: LOOP_MODES },
+                        output: { type: 'number', description: 'Manual output in the loop\'s unit' }
+                    },
+                    required: ['loop_id', 'mode']
+                },
+                run: ({ loop_id, mode, output = null }) => {
+                    const loop = plantModel.loops().find(l => l.id === loop_id);
+                    if (!loop) return { error: `Unknown control loop ${loop_id}` };
+                    if (!plantModel.setLoopMode(loop_id, mode)) return { error: `Unknown mode ${mode}` };
+                    if (mode === 'manual' && output !== null && !plantModel.setLoopOutput(loop_id, output)) {
+                        return { error: `${loop.label} output must be between ${loop.min} and ${loop.max} ${loop.unit}` };
+                    }
+                    return { result: `${loop.label} in ${mode}${mode === 'manual' && output !== null ? ` at ${output} ${loop.unit}` : ''}` };
+                }
+            },
+            {
+                name: 'set_lead_unit',
+                description: 'Make a chiller or cooling tower the lead of its lead/lag group. The previous lead hands over once the new one is running.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        equipment_id: { type: 'string', enum: Object.values(plantModel.staging).flatMap(group => group.order) }
+                    },
+                    required: ['equipment_id']
+                },
+                run: ({ equipment_id }) => {
+                    if (!plantModel.setLead(equipment_id)) return { error: `${equipment_id} is not a staged unit` };
+                    return { result: `${getEquipment(layout, equipment_id).label} is now the lead` };
+                }
+            }
+        ];
+    }
+
+    assistantPrompt() {
+        const units = this.layout.equipment.map(entry =>
+            `- ${entry.id}: ${entry.name} (${entry.label}), points: ${Object.keys(this.equipmentData[entry.id]).join(', ')}`
+        );
+        const crew = this.engineers.map(e => {
+            const state = e.currentOrder ? `busy on WO #${e.currentOrder.id}` : e.onBreak ? 'on a break' : 'free';
+            return `- ${e.name}, ${e.role} (${state}, fatigue ${Math.round(e.fatigue * 100)}%${e.onOvertime ? ', on overtime' : ''})`;
+        });
+        const setpoints = this.plantModel.setpoints().map(s =>
+            `- ${s.id}: ${s.label} = ${s.value} ${s.unit} (${s.min}–${s.max})`
+        );
+        const loops = this.plantModel.loops().map(loop =>
+            `- ${loop.id}: ${loop.label}, ${loop.mode}, output ${loop.output.toFixed(1)} ${loop.unit} (${loop.min}–${loop.max})`
+        );
+        const maintenance = this.maintenance.calendar().map(({ equipmentId, component, wear, dueIn, skipped }) =>
+            `- ${equipmentId} ${component.name.toLowerCase()}: ${Math.round(wear * 100)}% worn, ` +
+            `${component.task.name.toLowerCase()} ${dueIn < 0 ? `overdue by ${Math.round(-dueIn)}` : `due in ${Math.round(dueIn)}`} run hours` +
+            `${skipped > 0 ? `, skipped ${skipped} time(s)` : ''}`
+        );
+        const staging = this.plantModel.stagingStatus().map(group =>
+            `- ${group.group}: ${group.units.map(unit => `${unit.id} ${unit.role}${unit.running ? ' (running)' : ''}`).join(', ')}`
+        );
+        return [
+            `You are the assistant in the control room of the ${this.layout.name}.`,
+            'Use the tools to read live data and act; never guess readings. Keep answers short.',
+            'Equipment:', ...units,
+            'Engineers:', ...crew,
+            'Setpoints:', ...setpoints,
+            'Control loops:', ...loops,
+            'Lead/lag order:', ...staging,
+            'Preventive maintenance:', ...maintenance
+        ].join('\n');
+    }
+
+    // Raise (or add to) a work order from a chat request and try to dispatch it.
+    // A request addressed to an engineer waits for that engineer.
+    requestWork(kind, entry, request, engineerName = null) {
+        const existing = this.workOrders.findActive(entry.id, kind);
+        if (existing) {
+            this.workOrders.update(existing, { priority: 2, request });
+            const who = existing.assignee ? `${existing.assignee} is already on it` : 'it is waiting for a free engineer';
+            return {
+                text: `Work order #${existing.id} for the ${entry.name} is already open; ${who}.`,
+                engineer: null
+            };
+        }
+
+        const order = this.workOrders.create({
+            kind,
+            equipmentId: entry.id,
+            discipline: disciplineFor(entry.type, request, this.faultManager.matchDiagnosis(entry.id, request)),
+            priority: kind === 'repair' ? 2 : 3,
+            source: 'chat',
+            request,
+            preferredAssignee: engineerName
+        });
+        this.dispatchWorkOrders();
+
+        if (order.status === 'assigned') {
+            const verb = kind === 'repair' ? 'fix' : 'inspect';
+            return {
+                text: `Work order #${order.id}: ${order.assignee} is heading to ${verb} the ${entry.name}.`,
+                engineer: null
+            };
+        }
+        if (engineerName) {
+            return {
+                text: `Work order #${order.id} raised for the ${entry.name}; ${engineerName} will take it when free.`,
+                engineer: null
+            };
+        }
+        return {
+            text: `Work order #${order.id} raised for the ${entry.name}; it will go to the next free ${order.discipline} side engineer.`,
+            engineer: null
+        };
+    }
+
+    // A fresh engineer takes over the crew position and the queue
+    changeShift(engineer) {
+        engineer.startShift();
+        this.say(`Shift change: ${engineer.name}'s relief has taken over.`);
+        this.dispatchWorkOrders();
+    }
+
+    // Engineers on a break are left alone; past their shift hours they only
+    // take critical jobs until their relief arrives
+    dispatchWorkOrders() {
+        const isAvailable = (engineer, order) => !engineer.currentOrder && !engineer.onBreak &&
+            (!engineer.onOvertime || order.priority === 1);
+        this.workOrders.dispatch(this.engineers, isAvailable, (order, engineer) => this.startWorkOrder(order, engineer));
+    }
+
+    startWorkOrder(order, engineer) {
+        const entry = getEquipment(this.layout, order.equipmentId);
+        engineer.currentOrder = order;
+        engineer.speak(`On my way to the ${entry.name}! (WO #${order.id})`, 3000);
+
+        // Stand at the unit's service point nearest to the engineer
+        this.goToWorkOrder(order, engineer, this.nearestServicePoint(order.equipmentId, engineer));
+    }
+
+    // Walk to the job and start on it there; also resumes a walk from a save
+    goToWorkOrder(order, engineer, targetPos) {
+        const entry = getEquipment(this.layout, order.equipmentId);
+
+        engineer.moveTo(targetPos, () => {
+            if (order.kind === 'repair') {
+                this.repairEquipment(engineer, order);
+            } else if (order.kind === 'pm') {
+                this.maintainEquipment(engineer, order);
+            } else {
+                this.inspectEquipment(engineer, order);
+            }
+        }, () => {
+            // No way through, now or mid-route: hand the ticket back for later
+            this.say(`${engineer.name} couldn't get through to the ${entry.name}; WO #${order.id} is back in the queue.`);
+            engineer.speak(`I can't get to the ${entry.name}, the way is blocked.`, 4000);
+            engineer.currentOrder = null;
+            this.workOrders.release(order, 'Way blocked');
+        });
+    }
+
+    finishWorkOrder(orderId, engineer, outcome) {
+        this.workOrders.complete(this.workOrders.find(orderId), outcome);
+        this.leaveJob(engineer);
+    }
+
+    // A repair that went wrong goes back in the queue for a second visit
+    revisitWorkOrder(orderId, engineer, note) {
+        const order = this.workOrders.find(orderId);
+        this.say(`WO #${order.id} needs a second visit (${note.toLowerCase()}).`);
+        this.workOrders.release(order, note, 5000);
+        this.leaveJob(engineer);
+    }
+
+    // Done with a job: a tired engineer goes for a break before the next one
+    leaveJob(engineer) {
+        engineer.currentOrder = null;
+        engineer.jobsDone++;
+        if (engineer.needsBreak) {
+            engineer.speak("I'm worn out. Taking a break.", 3000);
+            engineer.takeBreak(breakArea(this.layout));
+        }
+        this.dispatchWorkOrders();
+    }
+
+    nearestServicePoint(equipmentId, engineer) {
+        const from = engineer.position;
+        const points = servicePoints(this.layout, equipmentId);
+        const distanceTo = point => Math.hypot(point.x - from.x, point.z - from.z);
+        return points.reduce((best, point) => distanceTo(point) < distanceTo(best) ? point : best);
+    }
+
+    // An engineer on site works through the fault catalogue: a request that names
+    // the right fault ("recharge the chiller refrigerant") goes straight to the
+    // repair, a generic "fix" costs a diagnosis first, and a wrong diagnosis
+    // wastes the visit. How long it all takes, whether the engineer's own
+    // diagnosis is right and whether the repair holds depend on their
+    // competency in the job's discipline and on how tired they are; the dice
+    // are rolled up front so that a saved job plays out the same. The rest of
+    // the job runs through TASK_STEPS.
+    repairEquipment(engineer, order) {
+        const { equipmentId } = order;
+        const equipmentName = getEquipment(this.layout, equipmentId).name;
+        const faults = this.faultManager.activeFaults(equipmentId);
+        const skillFor = fault => competency(engineer.role,
+            disciplineFor(equipmentTypes(this.layout)[equipmentId], '', fault));
+        const diagnosisTime = DIAGNOSIS_DURATION * engineer.pace(skillFor(null));
+
+        if (faults.length === 0) {
+            engineer.work(diagnosisTime);
+            engineer.speak(`Checked the ${equipmentName}, no fault found.`, 3000);
+            engineer.schedule('finish', diagnosisTime, { orderId: order.id, outcome: 'No fault found' });
+            return;
+        }
+
+        const named = this.faultManager.matchDiagnosis(equipmentId, order.request);
+
+        if (named) {
+            const fault = faults.find(f => f.id === named.id);
+            if (!fault) {
+                engineer.work(diagnosisTime);
+                engineer.speak(`No sign of ${named.name.toLowerCase()} on the ${equipmentName}. It's something else.`, 4000);
+                engineer.schedule('finish', diagnosisTime, {
+                    orderId: order.id,
+                    outcome: `Misdiagnosed: not ${named.name.toLowerCase()}`
+                });
+                return;
+            }
+            const skill = skillFor(fault);
+            const repairTime = fault.repair.duration * engineer.pace(skill);
+            engineer.work(repairTime);
+            engineer.speak(`${fault.repair.action}...`, 3000);
+            engineer.schedule('repaired', repairTime, {
+                orderId: order.id,
+                equipmentId,
+                faultId: fault.id,
+                success: this.random() < repairChance(skill, engineer.fatigue)
+            });
+            return;
+        }
+
+        // Tackle the most severe fault first - if the diagnosis finds it; a
+        // miss settles on a fault the unit doesn't have
+        const actual = [...faults].sort((a, b) =>
+            SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)
+        )[0];
+        const skill = skillFor(actual);
+        const wrong = this.faultManager.catalogueFor(equipmentId).filter(f => !faults.some(active => active.id === f.id));
+        const fault = wrong.length > 0 && this.random() >= diagnosisChance(skill, engineer.fatigue)
+            ? wrong[Math.floor(this.random() * wrong.length)]
+            : actual;
+        const repairTime = fault.repair.duration * engineer.pace(skill);
+        engineer.work(diagnosisTime + repairTime);
+        engineer.speak(`Diagnosing the ${equipmentName}...`, 3000);
+        engineer.schedule('diagnosed', diagnosisTime, {
+            orderId: order.id,
+            equipmentId,
+            faultId: fault.id,
+            duration: repairTime,
+            success: this.random() < repairChance(skill, engineer.fatigue)
+        });
+    }
+
+    // An inspection diagnoses without repairing: the engineer reports what they
+    // find so a targeted repair can be ordered
+    inspectEquipment(engineer, order) {
+        const equipmentName = getEquipment(this.layout, order.equipmentId).name;
+        const faults = this.faultManager.activeFaults(order.equipmentId);
+        const skill = competency(engineer.role, disciplineFor(equipmentTypes(this.layout)[order.equipmentId]));
+        const duration = DIAGNOSIS_DURATION * engineer.pace(skill);
+        engineer.work(duration);
+        engineer.speak(`Inspecting the ${equipmentName}...`, 3000);
+
+        const finding = faults.length > 0
+            ? `Looks like ${faults.map(f => f.name.toLowerCase()).join(' and ')}`
+            : 'All normal';
+        engineer.schedule('finish', duration, {
+            orderId: order.id,
+            outcome: finding,
+            message: `${equipmentName}: ${finding}.`
+        });
+    }
+
+    // Preventive maintenance takes as long as the task, at the engineer's pace
+    maintainEquipment(engineer, order) {
+        const component = this.maintenance.component(order.equipmentId, order.task);
+        const duration = component.task.duration * engineer.pace(competency(engineer.role, order.discipline));
+        engineer.work(duration);
+        engineer.speak(`${component.task.name}...`, 3000);
+        engineer.schedule('maintained', duration, {
+            orderId: order.id,
+            equipmentId: order.equipmentId,
+            componentId: component.id
+        });
+    }
+
+    // One-line summary of what an engineer is doing, for the inspector
+    describeTask(engineer) {
+        if (engineer.currentOrder) {
+            const entry = getEquipment(this.layout, engineer.currentOrder.equipmentId);
+            const stage = engineer.isWorking ? 'working on' : 'heading to';
+            return `WO #${engineer.currentOrder.id}: ${engineer.currentOrder.kind}, ${stage} the ${entry.name}`;
+        }
+        if (engineer.onBreak) return engineer.targetPosition ? 'Heading for a break' : 'On a break';
+        if (engineer.isWorking) return 'Working';
+        if (engineer.targetPosition) return 'Walking the plant room';
+        return 'Available';
+    }
+
+    // Everything needed to resume, for persistence.createSave
+    snapshot() {
+        return {
+            plant: this.layout.name,
+            model: this.plantModel.snapshot(),
+            equipmentData: this.equipmentData,
+            faults: this.faultManager.snapshot(),
+            maintenance: this.maintenance.snapshot(),
+            piping: this.piping.snapshot(),
+            energy: this.energy.snapshot(),
+            alarms: this.alarmManager.snapshot(),
+            workOrders: this.workOrders.snapshot(),
+            engineers: this.engineers.map(engineer => engineer.snapshot()),
+            chat: this.chatLog,
+            clock: this.clock.snapshot(),
+            random: this.rng.snapshot()
+        };
+    }
+
+    // Replace the running simulation with a save. Units and engineers that are
+    // not in this plant are skipped.
+    restore(save) {
+        this.clock.restore(save.clock);
+        this.rng.restore(save.random);
+        Object.entries(save.equipmentData).forEach(([id, points]) => {
+            if (this.equipmentData[id]) Object.assign(this.equipmentData[id], points);
+        });
+        this.plantModel.restore(save.model);
+        this.faultManager.restore(save.faults);
+        if (save.maintenance) {
+            this.maintenance.restore(save.maintenance);
+        } else {
+            this.maintenance.reset();
+        }
+        this.piping.restore(save.piping);
+        this.piping.loops.forEach(loop => loop.pumps.forEach(pump =>
+            this.plantModel.setPumpIsolated(pump, this.piping.pumpIsolated(pump))));
+        this.energy.restore(save.energy);
+        this.alarmManager.restore(save.alarms);
+        this.workOrders.restore(save.workOrders);
+
+        save.engineers.forEach(saved => {
+            const engineer = this.engineer(saved.name);
+            if (!engineer) return;
+            const order = saved.orderId !== null ? this.workOrders.find(saved.orderId) : null;
+            engineer.restore(saved, order);
+
+            // Pick the walk up again; on-site work resumes from the saved task
+            if (saved.destination) {
+                const destination = { x: saved.destination[0], z: saved.destination[1] };
+                if (order && !engineer.task) {
+                    this.goToWorkOrder(order, engineer, destination);
+                } else {
+                    engineer.moveTo(destination);
+                }
+            }
+        });
+
+        this.chatLog = save.chat.map(message => ({ ...message }));
+        this.emit('restored', save);
+    }
+}
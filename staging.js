@@ -0,0 +1,204 @@
+// Lead/lag staging
+//
+// A plant can have any number of chillers and cooling towers, which run as a
+// staged group: the units take turns in a lead/lag order, the group decides
+// how many of them the load needs (its stages), and the first that many
+// healthy units in the order are the ones that run.
+//
+//   - load staging: one more stage once the running units have carried more
+//     than `stageUpAt` of their capacity for `stageUpDelay` s, one fewer once
+//     the load would fit in one unit fewer below `stageDownAt` for
+//     `stageDownDelay` s
+//   - minimum run and off times: a unit is not stopped within `minRun` s of
+//     starting, nor started within `minOff` s of stopping, so nothing
+//     short-cycles
+//   - rotation: every `rotateEvery` s (or on request) the lead moves to the
+//     back of the order, so the units share the running hours
+//   - failover: a running unit that faults or trips is replaced by the next
+//     standby. It is stopped once another unit is running and goes to the
+//     back of the order, so the group does not fail back onto it; with
+//     nothing else running it is left staged, to restart when it recovers.
+//
+// The group only decides which units should run; the plant model starts and
+// stops them. Times are plant-model seconds.
+//
+// Events (onChange(listener), listener(event, detail)):
+//   'started'  a unit was staged on   { group, id, reason }
+//   'stopped'  a unit was staged off  { group, id, reason }
+//   'rotated'  a new lead             { group, id }
+
+const DEFAULT_OPTIONS = {
+    minRun: 300,
+    minOff: 180,
+    stageUpAt: 0.95,
+    stageUpDelay: 120,
+    stageDownAt: 0.8,
+    stageDownDelay: 300,
+    rotateEvery: 24 * 3600
+};
+
+export class StagingGroup {
+    constructor(id, units, options = {}) {
+        this.id = id;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.order = [...units];            // lead first
+        this.stages = Math.min(1, units.length);
+        this.running = this.order.slice(0, this.stages);
+        this.changedAt = {};                // id -> time last started or stopped
+        this.upSince = null;                // time the stage-up condition began
+        this.downSince = null;
+        this.rotatedAt = 0;
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, detail) {
+        this.listeners.forEach(listener => listener(event, { group: this.id, ...detail }));
+    }
+
+    lead() {
+        return this.order[0] ?? null;
+    }
+
+    isOn(id) {
+        return this.running.includes(id);
+    }
+
+    // 'lead', 'lag' (a running unit behind the lead) or 'standby'
+    roleOf(id) {
+        if (id === this.lead()) return 'lead';
+        return this.isOn(id) ? 'lag' : 'standby';
+    }
+
+    // Seconds a running unit has been on; Infinity for one running from the start
+    runTime(id, time) {
+        return this.isOn(id) ? time - (this.changedAt[id] ?? -Infinity) : 0;
+    }
+
+    // Stage on the load: `load` and `unitCapacity` in the same units, e.g. kW
+    demand(time, load, unitCapacity) {
+        const { stageUpAt, stageUpDelay, stageDownAt, stageDownDelay } = this.options;
+
+        if (this.stages < this.order.length && load > stageUpAt * this.stages * unitCapacity) {
+            this.upSince ??= time;
+            if (time - this.upSince >= stageUpDelay) {
+                this.stages++;
+                this.upSince = null;
+            }
+        } else {
+            this.upSince = null;
+        }
+
+        if (this.stages > 1 && load < stageDownAt * (this.stages - 1) * unitCapacity) {
+            this.downSince ??= time;
+            if (time - this.downSince >= stageDownDelay) {
+                this.stages--;
+                this.downSince = null;
+            }
+        } else {
+            this.downSince = null;
+        }
+    }
+
+    // Set the number of stages directly, e.g. towers following the chillers
+    setStages(stages) {
+        this.stages = Math.max(Math.min(1, this.order.length), Math.min(this.order.length, stages));
+    }
+
+    // Move the lead to the back of the order; returns the new lead
+    rotate(time) {
+        if (this.order.length > 1) {
+            this.order.push(this.order.shift());
+            this.emit('rotated', { id: this.lead() });
+        }
+        this.rotatedAt = time;
+        return this.lead();
+    }
+
+    // Put a unit at the front of the order. Returns false for an unknown unit.
+    makeLead(id, time) {
+        const index = this.order.indexOf(id);
+        if (index < 0) return false;
+        if (index > 0) {
+            this.order = [...this.order.slice(index), ...this.order.slice(0, index)];
+            this.emit('rotated', { id });
+        }
+        this.rotatedAt = time;
+        return true;
+    }
+
+    // Start and stop units to match the stages; available(id) is false for a
+    // unit that is faulted or tripped
+    update(time, available) {
+        const { minRun, minOff, rotateEvery } = this.options;
+        if (rotateEvery > 0 && time - this.rotatedAt >= rotateEvery) {
+            this.rotate(time);
+        }
+
+        const wanted = this.order.filter(available).slice(0, this.stages);
+        const failed = this.running.filter(id => !available(id));
+        const since = id => time - (this.changedAt[id] ?? -Infinity);
+
+        wanted.forEach(id => {
+            if (this.isOn(id) || since(id) < minOff) return;
+            const reason = failed.length > 0 ? 'failover'
+                : this.running.length < this.stages ? 'load' : 'rotation';
+            this.setRunning(id, true, time, reason);
+        });
+
+        const healthy = this.running.filter(available).length;
+        const caughtUp = wanted.every(id => this.isOn(id));
+        [...this.running].forEach(id => {
+            if (wanted.includes(id)) return;
+            if (!available(id)) {
+                if (healthy > 0) {
+                    this.setRunning(id, false, time, 'failed');
+                    this.moveToBack(id);
+                }
+            } else if (caughtUp && since(id) >= minRun) {
+                this.setRunning(id, false, time, this.running.length > this.stages ? 'load' : 'rotation');
+            }
+        });
+    }
+
+    moveToBack(id) {
+        const wasLead = id === this.lead();
+        this.order = [...this.order.filter(unit => unit !== id), id];
+        if (wasLead && this.order.length > 1) this.emit('rotated', { id: this.lead() });
+    }
+
+    setRunning(id, on, time, reason) {
+        this.running = on
+            ? this.order.filter(unit => unit === id || this.isOn(unit))
+            : this.running.filter(unit => unit !== id);
+        this.changedAt[id] = time;
+        this.emit(on ? 'started' : 'stopped', { id, reason });
+    }
+
+    snapshot() {
+        return {
+            order: [...this.order],
+            stages: this.stages,
+            running: [...this.running],
+            changedAt: { ...this.changedAt },
+            upSince: this.upSince,
+            downSince: this.downSince,
+            rotatedAt: this.rotatedAt
+        };
+    }
+
+    // Saves from a plant with different units are ignored
+    restore(snapshot) {
+        if (!snapshot || [...snapshot.order].sort().join() !== [...this.order].sort().join()) return;
+        this.order = [...snapshot.order];
+        this.stages = snapshot.stages;
+        this.running = snapshot.running.filter(id => this.order.includes(id));
+        this.changedAt = { ...snapshot.changedAt };
+        this.upSince = snapshot.upSince;
+        this.downSince = snapshot.downSince;
+        this.rotatedAt = snapshot.rotatedAt;
+    }
+}
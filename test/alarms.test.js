@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlarmManager } from '../alarms.js';
+
+const definitions = [
+    { equipmentId: 'chiller1', equipmentLabel: 'CHILLER', point: 'Supply Temp (°C)', kind: 'high', limit: 8.5, deadband: 0.5, delay: 10, priority: 2 },
+    { equipmentId: 'chiller1', equipmentLabel: 'CHILLER', point: 'status', kind: 'state', limit: 'Running', deadband: 0, delay: 0, priority: 1 }
+];
+
+function createAlarms() {
+    let time = 0;
+    const alarms = new AlarmManager(definitions, { now: () => time });
+    return { alarms, advance: seconds => { time += seconds * 1000; } };
+}
+
+function reading(supply, status = 'Running') {
+    return { chiller1: { 'Supply Temp (°C)': supply, status } };
+}
+
+test('an alarm is raised only after its on-delay', () => {
+    const { alarms } = createAlarms();
+    const key = 'chiller1:Supply Temp (°C):high';
+
+    alarms.evaluate(reading(9), 6);
+    assert.equal(alarms.find(key).state, 'normal');
+    alarms.evaluate(reading(9), 6);
+    assert.equal(alarms.find(key).state, 'unacked');
+});
+
+test('an alarm must clear the deadband to return', () => {
+    const { alarms } = createAlarms();
+    const key = 'chiller1:Supply Temp (°C):high';
+    alarms.evaluate(reading(9), 10);
+
+    alarms.evaluate(reading(8.2), 2);
+    assert.equal(alarms.find(key).state, 'unacked');
+    alarms.evaluate(reading(7.9), 2);
+    assert.equal(alarms.find(key).state, 'rtn');
+    alarms.acknowledge(key);
+    assert.equal(alarms.find(key).state, 'normal');
+});
+
+test('an acknowledged alarm goes straight back to normal', () => {
+    const { alarms } = createAlarms();
+    const key = 'chiller1:status:state';
+    alarms.evaluate(reading(7, 'Tripped'), 2);
+    alarms.acknowledge(key);
+
+    assert.equal(alarms.find(key).state, 'acked');
+    alarms.evaluate(reading(7), 2);
+    assert.equal(alarms.find(key).state, 'normal');
+});
+
+test('a shelved alarm stays hidden until the shelf expires', () => {
+    const { alarms, advance } = createAlarms();
+    const key = 'chiller1:status:state';
+    alarms.shelve(key, 60000);
+
+    alarms.evaluate(reading(7, 'Tripped'), 2);
+    assert.equal(alarms.find(key).state, 'shelved');
+    advance(61);
+    alarms.evaluate(reading(7, 'Tripped'), 2);
+    assert.equal(alarms.find(key).state, 'unacked');
+    assert.deepEqual(alarms.log.map(entry => entry.event), ['shelved', 'unshelved', 'raised']);
+});
+
+test('summary lists the most urgent alarm first', () => {
+    const { alarms } = createAlarms();
+    alarms.evaluate(reading(9, 'Tripped'), 10);
+
+    assert.deepEqual(alarms.summary().map(alarm => alarm.priority), [1, 2]);
+    assert.equal(alarms.equipmentState('chiller1'), 'unacked');
+});
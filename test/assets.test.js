@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { AssetLibrary } from '../assets.js';
+
+// A character: one skinned mesh on a two-bone skeleton, with a clip that
+// moves and turns the root bone
+function character() {
+    const hips = new THREE.Bone();
+    hips.name = 'Hips';
+    const spine = new THREE.Bone();
+    spine.name = 'Spine';
+    hips.add(spine);
+
+    const mesh = new THREE.SkinnedMesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+    mesh.add(hips);
+    mesh.bind(new THREE.Skeleton([hips, spine]));
+
+    const file = new THREE.Group();
+    file.add(mesh);
+    file.animations = [new THREE.AnimationClip('Walk', 1, [
+        new THREE.VectorKeyframeTrack('Hips.position', [0, 1], [0, 0, 0, 0, 0, 1]),
+        new THREE.QuaternionKeyframeTrack('Hips.quaternion', [0, 1], [0, 0, 0, 1, 0, 0, 0, 1])
+    ])];
+    return file;
+}
+
+function library(files) {
+    const requests = [];
+    const loader = {
+        loadAsync: async url => {
+            requests.push(url);
+            if (!files[url]) throw new Error(`${url} not found`);
+            return files[url];
+        }
+    };
+    return { assets: new AssetLibrary({ manager: new THREE.LoadingManager(), loader }), requests };
+}
+
+test('each file is loaded once however many copies are made', async () => {
+    const { assets, requests } = library({ 'Standing.fbx': character() });
+    const copies = await Promise.all([1, 2, 3].map(() => assets.instance('Standing.fbx')));
+
+    assert.deepEqual(requests, ['Standing.fbx']);
+    assert.equal(new Set(copies).size, 3);
+});
+
+test('copies of a character have skeletons of their own', async () => {
+    const { assets } = library({ 'Standing.fbx': character() });
+    const [a, b] = await Promise.all([assets.instance('Standing.fbx'), assets.instance('Standing.fbx')]);
+    const meshA = a.children[0];
+    const meshB = b.children[0];
+
+    assert.equal(meshA.geometry, meshB.geometry, 'geometry is shared');
+    assert.notEqual(meshA.skeleton, meshB.skeleton);
+    assert.equal(meshA.skeleton.bones[0].parent, meshA, 'bones belong to the copy');
+    assert.equal(meshB.skeleton.bones[0].parent, meshB);
+});
+
+test('a clip is shared, and the in-place version has no position tracks', async () => {
+    const { assets, requests } = library({ 'Walking.fbx': character() });
+    const clip = await assets.clip('Walking.fbx');
+    const inPlace = await assets.clip('Walking.fbx', { inPlace: true });
+
+    assert.equal(await assets.clip('Walking.fbx', { inPlace: true }), inPlace);
+    assert.deepEqual(requests, ['Walking.fbx']);
+    assert.deepEqual(clip.tracks.map(track => track.name), ['Hips.position', 'Hips.quaternion']);
+    assert.deepEqual(inPlace.tracks.map(track => track.name), ['Hips.quaternion']);
+
+    // One clip drives each copy's own bones
+    const a = await assets.instance('Walking.fbx');
+    const b = await assets.instance('Walking.fbx');
+    [a, b].forEach(model => {
+        const mixer = new THREE.AnimationMixer(model);
+        mixer.clipAction(clip).play();
+        mixer.update(0.5);
+    });
+    assert.equal(a.getObjectByName('Hips').position.z, 0.5);
+    assert.equal(b.getObjectByName('Hips').position.z, 0.5);
+});
+
+test('a file that fails to load is reported once and rejects every request', async () => {
+    const { assets, requests } = library({ 'Pump.fbx': new THREE.Group() });
+
+    await assert.rejects(assets.instance('AHU.fbx'), /AHU.fbx not found/);
+    await assert.rejects(assets.instance('AHU.fbx'));
+    await assert.rejects(assets.clip('Pump.fbx'), /has no animation/);
+
+    assert.deepEqual(requests, ['AHU.fbx', 'Pump.fbx']);
+    assert.deepEqual(assets.failures.map(failure => failure.url), ['AHU.fbx', 'Pump.fbx']);
+});
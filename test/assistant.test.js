@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Assistant, createProvider } from '../assistant.js';
+
+// Plays back canned completions and records what it was sent
+function scriptedProvider(results) {
+    const requests = [];
+    return {
+        requests,
+        complete: async request => {
+            requests.push(request);
+            const result = results.shift();
+            if (result instanceof Error) throw result;
+            return { content: null, toolCalls: [], ...result };
+        }
+    };
+}
+
+const readPoints = {
+    name: 'read_points',
+    description: 'Read a unit',
+    parameters: { type: 'object', properties: {} },
+    run: args => ({ equipment_id: args.equipment_id, points: { status: 'Running' } })
+};
+
+const fallback = message => [{ text: `fallback: ${message}` }];
+
+test('without a backend the built-in commands answer', async () => {
+    assert.equal(createProvider({ baseUrl: '' }), null);
+    const assistant = new Assistant(null, [readPoints], { fallback });
+
+    assert.deepEqual(await assistant.reply('status'), [{ text: 'fallback: status' }]);
+});
+
+test('tool calls are run and their results sent back', async () => {
+    const provider = scriptedProvider([
+        { toolCalls: [{ id: 'call_1', name: 'read_points', arguments: { equipment_id: 'chiller1' } }] },
+        { content: 'The chiller is running.' }
+    ]);
+    const assistant = new Assistant(provider, [readPoints], { fallback });
+
+    assert.deepEqual(await assistant.reply('how is the chiller?'), [{ text: 'The chiller is running.' }]);
+    const toolMessage = provider.requests[1].messages.find(message => message.role === 'tool');
+    assert.deepEqual(JSON.parse(toolMessage.content), { equipment_id: 'chiller1', points: { status: 'Running' } });
+    assert.equal(assistant.history.length, 4);
+});
+
+test('a failing backend falls back once with a notice', async () => {
+    const provider = scriptedProvider([new Error('timeout'), new Error('timeout')]);
+    const assistant = new Assistant(provider, [readPoints], { fallback });
+
+    const first = await assistant.reply('status');
+    assert.equal(first.length, 2);
+    assert.match(first[0].text, /unavailable \(timeout\)/);
+    assert.deepEqual(await assistant.reply('status'), [{ text: 'fallback: status' }]);
+});
+
+test('actions already taken are not repeated by the fallback', async () => {
+    let runs = 0;
+    const tool = { ...readPoints, run: () => { runs++; return {}; } };
+    const provider = scriptedProvider([
+        { toolCalls: [{ id: 'call_1', name: 'read_points', arguments: {} }] },
+        new Error('reset')
+    ]);
+    const assistant = new Assistant(provider, [tool], { fallback });
+
+    const replies = await assistant.reply('fix the chiller');
+    assert.equal(runs, 1);
+    assert.ok(replies.every(reply => !reply.text.startsWith('fallback')));
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cameraPresets, focusView, followView, walkStep, CameraTransition, WALKER_RADIUS } from '../camera.js';
+import { layout as plantLayout, close } from './helpers.js';
+
+const BOUNDS = { minX: -10, maxX: 10, minZ: -10, maxZ: 10 };
+
+test('every preset looks at a point inside the room', () => {
+    const { minX, maxX, minZ, maxZ } = plantLayout.bounds;
+    const presets = cameraPresets(plantLayout);
+    assert.deepEqual(Object.keys(presets), ['overview', 'aerial', 'plan', 'floor']);
+    Object.values(presets).forEach(({ target: [x, , z] }) => {
+        assert.ok(x >= minX && x <= maxX && z >= minZ && z <= maxZ);
+    });
+});
+
+test('a focus view stands back further from bigger units', () => {
+    const distance = view => Math.hypot(...view.position.map((value, axis) => value - view.target[axis]));
+    const pump = plantLayout.equipment.find(entry => entry.type === 'pump');
+    const chiller = plantLayout.equipment.find(entry => entry.type === 'chiller');
+    assert.deepEqual(focusView(pump).target, [pump.position[0], 1.5, pump.position[2]]);
+    assert.ok(distance(focusView(chiller)) > distance(focusView(pump)));
+});
+
+test('the follow view sits behind the engineer', () => {
+    const view = followView({ x: 2, z: 3, heading: 0 });
+    assert.deepEqual(view.target, [2, 1, 3]);
+    close(view.position[0], 2);
+    close(view.position[2], -3);
+});
+
+test('a transition eases to a destination that can move', () => {
+    const transition = new CameraTransition({ position: [0, 0, 0], target: [0, 0, 0] }, 1);
+    const halfway = transition.step(0.5, { position: [10, 0, 0], target: [0, 0, 10] });
+    assert.deepEqual(halfway, { position: [5, 0, 0], target: [0, 0, 5] });
+    assert.equal(transition.done, false);
+
+    const end = transition.step(0.6, { position: [20, 0, 0], target: [0, 0, 10] });
+    assert.deepEqual(end.position, [20, 0, 0]);
+    assert.equal(transition.done, true);
+});
+
+test('a walker slides along equipment and stays inside the walls', () => {
+    const unit = { x: 0, z: 0, radius: 2 };
+
+    // Walking straight at a unit stops at its footprint
+    const blocked = walkStep({ x: 0, z: 5 }, { x: 0, z: -4 }, [unit], BOUNDS);
+    close(blocked.x, 0);
+    close(blocked.z, 2 + WALKER_RADIUS);
+
+    // Walking past it at an angle slides round it
+    const slid = walkStep({ x: 1, z: 3 }, { x: 0.5, z: -1.5 }, [unit], BOUNDS);
+    close(Math.hypot(slid.x, slid.z), 2 + WALKER_RADIUS);
+    assert.ok(slid.x > 1);
+
+    const walled = walkStep({ x: 9, z: 0 }, { x: 5, z: 0 }, [], BOUNDS);
+    close(walled.x, 10 - WALKER_RADIUS);
+});
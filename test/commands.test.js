@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandInterpreter, splitClauses } from '../commands.js';
+import { layout } from './helpers.js';
+
+// Handlers echo the parsed command so the tests can see what was understood
+function createInterpreter() {
+    const echo = command => ({
+        text: [command.intent, command.engineer, command.entry && command.entry.id, command.point,
+            command.setpoint && command.setpoint.id, command.value].filter(value => value != null).join(' ')
+    });
+    return new CommandInterpreter({
+        layout,
+        engineers: () => ['Mike', 'Sarah', 'John'],
+        points: () => ['status', 'Flow (L/s)', 'Power (kW)'],
+        setpoints: () => [{ id: 'chwSupply', label: 'CHW supply setpoint', aliases: ['chw supply'], value: 7, unit: '°C', min: 5, max: 12 }]
+    }, { help: echo, repair: echo, inspect: echo, set: echo, alarms: echo, status: echo, query: echo, lead: echo });
+}
+
+function texts(replies) {
+    return replies.map(reply => reply.text);
+}
+
+test('decimal points do not split clauses', () => {
+    assert.deepEqual(splitClauses('set chw supply to 6.5, then check the ahu'), ['set chw supply to 6.5', 'check the ahu']);
+});
+
+test('several commands in one message, with the engineer carried over', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('Sarah, check the CW pump 1 and fix the AHU')),
+        ['inspect Sarah condenserWaterPump', 'repair Sarah ahu1']);
+});
+
+test('a clause without a verb inherits the previous one', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('fix chiller 1 and tower 2')),
+        ['repair chiller1', 'repair coolingTower2']);
+});
+
+test('units of a class are told apart by number', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('check chiller 2')), ['inspect chiller2']);
+    assert.deepEqual(texts(interpreter.handle('check chiller #2')), ['inspect chiller2']);
+    assert.deepEqual(texts(interpreter.handle('check chiller two')), ['inspect chiller2']);
+    assert.deepEqual(texts(interpreter.handle('make chiller 2 lead')), ['lead chiller2']);
+
+    // Without the number every unit that shares the name is offered
+    assert.equal(interpreter.handle('fix the chw pump')[0].text, 'Which unit do you mean: CHW PUMP 1 or CHW PUMP 2?');
+    assert.deepEqual(texts(interpreter.handle('2')), ['repair chillerWaterPump2']);
+});
+
+test('an ambiguous unit is clarified from the next message', () => {
+    const interpreter = createInterpreter();
+
+    const [question] = texts(interpreter.handle('fix the pump'));
+    assert.match(question, /^Which unit do you mean/);
+    assert.deepEqual(texts(interpreter.handle('the chw pump 1')), ['repair chillerWaterPump']);
+});
+
+test('a missing setpoint value is asked for', () => {
+    const interpreter = createInterpreter();
+
+    assert.match(interpreter.handle('change the setpoint')[0].text, /^What value/);
+    assert.deepEqual(texts(interpreter.handle('6')), ['set chwSupply 6']);
+});
+
+test('"how are you" is small talk, not a status request', () => {
+    const interpreter = createInterpreter();
+
+    assert.match(interpreter.handle('how are you?')[0].text, /didn't catch that/);
+    assert.deepEqual(texts(interpreter.handle('how is chiller 2?')), ['status chiller2']);
+    assert.deepEqual(texts(interpreter.handle('how\'s the plant doing?')), ['status']);
+});
+
+test('"by" changes a setpoint relative to its current value', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('lower the chw supply by 0.5')), ['set chwSupply 6.5']);
+    assert.deepEqual(texts(interpreter.handle('increase the chw supply by 1.2')), ['set chwSupply 8.2']);
+    assert.deepEqual(texts(interpreter.handle('decrease the chw supply to 6')), ['set chwSupply 6']);
+});
+
+test('naming the status wins over the other verbs', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('check the status of cw pump 1')), ['status condenserWaterPump']);
+    assert.deepEqual(texts(interpreter.handle('check cw pump 1')), ['inspect condenserWaterPump']);
+});
+
+test('reads a data point', () => {
+    const interpreter = createInterpreter();
+
+    assert.deepEqual(texts(interpreter.handle('what is the cw pump 1 flow?')), ['query condenserWaterPump Flow (L/s)']);
+});
+
+test('help is generated from the command list', () => {
+    const interpreter = createInterpreter();
+
+    assert.match(interpreter.helpText(), /fix <unit>/);
+    assert.match(interpreter.handle('gibberish')[0].text, /didn't catch that/);
+});
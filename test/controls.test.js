@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PidController } from '../controls.js';
+import { createSimulation, createPlant } from './helpers.js';
+
+const loop = (plant, id) => plant.loops().find(l => l.id === id);
+
+test('the controller acts in the right direction and stays within its limits', () => {
+    const valve = new PidController({ kp: 0.1, ki: 0.1, min: 0, max: 1, action: 'direct' });
+    assert.ok(valve.update(0.5, 18, 20, 1) > 0.5);
+
+    const pump = new PidController({ kp: 0.1, ki: 0.1, min: 0.4, max: 1, action: 'reverse' });
+    let speed = 0.8;
+    for (let i = 0; i < 100; i++) speed = pump.update(speed, 250, 400, 1);
+    assert.equal(speed, 0.4);
+
+    // No wind-up: it comes off the limit as soon as the error changes sign
+    assert.ok(pump.update(speed, 250, 240, 1) > 0.4);
+});
+
+test('loops hold their setpoints and follow a change', () => {
+    const { data, plant } = createPlant();
+    plant.step(600);
+    assert.ok(Math.abs(data.ahu1['Supply Temp (°C)'] - 18) < 0.3);
+    assert.ok(Math.abs(data.chillerWaterPump['Pressure (kPa)'] - 250) < 5);
+    assert.ok(Math.abs(data.coolingTower['Supply Temp (°C)'] - 29) < 0.5);
+
+    const valveBefore = data.ahu1['CHW Valve (%)'];
+    assert.equal(plant.setSetpoint('supplyAir', 16), true);
+    plant.step(300);
+    assert.ok(Math.abs(data.ahu1['Supply Temp (°C)'] - 16) < 0.3);
+    assert.ok(data.ahu1['Return Temp (°C)'] < 23);
+    assert.ok(data.ahu1['CHW Valve (%)'] > valveBefore);
+});
+
+test('a loop in manual holds its output and picks up smoothly back in auto', () => {
+    const { data, plant } = createPlant();
+    plant.step(300);
+
+    assert.equal(plant.setLoopOutput('towerFan', 150), false);
+    assert.equal(plant.setLoopOutput('towerFan', 30), true);
+    assert.equal(loop(plant, 'towerFan').mode, 'manual');
+    plant.step(600);
+    assert.equal(data.coolingTower['Fan Speed (%)'], 30);
+    assert.ok(data.coolingTower['Supply Temp (°C)'] > 30);
+
+    plant.setLoopMode('towerFan', 'auto');
+    plant.step(2);
+    assert.ok(Math.abs(loop(plant, 'towerFan').output - 30) < 5);
+    plant.step(900);
+    assert.ok(Math.abs(data.coolingTower['Supply Temp (°C)'] - 29) < 0.5);
+});
+
+test('CHW reset raises the supply setpoint while the AHU valve has room', () => {
+    const { data, plant } = createPlant();
+    plant.step(300);
+    assert.equal(loop(plant, 'chwReset').mode, 'manual');
+    assert.equal(data.chiller1['CHW Setpoint (°C)'], 7);
+
+    plant.setLoopMode('chwReset', 'auto');
+    plant.step(900);
+    assert.ok(data.chiller1['CHW Setpoint (°C)'] > 7.5);
+    assert.ok(data.chiller1['CHW Setpoint (°C)'] <= 8);
+
+    // Typing in a CHW supply setpoint overrides the reset
+    plant.setSetpoint('chwSupply', 6.5);
+    assert.equal(loop(plant, 'chwReset').mode, 'manual');
+    assert.equal(loop(plant, 'chwReset').output, 6.5);
+});
+
+test('loop modes are saved with the plant', () => {
+    const { plant } = createPlant();
+    plant.setLoopOutput('chwPumpDp', 60);
+
+    const { plant: copy } = createPlant();
+    copy.restore(plant.snapshot());
+    assert.equal(loop(copy, 'chwPumpDp').mode, 'manual');
+    assert.ok(Math.abs(loop(copy, 'chwPumpDp').output - 60) < 1e-9);
+});
+
+test('a drifting sensor fools its loop and goes to the controls engineer', () => {
+    const sim = createSimulation({ autoTickets: false });
+    sim.run(120);
+    sim.injectFault('chillerWaterPump', 'dpSensorDrift');
+    sim.run(600);
+
+    // The loop holds the reading at setpoint, so the real pressure is well below it
+    assert.ok(Math.abs(sim.equipmentData.chillerWaterPump['Pressure (kPa)'] - 250) < 10);
+    assert.ok(sim.plantModel.lastResult.pumpPoints.chillerWaterPump.head < 200);
+
+    const ticketed = createSimulation();
+    ticketed.injectFault('coolingTower', 'cwSensorDrift');
+    const order = ticketed.workOrders.orders.find(o => o.equipmentId === 'coolingTower');
+    assert.equal(order.discipline, 'controls');
+    assert.equal(order.assignee, 'John');
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PointMap, FeedSource, ReplaySource, SimulatorSource, parseTrend, STALE_AFTER } from '../datasources.js';
+import { readJSON, createSimulation } from './helpers.js';
+
+const pointMapConfig = readJSON('pointmap.json');
+
+// Stands in for the browser WebSocket; the test drives its callbacks
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        FakeSocket.last = this;
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+test('the point map round-trips readings and keeps unknown names', () => {
+    const sim = createSimulation();
+    const pointMap = new PointMap(pointMapConfig);
+    const readings = pointMap.read(sim.equipmentData);
+    assert.equal(readings['CH-1/RUN'], 1);
+
+    const target = createSimulation().equipmentData;
+    target.chiller1['Supply Temp (°C)'] = 99;
+    const applied = pointMap.apply(target, { ...readings, 'CH-1/RUN': 2, 'CH-9/KW': 5 });
+
+    assert.equal(applied, Object.keys(readings).length);
+    assert.equal(target.chiller1['Supply Temp (°C)'], sim.equipmentData.chiller1['Supply Temp (°C)']);
+    assert.equal(target.chiller1.status, 'Tripped');
+    assert.deepEqual([...pointMap.unmapped], ['CH-9/KW']);
+});
+
+test('a live feed applies batches and topic messages, then goes stale', () => {
+    const sim = createSimulation();
+    let now = 0;
+    const source = new FeedSource(sim.equipmentData, new PointMap(pointMapConfig), {
+        url: 'ws://feed', WebSocketImpl: FakeSocket, now: () => now
+    });
+    sim.setDataSource(source);
+    assert.equal(source.status, 'connecting');
+
+    FakeSocket.last.onopen();
+    FakeSocket.last.onmessage({ data: JSON.stringify({ points: { 'CH-1/CHWS-T': 9.5 } }) });
+    FakeSocket.last.onmessage({ data: JSON.stringify({ topic: 'AHU-1/RA-T', value: 26 }) });
+    assert.equal(sim.equipmentData.chiller1['Supply Temp (°C)'], 9.5);
+    assert.equal(sim.equipmentData.ahu1['Return Temp (°C)'], 26);
+
+    // The plant model no longer writes the readings
+    sim.run(10);
+    assert.equal(sim.equipmentData.chiller1['Supply Temp (°C)'], 9.5);
+
+    now += STALE_AFTER + 1;
+    sim.run(2);
+    assert.equal(source.status, 'stale');
+
+    sim.setDataSource(new SimulatorSource(sim.plantModel));
+    assert.equal(FakeSocket.last.closed, true);
+    assert.equal(source.status, 'idle');
+});
+
+test('faults can only be injected into the simulator', () => {
+    const sim = createSimulation();
+    sim.setDataSource(new FeedSource(sim.equipmentData, new PointMap(pointMapConfig), {
+        url: 'ws://feed', WebSocketImpl: FakeSocket
+    }));
+    assert.equal(sim.injectFault('chiller1', 'compressorTrip'), null);
+    sim.setDataSource(new SimulatorSource(sim.plantModel));
+    assert.ok(sim.injectFault('chiller1', 'compressorTrip'));
+});
+
+test('trend files parse from CSV or JSON and explain what is wrong', () => {
+    const csv = parseTrend('timestamp,CH-1/KW,"AHU-1/RA-T"\n2024-01-01T00:00:10Z,400,\n2024-01-01T00:00:00Z,390,24\n', 'csv');
+    assert.deepEqual(csv, [
+        { time: 0, readings: { 'CH-1/KW': '390', 'AHU-1/RA-T': '24' } },
+        { time: 10, readings: { 'CH-1/KW': '400' } }
+    ]);
+
+    const json = parseTrend(JSON.stringify({ samples: [{ time: 5, points: { 'CH-1/KW': 1 } }] }), 'json');
+    assert.deepEqual(json, [{ time: 0, readings: { 'CH-1/KW': 1 } }]);
+
+    assert.throws(() => parseTrend('date,CH-1/KW\n1,2', 'csv'), /first column/);
+    assert.throws(() => parseTrend('time,CH-1/KW\n', 'csv'), /no samples/);
+    assert.throws(() => parseTrend('{', 'json'), /not valid JSON/);
+    assert.throws(() => parseTrend('time,CH-1/KW\nsoon,2', 'csv'), /unreadable time/);
+});
+
+test('a trend replays on the sim clock and ends', () => {
+    const sim = createSimulation();
+    const samples = parseTrend(readFileSync(new URL('../sample-trend.csv', import.meta.url), 'utf8'), 'csv');
+    const source = new ReplaySource(sim.equipmentData, new PointMap(pointMapConfig), samples, { name: 'sample-trend.csv' });
+    sim.setDataSource(source);
+    assert.equal(sim.equipmentData.chiller1['Power (kW)'], Number(samples[0].readings['CH-1/KW']));
+
+    sim.run(100);
+    assert.ok(Math.abs(source.progress() - 100 / source.duration) < 0.01);
+    assert.equal(sim.equipmentData.chiller1['Power (kW)'], Number(samples[10].readings['CH-1/KW']));
+
+    sim.run(source.duration);
+    assert.equal(source.status, 'ended');
+    assert.equal(source.progress(), 1);
+});
+
+test('numeric trend times are seconds, not dates', () => {
+    const csv = parseTrend('time,CH-1/KW\n0,300\n2,310\n13,320\n30,330\n', 'csv');
+    assert.deepEqual(csv.map(sample => sample.time), [0, 2, 13, 30]);
+    const json = parseTrend(JSON.stringify([{ time: 13, points: {} }, { time: '30', points: {} }, { time: 2, points: {} }]), 'json');
+    assert.deepEqual(json.map(sample => sample.time), [0, 11, 28]);
+
+    const sim = createSimulation();
+    const source = new ReplaySource(sim.equipmentData, new PointMap(pointMapConfig), csv, { name: 'numeric.csv' });
+    sim.setDataSource(source);
+    assert.equal(source.duration, 30);
+    sim.run(14);
+    assert.equal(sim.equipmentData.chiller1['Power (kW)'], 320);
+    sim.run(16);
+    assert.equal(sim.equipmentData.chiller1['Power (kW)'], 330);
+    assert.equal(source.status, 'ended');
+});
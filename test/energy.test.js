@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TARIFF, KW_PER_TON, tariffPeriod, totalPower } from '../energy.js';
+import { createSimulation } from './helpers.js';
+
+// 3 pm local time, on the peak rate
+const afternoon = new Date(2024, 0, 1, 15).getTime();
+
+test('tariff periods follow the local time of day', () => {
+    assert.equal(tariffPeriod(DEFAULT_TARIFF, new Date(2024, 0, 1, 3).getTime()).name, 'Off-peak');
+    assert.equal(tariffPeriod(DEFAULT_TARIFF, new Date(2024, 0, 1, 13, 59).getTime()).name, 'Shoulder');
+    assert.equal(tariffPeriod(DEFAULT_TARIFF, afternoon).rate, 0.32);
+});
+
+test('plant kW, kWh and cost add up the units', () => {
+    const sim = createSimulation({ epoch: afternoon });
+    sim.run(360);
+    const kpis = sim.energy.kpis();
+
+    assert.equal(kpis.kW, totalPower(sim.equipmentData));
+    assert.ok(Math.abs(kpis.tons - sim.equipmentData.chiller1['Load (kW)'] / KW_PER_TON) < 1e-9);
+    assert.ok(Math.abs(kpis.kWPerTon - kpis.kW / kpis.tons) < 1e-9);
+    assert.ok(Math.abs(kpis.kWh - kpis.kW * 0.1) < 5);
+    assert.ok(Math.abs(kpis.cost - kpis.kWh * 0.32) < 1e-9);
+});
+
+test('a fouled condenser is charged the extra kWh it causes', () => {
+    const sim = createSimulation({ epoch: afternoon, autoTickets: false });
+    sim.run(300);
+    sim.injectFault('chiller1', 'fouledCondenser');
+    sim.run(1200);
+    sim.faultManager.clear('chiller1', 'fouledCondenser');
+    sim.run(10);
+
+    const [record] = sim.energy.faultCostSummary();
+    assert.equal(record.faultId, 'fouledCondenser');
+    assert.notEqual(record.endedAt, null);
+    assert.ok(record.kWh > 5, `${record.kWh} kWh`);
+    assert.ok(Math.abs(record.cost - record.kWh * 0.32) < 1e-9);
+});
+
+test('a healthy plant books nothing to faults', () => {
+    const sim = createSimulation({ epoch: afternoon });
+    sim.run(600);
+
+    assert.deepEqual(sim.energy.faultCostSummary(), []);
+});
+
+test('meters are saved and restored', () => {
+    const sim = createSimulation({ epoch: afternoon });
+    sim.injectFault('chiller1', 'fouledCondenser');
+    sim.run(300);
+    const save = JSON.parse(JSON.stringify(sim.snapshot()));
+
+    const loaded = createSimulation({ epoch: afternoon });
+    loaded.restore(save);
+    assert.deepEqual(loaded.energy.snapshot(), sim.energy.snapshot());
+});
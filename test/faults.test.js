@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FaultManager } from '../faults.js';
+
+const types = { chiller1: 'chiller', pump1: 'pump' };
+
+test('faults ramp in over their onset time', () => {
+    const faults = new FaultManager(types);
+    faults.inject('pump1', 'cavitation');
+
+    assert.equal(faults.modifiers('pump1').headFactor, 1);
+    faults.step(30);
+    assert.ok(Math.abs(faults.modifiers('pump1').headFactor - 0.825) < 1e-9);
+    faults.step(60);
+    assert.ok(Math.abs(faults.modifiers('pump1').headFactor - 0.65) < 1e-9);
+});
+
+test('a unit cannot have the same fault twice', () => {
+    const faults = new FaultManager(types);
+
+    assert.ok(faults.inject('pump1', 'vfdFault'));
+    assert.equal(faults.inject('pump1', 'vfdFault'), null);
+    assert.equal(faults.activeFaults('pump1').length, 1);
+});
+
+test('inject and clear are announced', () => {
+    const faults = new FaultManager(types);
+    const events = [];
+    faults.onChange((event, equipmentId, fault) => events.push(`${event} ${equipmentId} ${fault.id}`));
+
+    faults.inject('chiller1', 'compressorTrip');
+    faults.clear('chiller1', 'compressorTrip');
+
+    assert.deepEqual(events, ['injected chiller1 compressorTrip', 'cleared chiller1 compressorTrip']);
+    assert.equal(faults.hasFault('chiller1'), false);
+});
+
+test('a random fault comes from the unit class', () => {
+    const faults = new FaultManager(types, () => 0);
+    const fault = faults.inject('pump1');
+
+    assert.equal(fault.id, faults.catalogueFor('pump1')[0].id);
+});
+
+test('diagnosis keywords pick out the fault type', () => {
+    const faults = new FaultManager(types);
+
+    assert.equal(faults.matchDiagnosis('chiller1', 'recharge the refrigerant').id, 'lowRefrigerant');
+    assert.equal(faults.matchDiagnosis('pump1', 'fix the pump'), null);
+
+    // Keywords match at word starts, not inside other words
+    assert.equal(faults.matchDiagnosis('pump1', 'the pump is cavitating').id, 'cavitation');
+    assert.equal(faults.matchDiagnosis('pump1', 'fix it to prevent a repeat'), null);
+    assert.equal(faults.matchDiagnosis('chiller1', 'check the discharge'), null);
+});
+
+test('a fault with a greater magnitude strikes harder', () => {
+    const faults = new FaultManager(types);
+    faults.inject('pump1', 'bearingWear', { magnitude: 1.5 });
+    faults.step(300);
+
+    assert.ok(Math.abs(faults.modifiers('pump1').efficiencyFactor - 0.625) < 1e-9);
+    assert.equal(faults.snapshot().pump1[0].magnitude, 1.5);
+});
+
+test('snapshot and restore keep progress without re-announcing', () => {
+    const faults = new FaultManager(types);
+    faults.inject('pump1', 'bearingWear');
+    faults.step(150);
+
+    const copy = new FaultManager(types);
+    const events = [];
+    copy.onChange(event => events.push(event));
+    copy.restore(faults.snapshot());
+
+    assert.equal(copy.activeFaults('pump1')[0].progress, 0.5);
+    assert.deepEqual(events, []);
+});
@@ -0,0 +1,29 @@
+// Fixtures shared by the tests
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Simulation } from '../simulation.js';
+import { PlantModel } from '../plant.js';
+import { createEquipmentData, plantDesign, plantRoles } from '../layout.js';
+
+// A JSON file at the top of the repository, e.g. 'pointmap.json'
+export function readJSON(name) {
+    return JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url)));
+}
+
+export const layout = readJSON('layout.json');
+
+// Seeded, started at epoch 0 and with the weather held steady, so a run
+// plays out the same every time
+export function createSimulation(options = {}) {
+    return new Simulation(layout, { seed: 1, epoch: 0, ambient: false, ...options });
+}
+
+// The plant model alone, with fault modifiers by equipment id
+export function createPlant(modifiers = {}) {
+    const data = createEquipmentData(layout);
+    const plant = new PlantModel(data, plantDesign(layout), id => modifiers[id] || {}, plantRoles(layout), () => 0.5);
+    return { data, plant };
+}
+
+export const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { placeLabel, occluded } from '../labels.js';
+
+const OPTIONS = { detailDistance: 30, hideDistance: 90, farOpacity: 0.5 };
+
+function cameraAt(z) {
+    const camera = new THREE.PerspectiveCamera(75, 2, 0.1, 1000);
+    camera.position.set(0, 0, z);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    return camera;
+}
+
+test('a label in front of the camera is placed on screen with full detail', () => {
+    const place = placeLabel(new THREE.Vector3(0, 0, 0), cameraAt(10), 800, 400, OPTIONS);
+    assert.equal(place.visible, true);
+    assert.equal(Math.round(place.x), 400);
+    assert.equal(Math.round(place.y), 200);
+    assert.equal(place.detail, 'full');
+    assert.equal(place.opacity, 1);
+});
+
+test('labels behind the camera, off-screen or too far away are hidden', () => {
+    const camera = cameraAt(10);
+    assert.equal(placeLabel(new THREE.Vector3(0, 0, 20), camera, 800, 400, OPTIONS).visible, false);
+    assert.equal(placeLabel(new THREE.Vector3(50, 0, 0), camera, 800, 400, OPTIONS).visible, false);
+    assert.equal(placeLabel(new THREE.Vector3(0, 0, -95), camera, 800, 400, OPTIONS).visible, false);
+});
+
+test('far labels show their title alone and fade with distance', () => {
+    const camera = cameraAt(0);
+    const middle = placeLabel(new THREE.Vector3(0, 0, -60), camera, 800, 400, OPTIONS);
+    const edge = placeLabel(new THREE.Vector3(0, 0, -90), camera, 800, 400, OPTIONS);
+    assert.equal(middle.detail, 'title');
+    assert.ok(Math.abs(middle.opacity - 0.75) < 1e-9);
+    assert.ok(Math.abs(edge.opacity - 0.5) < 1e-9);
+});
+
+test('a box between the camera and the anchor occludes it, but not a box that holds it', () => {
+    const camera = new THREE.Vector3(0, 0, 10);
+    const anchor = new THREE.Vector3(0, 0, 0);
+    const between = new THREE.Box3(new THREE.Vector3(-1, -1, 4), new THREE.Vector3(1, 1, 6));
+    const beside = new THREE.Box3(new THREE.Vector3(3, -1, 4), new THREE.Vector3(5, 1, 6));
+    const behind = new THREE.Box3(new THREE.Vector3(-1, -1, -6), new THREE.Vector3(1, 1, -4));
+    const own = new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+
+    assert.equal(occluded(camera, anchor, [between]), true);
+    assert.equal(occluded(camera, anchor, [beside, behind, own]), false);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaintenanceManager, WEAR_CATALOGUE, REPAIR_COSTS, faultMagnitude } from '../maintenance.js';
+import { FAULT_CATALOGUE } from '../faults.js';
+import { close } from './helpers.js';
+
+const types = { pump1: 'pump', ahu1: 'ahu' };
+
+// A pump and an AHU, both as new
+function createManager() {
+    const maintenance = new MaintenanceManager(types);
+    Object.values(maintenance.units).forEach(unit => Object.values(unit.components).forEach(state => {
+        state.wear = 0;
+        state.nextDue = 1000;
+    }));
+    return maintenance;
+}
+
+test('every wearing component ends in a fault of its own class', () => {
+    Object.entries(WEAR_CATALOGUE).forEach(([type, components]) => {
+        components.forEach(component => {
+            assert.ok(FAULT_CATALOGUE[type].some(fault => fault.id === component.faultId), `${type} ${component.faultId}`);
+            assert.ok(component.task.everyHours < component.lifeHours);
+        });
+    });
+});
+
+test('running units count hours and starts, and wear with both', () => {
+    const maintenance = createManager();
+    let running = true;
+    maintenance.step(10, () => running);
+    running = false;
+    maintenance.step(10, () => running);
+    running = true;
+    maintenance.step(10, () => running);
+
+    const pump = maintenance.unit('pump1');
+    assert.equal(pump.runHours, 20);
+    assert.equal(pump.starts, 1);
+    close(maintenance.wearOf('pump1', 'bearings'), (20 + 10) / 6000);
+});
+
+test('wear degrades the plant model on top of any faults', () => {
+    const maintenance = createManager();
+    maintenance.unit('ahu1').components.filter.wear = 0.5;
+
+    const modifiers = maintenance.modifiers('ahu1', { airflowFactor: 0.5 });
+    close(modifiers.filterDp, 75);
+    close(modifiers.airflowFactor, 0.5 * 0.95);
+});
+
+test('PM comes due on run hours, and doing it resets the wear at the planned cost', () => {
+    const maintenance = createManager();
+    const events = [];
+    maintenance.onChange((event, equipmentId, component) => events.push(`${event} ${equipmentId} ${component.id}`));
+
+    maintenance.step(1000, id => id === 'pump1');
+    maintenance.step(10, id => id === 'pump1');
+    assert.deepEqual(events, ['due pump1 bearings']);
+
+    maintenance.complete('pump1', 'bearings');
+    const state = maintenance.unit('pump1').components.bearings;
+    assert.equal(state.wear, 0);
+    assert.equal(state.nextDue, 1010 + 4000);
+    assert.deepEqual(maintenance.costs, { planned: 120, tasks: 1, breakdown: 0, repairs: 0 });
+});
+
+test('skipped maintenance lets the wear run on until the part fails', () => {
+    const maintenance = createManager();
+    const events = [];
+    maintenance.onChange((event, equipmentId, component) => events.push(`${event} ${component.id}`));
+
+    maintenance.step(1000, id => id === 'pump1');
+    maintenance.skip('pump1', 'bearings');
+    const wear = maintenance.wearOf('pump1', 'bearings');
+    assert.equal(maintenance.unit('pump1').components.bearings.skipped, 1);
+
+    maintenance.step(5000, id => id === 'pump1');
+    assert.ok(maintenance.wearOf('pump1', 'bearings') > wear);
+    assert.deepEqual(events, ['due bearings', 'skipped bearings', 'due bearings', 'wornOut bearings']);
+});
+
+test('worn components make their faults likelier and worse', () => {
+    const maintenance = createManager();
+    const faults = FAULT_CATALOGUE.pump;
+    assert.equal(maintenance.faultLikelihood('pump1'), 1);
+
+    maintenance.unit('pump1').components.bearings.wear = 1;
+    assert.equal(maintenance.faultLikelihood('pump1'), 2);
+    assert.equal(faultMagnitude(0.3), 1);
+    assert.equal(faultMagnitude(1), 1.5);
+
+    // A roll that lands in the worn component's share picks its fault
+    const bearingIndex = faults.findIndex(fault => fault.id === 'bearingWear');
+    const total = faults.length + 4;
+    const roll = (bearingIndex + 2.5) / total;
+    assert.deepEqual(maintenance.chooseFault('pump1', faults, () => roll), { faultId: 'bearingWear', magnitude: 1.5 });
+});
+
+test('a breakdown repair replaces the part at breakdown prices', () => {
+    const maintenance = createManager();
+    maintenance.unit('ahu1').components.filter.wear = 1.2;
+
+    const cost = maintenance.recordRepair('ahu1', { id: 'cloggedFilter', severity: 'minor', magnitude: 1.5 });
+    assert.equal(cost, REPAIR_COSTS.minor * 1.5);
+    assert.equal(maintenance.wearOf('ahu1', 'filter'), 0);
+    assert.deepEqual(maintenance.costs, { planned: 0, tasks: 0, breakdown: cost, repairs: 1 });
+});
+
+test('snapshot and restore keep hours, wear and costs', () => {
+    const maintenance = createManager();
+    maintenance.step(500, () => true);
+    maintenance.complete('ahu1', 'filter');
+
+    const copy = new MaintenanceManager(types);
+    copy.restore(JSON.parse(JSON.stringify(maintenance.snapshot())));
+    assert.deepEqual(copy.snapshot(), maintenance.snapshot());
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NavGrid } from '../navigation.js';
+
+const bounds = { minX: -10, maxX: 10, minZ: -10, maxZ: 10 };
+
+function clearOf(path, obstacle, clearance) {
+    return path.every(point => Math.hypot(point.x - obstacle.x, point.z - obstacle.z) >= obstacle.radius + clearance - 0.5);
+}
+
+test('finds a path around an obstacle', () => {
+    const grid = new NavGrid(bounds, 0.5, 0.5);
+    const obstacle = { x: 0, z: 0, radius: 3 };
+    grid.setObstacles([obstacle]);
+
+    const path = grid.findPath({ x: -8, z: 0 }, { x: 8, z: 0 });
+
+    assert.ok(path);
+    assert.ok(path.length >= 2);
+    assert.ok(clearOf(path, obstacle, 0.5));
+    const end = path[path.length - 1];
+    assert.ok(Math.hypot(end.x - 8, end.z) < 0.5);
+});
+
+test('returns null when the goal is walled off', () => {
+    const grid = new NavGrid(bounds, 0.5, 0.5);
+    grid.setObstacles([{ x: 8, z: 8, radius: 1 }, { x: 5, z: 5, radius: 6 }]);
+
+    assert.equal(grid.findPath({ x: -8, z: -8 }, { x: 9.5, z: 9.5 }, [], 0), null);
+});
+
+test('plans around other engineers', () => {
+    const grid = new NavGrid(bounds, 0.5, 0.5);
+    grid.setObstacles([]);
+    const engineer = { x: 0, z: 0, radius: 0.5 };
+
+    const path = grid.findPath({ x: -5, z: 0 }, { x: 5, z: 0 }, [engineer]);
+
+    assert.ok(path.length > 1);
+    assert.ok(clearOf(path, engineer, 0.5));
+});
+
+test('changing obstacles bumps the version', () => {
+    const grid = new NavGrid(bounds);
+    const version = grid.version;
+    grid.setObstacles([{ x: 0, z: 0, radius: 1 }]);
+
+    assert.equal(grid.version, version + 1);
+});
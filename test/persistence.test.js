@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_VERSION, createSave, readSave, saveToStorage, loadFromStorage } from '../persistence.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('a save reads back as written', () => {
+    const save = createSave({ chat: [{ text: 'hi', sender: 'user' }] }, Date.UTC(2024, 0, 1));
+
+    assert.deepEqual(readSave(JSON.stringify(save)), save);
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.savedAt, '2024-01-01T00:00:00.000Z');
+});
+
+test('files that are not saves are rejected with a reason', () => {
+    assert.throws(() => readSave('{nope'), /not valid JSON/);
+    assert.throws(() => readSave('{"format":"something-else"}'), /not a plant simulation save/);
+    assert.throws(() => readSave({ ...createSave({}, 0), version: SAVE_VERSION + 1 }), /not supported/);
+});
+
+test('older saves are upgraded with a clock, a seed, empty energy meters and open valves', () => {
+    const save = readSave({ format: 'hvac-plant-simulation', version: 1, savedAt: '2024-01-01T00:00:00.000Z' });
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.deepEqual(save.clock, { time: 0, epoch: Date.UTC(2024, 0, 1), scale: 1 });
+    assert.equal(typeof save.random.seed, 'number');
+    assert.deepEqual(save.energy, { kWh: 0, cost: 0, faultCosts: [] });
+    assert.deepEqual(save.piping, { closedValves: [] });
+});
+
+test('single-chiller fields are dropped from version 4 saves', () => {
+    const save = readSave({
+        format: 'hvac-plant-simulation',
+        version: 4,
+        model: { state: { loadFactor: 1, chillerTripped: true, tripReason: 'x', chwIsolated: false, cwIsolated: true } }
+    });
+
+    assert.deepEqual(save.model.state, { loadFactor: 1 });
+});
+
+test('version 5 saves start a fresh maintenance calendar', () => {
+    const save = readSave({ format: 'hvac-plant-simulation', version: 5 });
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.maintenance, null);
+});
+
+test('storage failures never throw', () => {
+    const storage = memoryStorage();
+    const save = createSave({}, 0);
+
+    assert.equal(saveToStorage(storage, save), true);
+    assert.deepEqual(loadFromStorage(storage), save);
+    assert.equal(saveToStorage({ setItem: () => { throw new Error('full'); } }, save), false);
+    assert.equal(loadFromStorage({ getItem: () => 'garbage' }), null);
+});
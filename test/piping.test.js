@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { routeLeg, pathLength, pointAlong, pipingLoops } from '../piping.js';
+import { FeedSource, PointMap } from '../datasources.js';
+import { layout, createSimulation } from './helpers.js';
+
+test('legs are routed overhead along x then z', () => {
+    const path = routeLeg([0, 1, 0], [4, 2, 3], 5);
+    assert.deepEqual(path, [[0, 1, 0], [0, 5, 0], [4, 5, 0], [4, 5, 3], [4, 2, 3]]);
+    assert.equal(pathLength(path), 4 + 4 + 3 + 3);
+    assert.deepEqual(pointAlong(path, 0.5), [3, 5, 0]);
+
+    // A leg that needs no run along z has no zero-length corner
+    assert.equal(routeLeg([0, 1, 0], [4, 1, 0], 5).length, 4);
+});
+
+test('routes follow the equipment positions', () => {
+    const loops = pipingLoops(layout);
+    const chw = loops.find(loop => loop.id === 'chw');
+    assert.deepEqual(chw.legs.slice(0, 3).map(leg => [leg.from, leg.to]),
+        [['chiller1', 'chillerWaterPump'], ['chillerWaterPump', 'ahu1'], ['ahu1', 'chiller1']]);
+    assert.deepEqual(chw.pumps, ['chillerWaterPump', 'chillerWaterPump2']);
+
+    // Each leg is a closed chain of axis-aligned runs between its two units
+    loops.forEach(loop => loop.legs.forEach(leg => {
+        const start = layout.equipment.find(entry => entry.id === leg.from).position;
+        const end = layout.equipment.find(entry => entry.id === leg.to).position;
+        assert.ok(Math.hypot(leg.path[0][0] - start[0], leg.path[0][2] - start[2]) < 1);
+        assert.ok(Math.hypot(leg.path.at(-1)[0] - end[0], leg.path.at(-1)[2] - end[2]) < 1);
+        leg.path.slice(1).forEach((point, i) => {
+            const moved = point.filter((value, axis) => value !== leg.path[i][axis]);
+            assert.equal(moved.length, 1);
+        });
+    }));
+
+    // Moving a unit moves its pipes
+    const moved = structuredClone(layout);
+    moved.equipment.find(entry => entry.id === 'coolingTower').position = [15, 2, 10];
+    const tower = pipingLoops(moved).find(loop => loop.id === 'cw').legs[1].path.at(-1);
+    assert.equal(tower[2], 10 - 0.6);
+});
+
+test('closing an isolation valve dead-heads its pump and the standby chiller takes over', () => {
+    const sim = createSimulation();
+    const events = [];
+    sim.onChange((event, valve) => { if (event === 'valve') events.push(valve.id); });
+
+    assert.equal(sim.setValve('chwSupplyValve', false), true);
+    sim.run(2);
+    assert.equal(sim.equipmentData.chillerWaterPump.status, 'Running');
+    assert.ok(sim.equipmentData.chillerWaterPump['Pressure (kPa)'] > 300);
+
+    sim.run(28);
+    assert.equal(sim.equipmentData.chillerWaterPump['Flow (L/s)'], 0);
+    assert.match(sim.equipmentData.chiller1.status, /^Tripped \(low CHW flow\)/);
+    assert.equal(sim.equipmentData.chiller2.status, 'Running');
+
+    sim.setValve('chwSupplyValve', true);
+    sim.run(120);
+    // The DP loop holds its setpoint against AHU valves the supply-air loop
+    // has part-closed, so the flow settles below design, where an undisturbed
+    // plant's does
+    const undisturbed = createSimulation();
+    undisturbed.run(150);
+    const pump = sim.equipmentData.chillerWaterPump2;
+    assert.equal(pump['Pressure (kPa)'], undisturbed.plantModel.design.chwPump.dpSetpoint);
+    assert.ok(Math.abs(pump['Flow (L/s)'] - undisturbed.equipmentData.chillerWaterPump['Flow (L/s)']) < 2);
+    assert.ok(sim.equipmentData.chiller2['Supply Temp (°C)'] < 8);
+    assert.deepEqual(events, ['chwSupplyValve', 'chwSupplyValve']);
+    assert.equal(sim.setValve('noSuchValve', false), false);
+});
+
+test('closed valves survive a save and can only be worked on the simulator', () => {
+    const sim = createSimulation();
+    sim.setValve('cwReturnValve', false);
+    sim.run(10);
+
+    const copy = createSimulation();
+    copy.restore(JSON.parse(JSON.stringify(sim.snapshot())));
+    assert.equal(copy.piping.valve('cwReturnValve').open, false);
+    assert.equal(copy.plantModel.state.units.condenserWaterPump.isolated, true);
+    copy.run(10);
+    assert.equal(copy.equipmentData.condenserWaterPump['Flow (L/s)'], 0);
+
+    copy.setDataSource(new FeedSource(copy.equipmentData, new PointMap({ points: {} }), { url: 'ws://feed', WebSocketImpl: null }));
+    assert.equal(copy.setValve('cwReturnValve', true), false);
+    assert.equal(copy.piping.valve('cwReturnValve').open, false);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlant } from './helpers.js';
+
+test('settles near the design operating point', () => {
+    const { data, plant } = createPlant();
+    plant.step(600);
+
+    assert.equal(data.chiller1.status, 'Running');
+    assert.ok(Math.abs(data.chiller1['Supply Temp (°C)'] - 7) < 0.5);
+    assert.ok(data.chiller1.COP > 4);
+});
+
+test('losing condenser water trips the chiller on high condenser temperature', () => {
+    const modifiers = {};
+    const { data, plant } = createPlant(modifiers);
+    plant.step(60);
+
+    modifiers.condenserWaterPump = { stopped: true };
+    plant.step(120);
+
+    assert.equal(data.condenserWaterPump.status, 'Stopped');
+    assert.match(data.chiller1.status, /^Tripped \(high condenser pressure\)/);
+    assert.equal(plant.state.units.chiller1.tripped, true);
+});
+
+test('a tripped lead fails over to the standby chiller and its pumps', () => {
+    const modifiers = {};
+    const { data, plant } = createPlant(modifiers);
+    const events = [];
+    plant.onChange((event, detail) => events.push(`${event} ${detail.id}`));
+    plant.step(60);
+    assert.equal(data.chiller2.status, 'Standby');
+    assert.equal(data.chillerWaterPump2['Flow (L/s)'], 0);
+
+    modifiers.condenserWaterPump = { stopped: true };
+    plant.step(600);
+
+    assert.deepEqual(events, ['started chiller2', 'stopped chiller1', 'rotated chiller2']);
+    assert.equal(data.chiller2.status, 'Running');
+    assert.equal(data.chiller2.Staging, 'Lead');
+    assert.ok(data.condenserWaterPump2['Flow (L/s)'] > 100);
+    assert.ok(Math.abs(data.chiller2['Supply Temp (°C)'] - 7) < 0.5);
+    // The old lead goes to the back of the order rather than failing back
+    assert.equal(data.chiller1.Staging, 'Standby');
+});
+
+test('a heavy load stages on the lag chiller and a second tower', () => {
+    const { data, plant } = createPlant();
+    plant.step(300);
+    plant.setLoadFactor(1.5);
+    plant.step(900);
+
+    assert.equal(data.chiller2.status, 'Running');
+    assert.equal(data.chiller2.Staging, 'Lag');
+    assert.equal(data.coolingTower2.status, 'Running');
+    assert.ok(data.chiller1['Load (kW)'] > 0 && data.chiller2['Load (kW)'] > 0);
+
+    // ...and stages it off again once the load would fit on one, after its
+    // minimum run time
+    plant.setLoadFactor(0.8);
+    plant.step(900);
+    assert.equal(data.chiller2.status, 'Standby');
+    assert.equal(data.coolingTower2.status, 'Standby');
+});
+
+test('the lead can be rotated by hand', () => {
+    const { data, plant } = createPlant();
+    plant.step(60);
+
+    assert.equal(plant.rotateLead('chiller'), 'chiller2');
+    plant.step(60);
+    assert.equal(data.chiller2.status, 'Running');
+    assert.equal(data.chiller1.status, 'Standby');
+    assert.equal(plant.setpoints().find(s => s.id === 'chwSupply').equipmentId, 'chiller2');
+    assert.equal(plant.setLead('ahu1'), false);
+});
+
+test('setpoints are range-checked', () => {
+    const { plant } = createPlant();
+
+    assert.equal(plant.setSetpoint('chwSupply', 6.5), true);
+    assert.equal(plant.setpoints().find(s => s.id === 'chwSupply').value, 6.5);
+    assert.equal(plant.setSetpoint('chwSupply', 30), false);
+    assert.equal(plant.setSetpoint('unknown', 6), false);
+});
+
+test('snapshot and restore carry the dynamic state and setpoints', () => {
+    const { plant } = createPlant();
+    plant.setSetpoint('chwSupply', 6);
+    plant.step(120);
+
+    const { plant: copy } = createPlant();
+    copy.restore(plant.snapshot());
+
+    assert.deepEqual(copy.state, plant.state);
+    assert.equal(copy.setpoints()[0].value, 6);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, SessionPlayer, KEYFRAME_EVERY, readRecording } from '../recorder.js';
+import { createSimulation } from './helpers.js';
+
+function createRecording(seconds = 120) {
+    const sim = createSimulation();
+    const recorder = new SessionRecorder(sim);
+    sim.run(1);
+    sim.injectFault('condenserWaterPump', 'bearingWear');
+    sim.chat('fix cw pump 1');
+    sim.setValve(sim.piping.valves[0].id, false);
+    sim.run(seconds);
+    return { sim, recorder };
+}
+
+test('frames keep only the points that changed, with a keyframe every so often', () => {
+    const { recorder } = createRecording();
+    const { frames } = recorder;
+
+    assert.equal(frames.length, 243);
+    assert.equal(frames[KEYFRAME_EVERY].full, true);
+    assert.equal(frames[1].full, false);
+    assert.ok(Object.keys(frames[KEYFRAME_EVERY].points).length > Object.keys(frames[KEYFRAME_EVERY + 1].points).length);
+});
+
+test('a replay rebuilds the plant room as it was', () => {
+    const { sim, recorder } = createRecording();
+    const player = new SessionPlayer(readRecording(JSON.parse(JSON.stringify(recorder.toJSON()))));
+
+    const end = player.stateAt(player.end);
+    assert.deepEqual(end.equipmentData, recorder.lastPoints);
+    assert.equal(end.engineers.find(pose => pose.name === 'Sarah').x, sim.engineer('Sarah').position.x);
+    assert.deepEqual(end.closedValves, [sim.piping.valves[0].id]);
+    assert.equal(end.chat.length, sim.chatLog.length);
+
+    // Engineers walk smoothly between frames
+    const walking = player.recording.frames.findIndex((frame, i) => i > 0 &&
+        frame.engineers[1].x !== player.recording.frames[i - 1].engineers[1].x);
+    const before = player.recording.frames[walking - 1];
+    const after = player.recording.frames[walking];
+    const midway = player.stateAt((before.time + after.time) / 2).engineers[1].x;
+    assert.ok(Math.abs(midway - (before.engineers[1].x + after.engineers[1].x) / 2) < 1e-9);
+
+    const start = player.stateAt(player.start);
+    assert.deepEqual(start.faults, []);
+    assert.equal(player.stateAt(player.start + 1).faults[0].faultId, 'bearingWear');
+});
+
+test('the timeline marks alarms and operator actions', () => {
+    const { recorder } = createRecording(300);
+    const markers = new SessionPlayer(recorder.toJSON()).markers();
+
+    assert.ok(markers.some(marker => marker.kind === 'action' && marker.text === 'fix cw pump 1'));
+    assert.ok(markers.some(marker => marker.kind === 'action' && /^Closed /.test(marker.text)));
+    assert.ok(markers.some(marker => marker.kind === 'alarm'));
+});
+
+test('playback runs at the chosen speed and stops at the end', () => {
+    const { recorder } = createRecording();
+    const player = new SessionPlayer(recorder.toJSON());
+    player.setSpeed(10);
+    player.play();
+    player.tick(5);
+    assert.equal(player.time, player.start + 50);
+    player.tick(100);
+    assert.equal(player.time, player.end);
+    assert.equal(player.playing, false);
+});
+
+test('loading a save starts the recording over, and old frames are dropped', () => {
+    const { sim, recorder } = createRecording();
+    const save = JSON.parse(JSON.stringify(sim.snapshot()));
+    sim.restore(save);
+    assert.equal(recorder.frames.length, 1);
+    assert.ok(recorder.events.some(event => event.type === 'chat' && event.text === 'fix cw pump 1'));
+
+    const short = new SessionRecorder(sim, { limit: 60 });
+    sim.run(200);
+    assert.ok(short.duration <= 60 + KEYFRAME_EVERY * short.interval);
+    assert.equal(short.frames[0].full, true);
+    assert.throws(() => readRecording('{"format":"something else"}'), /not a session recording/);
+});
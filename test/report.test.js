@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder } from '../recorder.js';
+import {
+    ShiftLog, buildShiftReport, alarmOccurrences, pointStatistics, reportToCSV, reportToHTML, TREND_SAMPLES
+} from '../report.js';
+import { createSimulation } from './helpers.js';
+
+// Half an hour with a chiller trip and its repair
+function createReport() {
+    const sim = createSimulation({ epoch: Date.UTC(2024, 0, 1, 8) });
+    const shiftLog = new ShiftLog(sim);
+    sim.run(60);
+    sim.injectFault('chiller1', 'compressorTrip');
+    sim.chat('fix chiller 1, "quick"');
+    sim.run(1740);
+    return { sim, report: buildShiftReport(sim, shiftLog) };
+}
+
+test('alarm raises are paired with their acknowledgement and return to normal', () => {
+    const log = [
+        { time: 0, key: 'a', event: 'raised' },
+        { time: 1000, key: 'b', event: 'raised' },
+        { time: 4000, key: 'a', event: 'acknowledged' },
+        { time: 10000, key: 'a', event: 'returned' },
+        { time: 12000, key: 'a', event: 'raised' }
+    ];
+    const occurrences = alarmOccurrences(log, 0, 20000);
+
+    assert.deepEqual(occurrences.map(({ key, acknowledgedAt, clearedAt, duration }) => [key, acknowledgedAt, clearedAt, duration]), [
+        ['a', 4000, 10000, 10],
+        ['b', null, null, 19],
+        ['a', null, null, 8]
+    ]);
+});
+
+test('point statistics carry unchanged points forward between frames', () => {
+    const frames = [
+        { time: 0, points: { pump1: { 'Flow (L/s)': 10, status: 'Running' } } },
+        { time: 1, points: {} },
+        { time: 2, points: { pump1: { 'Flow (L/s)': 40 } } }
+    ];
+    assert.deepEqual(pointStatistics(frames), [{
+        equipmentId: 'pump1',
+        point: 'Flow (L/s)',
+        min: 10,
+        max: 40,
+        avg: 20,
+        trend: [[0, 10], [1, 10], [2, 40]]
+    }]);
+});
+
+test('the report covers alarms, work orders, chat, energy and every numeric point', () => {
+    const { sim, report } = createReport();
+
+    assert.equal(report.start, '2024-01-01T08:00:00.000Z');
+    assert.equal(report.duration, 1800);
+    assert.ok(report.alarms.length > 0);
+    assert.ok(report.alarms.every(alarm => alarm.duration >= 0));
+
+    const repair = report.workOrders.find(order => order.equipmentId === 'chiller1' && order.kind === 'repair');
+    assert.equal(repair.status, 'completed');
+    assert.equal(repair.timeToRepair, Math.round((Date.parse(repair.completed) - Date.parse(repair.raised)) / 1000));
+    assert.ok(report.chat.some(message => message.sender === 'user' && message.text === 'fix chiller 1, "quick"'));
+
+    // Metered from the shift log's samples rather than the 2 s meter steps
+    assert.ok(Math.abs(report.energy.kWh - sim.energy.kWh) / sim.energy.kWh < 0.02);
+
+    const supply = report.points.find(p => p.equipmentId === 'chiller1' && p.point === 'Supply Temp (°C)');
+    assert.ok(supply.min <= supply.avg && supply.avg <= supply.max);
+    assert.ok(supply.trend.length <= TREND_SAMPLES + 1);
+    assert.ok(!report.points.some(p => p.point === 'status'));
+});
+
+test('the report covers the whole shift, past what the recording keeps', () => {
+    const sim = createSimulation({ epoch: Date.UTC(2024, 0, 1, 8) });
+    const recorder = new SessionRecorder(sim);
+    const shiftLog = new ShiftLog(sim);
+    sim.chat('status');
+    sim.run(recorder.limit + 1800);
+
+    const report = buildShiftReport(sim, shiftLog);
+    assert.ok(recorder.toJSON().frames[0].time > 0);
+    assert.equal(report.start, '2024-01-01T08:00:00.000Z');
+    assert.equal(report.duration, recorder.limit + 1800);
+    assert.deepEqual(report.chat[0], { time: report.start, sender: 'user', text: 'status' });
+
+    const supply = report.points.find(p => p.equipmentId === 'chiller1' && p.point === 'Supply Temp (°C)');
+    assert.equal(supply.trend[0][0], 0);
+    assert.equal(supply.trend.at(-1)[0], recorder.limit + 1800);
+    assert.ok(supply.trend.length <= TREND_SAMPLES + 1);
+});
+
+test('CSV quotes what needs quoting and HTML escapes it and draws the trends', () => {
+    const { report } = createReport();
+    const csv = reportToCSV(report);
+    const html = reportToHTML({ ...report, plant: '<Plant & Co>' });
+
+    assert.ok(csv.startsWith('Shift report\r\n'));
+    assert.ok(csv.includes('\r\n\r\nWork orders\r\n'));
+    assert.ok(csv.includes('"fix chiller 1, ""quick"""'));
+    assert.ok(html.includes('Shift report · &lt;Plant &amp; Co&gt;'));
+    assert.equal((html.match(/<svg /g) || []).length, report.points.length);
+});
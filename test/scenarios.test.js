@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { ScenarioRunner, validateScenario } from '../scenarios.js';
+import { layout, readJSON } from './helpers.js';
+
+const { scenarios } = readJSON('scenarios.json');
+
+function scenario(id) {
+    return scenarios.find(entry => entry.id === id);
+}
+
+// Play a lesson to the end, sending `message` to the chat at `at` seconds
+function play(id, at = null, message = null) {
+    const sim = new Simulation(layout, { seed: 1, epoch: 0 });
+    const runner = new ScenarioRunner(sim, scenario(id));
+    runner.start();
+    while (runner.running) {
+        sim.run(1);
+        if (message && runner.elapsed() >= at) {
+            sim.chat(message);
+            message = null;
+        }
+    }
+    return { sim, runner, debrief: runner.debrief };
+}
+
+test('the built-in scenarios refer to real units and faults', () => {
+    const sim = new Simulation(layout, { ambient: false });
+    scenarios.forEach(entry => assert.deepEqual(validateScenario(entry, sim), [], entry.id));
+});
+
+test('a prompt, correct response scores well', () => {
+    const { debrief } = play('chiller-trip', 40, 'Sarah, fix chiller 1 compressor');
+
+    assert.deepEqual(debrief.objectives.map(objective => objective.status), ['met', 'met']);
+    assert.equal(debrief.faults[0].diagnosis, 'correct');
+    assert.equal(debrief.faults[0].responseTime, 20);
+    assert.ok(debrief.score >= 90, `scored ${debrief.score}`);
+});
+
+test('doing nothing fails the objectives and wastes energy', () => {
+    const { debrief } = play('chiller-trip');
+
+    assert.deepEqual(debrief.objectives.map(objective => objective.status), ['failed', 'failed']);
+    assert.equal(debrief.faults[0].responseTime, null);
+    assert.ok(debrief.energyWasted > 1);
+    assert.ok(debrief.score < 20, `scored ${debrief.score}`);
+});
+
+test('the wrong engineer or the wrong diagnosis costs marks', () => {
+    const { debrief } = play('cw-pump-drive', 40, 'Sarah, fix cw pump 1 bearings');
+
+    assert.equal(debrief.objectives[0].status, 'failed');
+    assert.equal(debrief.faults[0].diagnosis, 'wrong');
+    assert.equal(debrief.parts.find(part => part.label === 'Diagnosis').score, 0);
+});
+
+test('no random faults or automatic tickets during a lesson, and both return after', () => {
+    const sim = new Simulation(layout, { seed: 1, epoch: 0 });
+    const runner = new ScenarioRunner(sim, scenario('ahu-belt-slip'));
+    runner.start();
+
+    assert.equal(sim.ambient, false);
+    sim.run(60);
+    assert.equal(sim.workOrders.orders.length, 0);
+    runner.abort();
+    assert.equal(sim.ambient, true);
+    assert.equal(sim.autoTickets, true);
+});
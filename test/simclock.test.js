@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimClock, SeededRandom } from '../simclock.js';
+
+test('timers fire at the simulation time they asked for', () => {
+    const clock = new SimClock({ epoch: 0 });
+    const fired = [];
+    clock.after(0.35, () => fired.push(['once', clock.time]));
+    clock.every(1, () => fired.push(['every', clock.time]));
+
+    clock.advance(2.05);
+
+    assert.deepEqual(fired, [['once', 0.35], ['every', 1], ['every', 2]]);
+});
+
+test('tick listeners see fixed steps of maxStep, and the rest carries over', () => {
+    const clock = new SimClock({ maxStep: 0.1 });
+    const steps = [];
+    clock.onTick(dt => steps.push(dt));
+
+    clock.advance(0.45);
+    assert.deepEqual(steps, [0.1, 0.1, 0.1, 0.1]);
+
+    clock.advance(0.07);
+    assert.equal(steps.length, 5);
+    assert.ok(Math.abs(clock.time - 0.5) < 1e-9);
+});
+
+test('a long advance takes every step', () => {
+    const clock = new SimClock({ epoch: 0 });
+    let steps = 0;
+    clock.onTick(() => steps++);
+
+    clock.advance(16200);
+    assert.equal(steps, 162000);
+    assert.equal(clock.time, 16200);
+});
+
+test('frame times do not change how a run plays out', () => {
+    const run = frames => {
+        const clock = new SimClock({ epoch: 0 });
+        const log = [];
+        clock.onTick(dt => log.push(['tick', dt]));
+        clock.every(0.25, () => log.push(['every', clock.time]));
+        frames.forEach(frame => clock.advance(frame));
+        return log;
+    };
+
+    assert.deepEqual(run([0.016, 0.25, 0.033, 0.201]), run(Array(50).fill(0.01)));
+});
+
+test('pause stops time; step advances while paused', () => {
+    const clock = new SimClock({ stepSize: 2 });
+    clock.pause();
+
+    assert.equal(clock.tick(0.1), 0);
+    clock.step();
+    assert.equal(clock.time, 2);
+});
+
+test('scale speeds up frames, and a long frame is capped', () => {
+    const clock = new SimClock({ scale: 10, maxFrameTime: 0.25 });
+
+    clock.tick(0.1);
+    assert.ok(Math.abs(clock.time - 1) < 1e-9);
+    clock.tick(5);
+    assert.ok(Math.abs(clock.time - 3.5) < 1e-9);
+});
+
+test('restore keeps pending timers the same distance away', () => {
+    const clock = new SimClock({ epoch: 0 });
+    let fired = false;
+    clock.after(5, () => { fired = true; });
+
+    clock.restore({ time: 100, epoch: 0, scale: 1 });
+    clock.advance(4.9);
+    assert.equal(fired, false);
+    clock.advance(0.1);
+    assert.equal(fired, true);
+    assert.equal(clock.now(), 105000);
+});
+
+test('the same seed gives the same sequence', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a.next());
+
+    assert.deepEqual(Array.from({ length: 5 }, () => b.next()), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+
+    const c = new SeededRandom(1);
+    c.restore(new SeededRandom(42).snapshot());
+    assert.equal(c.next(), sequence[0]);
+});
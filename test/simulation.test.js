@@ -0,0 +1,235 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIAGNOSIS_DURATION } from '../faults.js';
+import { RELIEF_DELAY } from '../engineer.js';
+import { createSimulation } from './helpers.js';
+
+// Run in short steps until `condition` holds; returns the time it took
+function runUntil(sim, condition, limit = 120) {
+    const start = sim.clock.time;
+    while (!condition()) {
+        assert.ok(sim.clock.time - start < limit, 'condition not met in time');
+        sim.run(0.5);
+    }
+    return sim.clock.time - start;
+}
+
+test('a faulted CW pump is fixed from chat after the work is done', () => {
+    const sim = createSimulation();
+    const fault = sim.injectFault('condenserWaterPump', 'bearingWear');
+    const replies = [];
+    sim.onChange((event, message) => { if (event === 'chat') replies.push(message.text); });
+
+    sim.chat('fix cw pump 1');
+    assert.match(replies[1], /already open; Sarah is already on it/);
+
+    const order = sim.workOrders.findActive('condenserWaterPump', 'repair');
+    const took = runUntil(sim, () => !sim.faultManager.hasFault('condenserWaterPump'));
+
+    assert.ok(took >= (DIAGNOSIS_DURATION + fault.repair.duration) / 1000);
+    assert.equal(order.status, 'completed');
+    assert.equal(order.assignee, 'Sarah');
+    assert.equal(order.outcome, `Repaired: ${fault.name.toLowerCase()}`);
+});
+
+test('naming the engineer sends them instead of the specialist', () => {
+    const sim = createSimulation();
+    sim.chat('John, check the ahu');
+    sim.run(2);
+
+    const order = sim.workOrders.findActive('ahu1', 'inspect');
+    assert.equal(order.assignee, 'John');
+    assert.equal(sim.engineer('John').currentOrder, order);
+});
+
+test('a job saved part-way through carries on after loading', () => {
+    const sim = createSimulation();
+    sim.injectFault('condenserWaterPump', 'cavitation');
+    runUntil(sim, () => sim.engineer('Sarah').task && sim.engineer('Sarah').task.step === 'diagnosed');
+    const save = JSON.parse(JSON.stringify(sim.snapshot()));
+
+    const loaded = createSimulation({ seed: 2 });
+    loaded.restore(save);
+    assert.equal(loaded.faultManager.hasFault('condenserWaterPump'), true);
+    runUntil(loaded, () => !loaded.faultManager.hasFault('condenserWaterPump'));
+
+    assert.equal(loaded.workOrders.orders[0].status, 'completed');
+    assert.equal(loaded.engineer('Sarah').currentOrder, null);
+});
+
+test('the wrong discipline takes longer and a botched repair needs a second visit', () => {
+    const timeRepair = (engineer, random) => {
+        const sim = createSimulation({ autoTickets: false });
+        sim.random = random;
+        sim.injectFault('condenserWaterPump', 'bearingWear');
+        sim.chat(`${engineer}, fix cw pump 1 bearings`);
+        runUntil(sim, () => sim.engineer(engineer).isWorking);
+        return { sim, took: runUntil(sim, () => sim.workOrders.orders[0].status !== 'assigned', 300) };
+    };
+
+    const specialist = timeRepair('Sarah', () => 0);
+    const other = timeRepair('Mike', () => 0);
+    assert.ok(other.took > specialist.took * 1.3);
+    assert.equal(specialist.sim.workOrders.orders[0].status, 'completed');
+
+    const { sim } = timeRepair('Sarah', () => 0.99);
+    const order = sim.workOrders.orders[0];
+    assert.equal(order.status, 'open');
+    assert.match(order.outcome, /did not hold/);
+    assert.equal(sim.faultManager.hasFault('condenserWaterPump'), true);
+    assert.ok(sim.chatLog.some(message => /second visit/.test(message.text)));
+});
+
+test('a misdiagnosis leaves the fault for another visit', () => {
+    const sim = createSimulation({ autoTickets: false });
+    sim.random = () => 0.99;
+    sim.injectFault('condenserWaterPump', 'bearingWear');
+    sim.chat('Sarah, fix cw pump 1');
+    runUntil(sim, () => sim.workOrders.orders[0].status === 'open', 300);
+
+    assert.match(sim.workOrders.orders[0].outcome, /^Misdiagnosed as /);
+    assert.equal(sim.faultManager.hasFault('condenserWaterPump'), true);
+});
+
+test('a tired engineer takes a break and is not dispatched until rested', () => {
+    const sim = createSimulation();
+    const sarah = sim.engineer('Sarah');
+    sim.random = () => 0;
+    sarah.fatigue = 0.75;
+    sim.injectFault('condenserWaterPump', 'bearingWear');
+    runUntil(sim, () => sarah.onBreak, 300);
+
+    sim.injectFault('chillerWaterPump', 'bearingWear');
+    sim.run(4);
+    assert.equal(sarah.currentOrder, null);
+    assert.equal(sim.describeTask(sarah).includes('break'), true);
+
+    runUntil(sim, () => !sarah.onBreak, 600);
+    assert.ok(sarah.fatigue <= 0.2);
+    // Meanwhile the job went to someone else once the fallback delay passed
+    const order = sim.workOrders.orders.find(o => o.equipmentId === 'chillerWaterPump');
+    assert.notEqual(order.assignee, 'Sarah');
+});
+
+test('past their shift, engineers only take critical jobs', () => {
+    const sim = createSimulation({ crew: [{ name: 'Sarah', role: 'Water Side Specialist', position: { x: 3, z: 0 }, shiftHours: 0 }] });
+    sim.chat('inspect cw pump 1');
+    sim.run(40);
+    assert.equal(sim.workOrders.orders[0].status, 'open');
+
+    sim.injectFault('condenserWaterPump', 'vfdFault');
+    sim.run(2);
+    assert.equal(sim.engineer('Sarah').onOvertime, true);
+    assert.equal(sim.engineer('Sarah').currentOrder.priority, 1);
+});
+
+test('at a shift change the relief takes over and works the normal queue', () => {
+    const sim = createSimulation({ crew: [{ name: 'Sarah', role: 'Water Side Specialist', position: { x: 3, z: 0 }, shiftHours: 0.5 }] });
+    sim.run(1800 + 60);
+    sim.chat('inspect cw pump 1');
+    sim.run(60);
+    const order = sim.workOrders.orders.find(o => o.kind === 'inspect');
+    assert.ok(order.priority > 1);
+    assert.equal(order.status, 'open');
+
+    sim.run(RELIEF_DELAY);
+    const sarah = sim.engineer('Sarah');
+    assert.equal(sarah.onOvertime, false);
+    assert.notEqual(order.status, 'open');
+    assert.ok(sim.chatLog.some(message => message.text === 'Shift change: Sarah\'s relief has taken over.'));
+});
+
+test('a VFD job goes to the same discipline from chat as from the fault', () => {
+    const asked = createSimulation();
+    asked.chat('fix the VFD on cw pump 1');
+    const raised = createSimulation();
+    raised.injectFault('condenserWaterPump', 'vfdFault');
+
+    const discipline = sim => sim.workOrders.orders.find(o => o.equipmentId === 'condenserWaterPump').discipline;
+    assert.equal(discipline(asked), 'water');
+    assert.equal(discipline(raised), 'water');
+});
+
+test('a setpoint change from chat reaches the plant model', () => {
+    const sim = createSimulation();
+    sim.chat('set the chw supply setpoint to 6.5');
+    sim.run(600);
+
+    assert.ok(Math.abs(sim.equipmentData.chiller1['Supply Temp (°C)'] - 6.5) < 0.5);
+});
+
+test('a PM ticket is raised when the task comes due and resets the wear', () => {
+    const sim = createSimulation();
+    const filter = sim.maintenance.unit('ahu1').components.filter;
+    filter.nextDue = 10;
+    const clean = createSimulation();
+    clean.maintenance.unit('ahu1').components.filter.wear = 0;
+    sim.run(12);
+    clean.run(12);
+
+    const order = sim.workOrders.findActive('ahu1', 'pm', 'filter');
+    assert.equal(order.priority, 4);
+    assert.equal(order.assignee, 'Mike');
+    assert.ok(sim.equipmentData.ahu1['Filter ΔP (Pa)'] > clean.equipmentData.ahu1['Filter ΔP (Pa)']);
+    assert.ok(sim.chatLog.some(message => message.text.startsWith('🗓️ PM due: AHU')));
+
+    runUntil(sim, () => order.status === 'completed');
+    assert.match(order.outcome, /^PM done: replace the filters/);
+    assert.ok(filter.wear < 0.01);
+    assert.equal(sim.maintenance.costs.planned, 180);
+});
+
+test('a skipped PM leaves the wear, and a worn-out part fails harder and costs a breakdown', () => {
+    const sim = createSimulation();
+    sim.chat('Sarah, check cw pump 2');
+    const order = sim.scheduleMaintenance('condenserWaterPump', 'bearings');
+    const bearings = sim.maintenance.unit('condenserWaterPump').components.bearings;
+    const wear = bearings.wear;
+    assert.equal(order.status, 'open');
+
+    assert.equal(sim.skipMaintenance(order.id), true);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(bearings.skipped, 1);
+    assert.equal(bearings.wear, wear);
+
+    // Left to wear out, the bearings fail half as hard again
+    bearings.wear = 1.2;
+    sim.ambient = true;
+    sim.run(2);
+    sim.ambient = false;
+    const fault = sim.faultManager.activeFaults('condenserWaterPump').find(f => f.id === 'bearingWear');
+    assert.equal(fault.magnitude, 1.5);
+
+    runUntil(sim, () => !sim.faultManager.hasFault('condenserWaterPump'), 600);
+    assert.equal(sim.maintenance.costs.breakdown, 900 * 1.5);
+    assert.ok(bearings.wear < 0.01);
+});
+
+test('the same seed plays out the same way', () => {
+    const run = () => {
+        const sim = createSimulation({ seed: 1234, ambient: true });
+        sim.run(300);
+        return JSON.stringify(sim.snapshot());
+    };
+
+    assert.equal(run(), run());
+});
+
+test('the same seed plays out the same way at any frame rate', () => {
+    const run = frames => {
+        const sim = createSimulation({ seed: 1234, ambient: true });
+        for (let elapsed = 0, i = 0; elapsed < 120; i++) {
+            const dt = Math.min(frames[i % frames.length], 120 - elapsed);
+            sim.run(dt);
+            elapsed += dt;
+        }
+        return sim.snapshot();
+    };
+    const steady = run([1 / 60]);
+    const uneven = run([0.016, 0.25, 0.033, 0.1, 0.007]);
+
+    // Only the part of a step carried over differs
+    assert.ok(Math.abs(uneven.clock.carry - steady.clock.carry) < 1e-6);
+    steady.clock.carry = uneven.clock.carry = 0;
+    assert.equal(JSON.stringify(uneven), JSON.stringify(steady));
+});
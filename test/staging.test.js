@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StagingGroup } from '../staging.js';
+
+const all = () => true;
+
+test('the lead runs alone and a stage is added after a sustained high load', () => {
+    const group = new StagingGroup('chiller', ['a', 'b'], { stageUpDelay: 60 });
+    assert.deepEqual(group.running, ['a']);
+    assert.equal(group.roleOf('b'), 'standby');
+
+    group.demand(0, 990, 1000);
+    group.demand(30, 990, 1000);
+    assert.equal(group.stages, 1);
+    group.demand(60, 990, 1000);
+    assert.equal(group.stages, 2);
+
+    group.update(60, all);
+    assert.deepEqual(group.running, ['a', 'b']);
+    assert.equal(group.roleOf('b'), 'lag');
+});
+
+test('minimum run and off times stop units short-cycling', () => {
+    const events = [];
+    const group = new StagingGroup('chiller', ['a', 'b'], { minRun: 300, minOff: 180 });
+    group.onChange((event, detail) => events.push([event, detail.id, detail.reason]));
+
+    group.setStages(2);
+    group.update(0, all);
+    group.setStages(1);
+    group.update(100, all);
+    assert.ok(group.isOn('b'), 'b has not run its minimum time');
+    group.update(300, all);
+    assert.ok(!group.isOn('b'));
+
+    group.setStages(2);
+    group.update(400, all);
+    assert.ok(!group.isOn('b'), 'b has not been off long enough');
+    group.update(480, all);
+    assert.ok(group.isOn('b'));
+    assert.deepEqual(events, [
+        ['started', 'b', 'load'],
+        ['stopped', 'b', 'load'],
+        ['started', 'b', 'load']
+    ]);
+});
+
+test('a failed unit hands over to the standby and goes to the back of the order', () => {
+    const events = [];
+    const group = new StagingGroup('chiller', ['a', 'b', 'c']);
+    group.onChange((event, detail) => events.push([event, detail.id, detail.reason]));
+
+    group.update(1000, id => id !== 'a');
+    assert.deepEqual(group.running, ['b']);
+    assert.deepEqual(group.order, ['b', 'c', 'a']);
+    assert.deepEqual(events, [
+        ['started', 'b', 'failover'],
+        ['stopped', 'a', 'failed'],
+        ['rotated', 'b', undefined]
+    ]);
+
+    // With nothing to take over, a failed unit stays staged
+    const single = new StagingGroup('tower', ['t']);
+    single.update(1000, () => false);
+    assert.deepEqual(single.running, ['t']);
+});
+
+test('rotation moves the lead on and the old lead stops after handing over', () => {
+    const group = new StagingGroup('chiller', ['a', 'b'], { rotateEvery: 3600 });
+    group.update(1000, all);
+    assert.equal(group.lead(), 'a');
+
+    group.update(3600, all);
+    assert.equal(group.lead(), 'b');
+    assert.deepEqual(group.running, ['b']);
+
+    assert.equal(group.makeLead('a', 3800), true);
+    assert.equal(group.makeLead('x', 3800), false);
+    group.update(3800, all);
+    assert.deepEqual(group.running, ['a', 'b'], 'b runs its minimum time first');
+    group.update(3900, all);
+    assert.deepEqual(group.running, ['a']);
+});
+
+test('a snapshot restores the order and timers, but only for the same units', () => {
+    const group = new StagingGroup('chiller', ['a', 'b']);
+    group.rotate(50);
+    group.update(60, all);
+
+    const copy = new StagingGroup('chiller', ['a', 'b']);
+    copy.restore(group.snapshot());
+    assert.deepEqual(copy.snapshot(), group.snapshot());
+
+    const other = new StagingGroup('chiller', ['a', 'c']);
+    other.restore(group.snapshot());
+    assert.deepEqual(other.order, ['a', 'c']);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkOrderQueue, disciplineFor, competency, roleCovers } from '../workorders.js';
+
+const crew = [
+    { name: 'Mike', role: 'Air Side Specialist' },
+    { name: 'Sarah', role: 'Water Side Specialist' },
+    { name: 'John', role: 'Controls Engineer' }
+];
+
+function createQueue() {
+    let time = 0;
+    const queue = new WorkOrderQueue({ fallbackDelay: 30000, now: () => time });
+    return { queue, advance: seconds => { time += seconds * 1000; } };
+}
+
+// Engineers who are busy, or who take a ticket, are not free for another
+function dispatchAll(queue, busy = []) {
+    const taken = [...busy];
+    return queue.dispatch(crew, worker => !taken.includes(worker.name), (order, worker) => taken.push(worker.name))
+        .map(({ order, worker }) => `${order.id}:${worker.name}`);
+}
+
+test('requests map to disciplines', () => {
+    assert.equal(disciplineFor('pump'), 'water');
+    assert.equal(disciplineFor('ahu'), 'air');
+    assert.equal(disciplineFor('chiller', 'the BMS shows the wrong setpoint'), 'controls');
+
+    // A catalogued fault brings its own discipline, however the job was raised
+    assert.equal(disciplineFor('pump', 'the VFD keeps faulting', { id: 'vfdFault' }), 'water');
+    assert.equal(disciplineFor('pump', '', { id: 'dpSensorDrift', discipline: 'controls' }), 'controls');
+});
+
+test('roles cover the disciplines they are skilled in', () => {
+    assert.equal(roleCovers('Water Side Specialist', 'water'), true);
+    assert.equal(roleCovers('Water Side Specialist', 'air'), false);
+    assert.ok(competency('Water Side Specialist', 'air') > competency('Controls Engineer', 'air'));
+    assert.ok(competency('Visitor', 'water') > 0);
+});
+
+test('the most urgent ticket goes first, to a specialist', () => {
+    const { queue, advance } = createQueue();
+    queue.create({ kind: 'repair', equipmentId: 'chillerWaterPump', discipline: 'water', priority: 3, source: 'chat' });
+    advance(1);
+    queue.create({ kind: 'repair', equipmentId: 'condenserWaterPump', discipline: 'water', priority: 1, source: 'fault' });
+
+    assert.deepEqual(dispatchAll(queue), ['2:Sarah']);
+});
+
+test('another engineer takes over once the fallback delay passes', () => {
+    const { queue, advance } = createQueue();
+    queue.create({ kind: 'repair', equipmentId: 'ahu1', discipline: 'air', source: 'fault' });
+
+    assert.deepEqual(dispatchAll(queue, ['Mike']), []);
+    advance(30);
+    assert.deepEqual(dispatchAll(queue, ['Mike']), ['1:Sarah']);
+});
+
+test('a ticket for a named engineer waits for them', () => {
+    const { queue, advance } = createQueue();
+    queue.create({ kind: 'inspect', equipmentId: 'ahu1', discipline: 'air', source: 'chat', preferredAssignee: 'John' });
+
+    advance(60);
+    assert.deepEqual(dispatchAll(queue, ['John']), []);
+    assert.deepEqual(dispatchAll(queue), ['1:John']);
+});
+
+test('a released ticket is retried after a delay', () => {
+    const { queue, advance } = createQueue();
+    const order = queue.create({ kind: 'repair', equipmentId: 'ahu1', discipline: 'air', source: 'chat' });
+    dispatchAll(queue);
+    queue.release(order, 'Could not reach the unit', 15000);
+
+    assert.deepEqual(dispatchAll(queue), []);
+    advance(15);
+    assert.deepEqual(dispatchAll(queue), ['1:Mike']);
+});
+
+test('a PM ticket is found by its task and can be cancelled', () => {
+    const { queue } = createQueue();
+    const filter = queue.create({ kind: 'pm', equipmentId: 'ahu1', discipline: 'air', priority: 4, source: 'pm', task: 'filter' });
+    const belt = queue.create({ kind: 'pm', equipmentId: 'ahu1', discipline: 'air', priority: 4, source: 'pm', task: 'belt' });
+
+    assert.equal(queue.findActive('ahu1', 'pm', 'belt'), belt);
+    queue.cancel(filter, 'Skipped');
+    assert.equal(queue.findActive('ahu1', 'pm', 'filter'), null);
+    assert.equal(filter.outcome, 'Skipped');
+    assert.deepEqual(dispatchAll(queue), ['2:Mike']);
+});
@@ -0,0 +1,208 @@
+// Work-order queue and dispatcher
+//
+// Faults and operator requests raise prioritised tickets. The dispatcher hands
+// the most urgent open ticket to a free engineer whose role covers the job's
+// discipline; once a ticket has waited `fallbackDelay` any free engineer may
+// take it, though outside their own discipline they are slower and more
+// likely to get it wrong (ROLE_SKILLS). An engineer holds one ticket at a
+// time until it is completed or released. A ticket raised for a named
+// engineer waits for that engineer.
+// Preventive-maintenance tickets name the component they service in `task`
+// and can be cancelled (skipped) while still open.
+
+export const PRIORITY_BY_SEVERITY = { critical: 1, major: 2, minor: 3 };
+
+export const DISCIPLINE_BY_TYPE = {
+    ahu: 'air',
+    chiller: 'water',
+    pump: 'water',
+    coolingTower: 'water'
+};
+
+// Competency (0-1) of each role in each discipline. A role covers the
+// disciplines it is a specialist in.
+export const ROLE_SKILLS = {
+    'Air Side Specialist': { air: 0.9, water: 0.5, controls: 0.3 },
+    'Water Side Specialist': { air: 0.5, water: 0.9, controls: 0.3 },
+    'Controls Engineer': { air: 0.3, water: 0.3, controls: 0.9 }
+};
+export const SPECIALIST_SKILL = 0.8;
+const UNTRAINED_SKILL = 0.2;
+
+// Requests about the controls that name no catalogued fault go to the
+// controls engineer
+const CONTROLS_KEYWORDS = ['control', 'sensor', 'setpoint', 'bms'];
+
+// The discipline a job needs. A job for a known fault type (from the fault
+// catalogue, whether the fault raised the ticket or the request names it)
+// takes the fault's own discipline, so it goes to the same engineer however
+// it was raised; otherwise a request about the controls goes to the controls
+// engineer and anything else to the unit's trade.
+export function disciplineFor(equipmentType, request = '', faultType = null) {
+    const trade = DISCIPLINE_BY_TYPE[equipmentType] || 'water';
+    if (faultType) {
+        return faultType.discipline || trade;
+    }
+    const lower = request.toLowerCase();
+    if (CONTROLS_KEYWORDS.some(keyword => lower.includes(keyword))) {
+        return 'controls';
+    }
+    return trade;
+}
+
+export function competency(role, discipline) {
+    return (ROLE_SKILLS[role] || {})[discipline] ?? UNTRAINED_SKILL;
+}
+
+export function roleCovers(role, discipline) {
+    return competency(role, discipline) >= SPECIALIST_SKILL;
+}
+
+export class WorkOrderQueue {
+    constructor({ fallbackDelay = 30000, now = () => Date.now() } = {}) {
+        this.fallbackDelay = fallbackDelay;
+        this.now = now;
+        this.orders = [];
+        this.nextId = 1;
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event, order) {
+        this.listeners.forEach(listener => listener(event, order));
+    }
+
+    // kind: 'repair' | 'inspect' | 'pm'; source: 'fault' | 'chat' | 'pm'
+    create({ kind, equipmentId, discipline, priority = 3, source, request = '', preferredAssignee = null, task = null }) {
+        const order = {
+            id: this.nextId++,
+            kind,
+            equipmentId,
+            discipline,
+            priority,
+            source,
+            request,
+            preferredAssignee,
+            task,
+            status: 'open',
+            assignee: null,
+            outcome: null,
+            createdAt: this.now(),
+            assignedAt: null,
+            completedAt: null,
+            notBefore: 0
+        };
+        this.orders.push(order);
+        this.emit('created', order);
+        return order;
+    }
+
+    find(id) {
+        return this.orders.find(order => order.id === id) || null;
+    }
+
+    // The open or assigned ticket for a unit, if any
+    findActive(equipmentId, kind = null, task = null) {
+        return this.orders.find(order =>
+            order.equipmentId === equipmentId &&
+            (kind === null || order.kind === kind) &&
+            (task === null || order.task === task) &&
+            (order.status === 'open' || order.status === 'assigned')
+        ) || null;
+    }
+
+    byStatus(status) {
+        return this.orders.filter(order => order.status === status);
+    }
+
+    // Raise the urgency and/or add detail to a ticket that already exists
+    update(order, { priority, request }) {
+        if (priority !== undefined) order.priority = Math.min(order.priority, priority);
+        if (request) order.request = request;
+        this.emit('updated', order);
+    }
+
+    assign(order, assignee) {
+        order.status = 'assigned';
+        order.assignee = assignee;
+        order.assignedAt = this.now();
+        this.emit('assigned', order);
+    }
+
+    complete(order, outcome) {
+        order.status = 'completed';
+        order.outcome = outcome;
+        order.completedAt = this.now();
+        this.emit('completed', order);
+    }
+
+    // Withdraw a ticket nobody has started on
+    cancel(order, note) {
+        order.status = 'cancelled';
+        order.outcome = note;
+        order.completedAt = this.now();
+        this.emit('cancelled', order);
+    }
+
+    // Put an assigned ticket back in the queue, e.g. when the way was blocked
+    release(order, note, retryDelay = 15000) {
+        order.status = 'open';
+        order.outcome = note;
+        order.assignee = null;
+        order.assignedAt = null;
+        order.notBefore = this.now() + retryDelay;
+        this.emit('released', order);
+    }
+
+    // Open tickets in dispatch order: priority first, then oldest
+    pending() {
+        return this.byStatus('open').sort((a, b) =>
+            a.priority - b.priority || a.createdAt - b.createdAt
+        );
+    }
+
+    snapshot() {
+        return { nextId: this.nextId, orders: this.orders.map(order => ({ ...order })) };
+    }
+
+    restore(snapshot) {
+        this.nextId = snapshot.nextId;
+        this.orders = snapshot.orders.map(order => ({ ...order }));
+        this.emit('restored', null);
+    }
+
+    // Match open tickets to free workers ({ name, role }). `isAvailable(worker,
+    // order)` says whether a worker can take that job now; `start(order, worker)` sets
+    // them off. Returns the assignments made.
+    dispatch(workers, isAvailable, start) {
+        const assignments = [];
+        const now = this.now();
+
+        this.pending().forEach(order => {
+            if (order.notBefore > now) return;
+
+            const free = workers.filter(worker => isAvailable(worker, order));
+            if (order.preferredAssignee) {
+                const preferred = free.find(worker => worker.name === order.preferredAssignee);
+                if (!preferred) return;
+                this.assign(order, preferred.name);
+                assignments.push({ order, worker: preferred });
+                start(order, preferred);
+                return;
+            }
+            const specialist = free.find(worker => roleCovers(worker.role, order.discipline));
+            const fallback = now - order.createdAt >= this.fallbackDelay ? free[0] : null;
+            const worker = specialist || fallback;
+            if (!worker) return;
+
+            this.assign(order, worker.name);
+            assignments.push({ order, worker });
+            start(order, worker);
+        });
+
+        return assignments;
+    }
+}